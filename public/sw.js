@@ -0,0 +1,117 @@
+// Caches the app shell so the tracker opens offline, and relays reminder
+// notification actions back to the open app.
+
+// Bump when the caching logic changes; built assets are versioned by their hashed names
+const CACHE_NAME = 'daily-tracker-v2';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/favicon.ico', '/icon-192.png', '/icon-512.png'];
+
+// The scripts and styles index.html points at, so the first visit is enough to work offline
+const getShellAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+// Caches what `html` points at and drops the built assets earlier deploys left behind
+const cacheShellAssets = async (cache, html) => {
+  const assets = getShellAssets(html);
+  await cache.addAll(assets);
+  const current = new Set(assets.map(path => new URL(path, self.location.origin).href));
+  const cached = await cache.keys();
+  await Promise.all(cached
+    .filter(request => new URL(request.url).pathname.startsWith('/assets/') && !current.has(request.url))
+    .map(request => cache.delete(request)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_URLS);
+    const index = await cache.match('/');
+    await cacheShellAssets(cache, await index.text());
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so a new deploy is picked up, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok) {
+          // Refreshed in the background; if that fails, the shell cached before still works
+          const shell = response.clone();
+          event.waitUntil((async () => {
+            const cache = await caches.open(CACHE_NAME);
+            const html = await shell.clone().text();
+            await cache.put('/', shell);
+            await cacheShellAssets(cache, html);
+          })().catch(error => console.warn('Could not refresh the offline cache:', error)));
+        }
+        return response;
+      } catch (error) {
+        return (await caches.match('/')) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Everything else: cache first, filling the cache as files are requested
+  event.respondWith((async () => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  })());
+});
+
+const getAppWindows = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await getAppWindows();
+    const { taskId, snoozeMinutes } = notification.data || {};
+
+    if (action === 'snooze' || action === 'done') {
+      if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: `reminder-${action}`, taskId }));
+        return;
+      }
+      // No window left to keep the timer: hold this worker open and notify again ourselves.
+      // Browsers may cut this short, in which case the reminder is simply dropped.
+      if (action === 'snooze') {
+        await new Promise(resolve => setTimeout(resolve, snoozeMinutes * 60000));
+        await self.registration.showNotification(notification.title, {
+          body: notification.body,
+          icon: notification.icon,
+          tag: notification.tag,
+          data: notification.data,
+          actions: notification.actions,
+        });
+        return;
+      }
+    }
+
+    if (windows.length > 0) {
+      await windows[0].focus();
+    } else {
+      await self.clients.openWindow('/');
+    }
+  })());
+});
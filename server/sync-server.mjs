@@ -0,0 +1,159 @@
+// Reference sync server for the tracker, see README.md next to this file.
+// Keeps every profile's records in one JSON file; fine for a household, not
+// meant to scale further. No dependencies beyond Node itself.
+import { createServer } from 'node:http';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || fileURLToPath(new URL('./sync-data.json', import.meta.url));
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const ROUTE = /^\/api\/profiles\/([^/]+)\/records$/;
+
+// The same rule as isNewerRecord in src/lib/sync.js
+const isNewerRecord = (a, b) =>
+  a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+
+const isValidRecord = (record) =>
+  record !== null &&
+  typeof record === 'object' &&
+  typeof record.key === 'string' &&
+  typeof record.type === 'string' &&
+  typeof record.deleted === 'boolean' &&
+  Number.isFinite(record.updatedAt) &&
+  typeof record.deviceId === 'string' &&
+  record.data !== null &&
+  typeof record.data === 'object';
+
+// Profiles and records are keyed by ids the clients choose, so they live in
+// objects without a prototype, where a key like "__proto__" is just a key
+const toMap = (object = {}) => Object.assign(Object.create(null), object);
+
+const loadData = async () => {
+  try {
+    const saved = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+    const profiles = toMap();
+    Object.entries(saved.profiles).forEach(([profileId, profile]) => {
+      profiles[profileId] = { ...profile, records: toMap(profile.records) };
+    });
+    return { profiles };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { profiles: toMap() };
+    throw error;
+  }
+};
+
+let data = await loadData();
+// Writes go one after another, each to a temporary file renamed into place.
+// Each starts once the last one settled, so one failed write doesn't fail the rest.
+let writing = Promise.resolve();
+const persist = () => {
+  writing = writing.catch(() => {}).then(async () => {
+    await writeFile(`${DATA_FILE}.tmp`, JSON.stringify(data));
+    await rename(`${DATA_FILE}.tmp`, DATA_FILE);
+  });
+  return writing;
+};
+
+const getProfile = (profileId) => {
+  if (!data.profiles[profileId]) data.profiles[profileId] = { revision: 0, records: toMap() };
+  return data.profiles[profileId];
+};
+
+// Stores each record unless the server already has a newer one, which is returned instead
+const pushRecords = async (profileId, records) => {
+  const profile = getProfile(profileId);
+  const rejected = [];
+  records.forEach(record => {
+    const current = profile.records[record.key];
+    if (current && isNewerRecord(current, record)) {
+      rejected.push(current);
+      return;
+    }
+    if (current && current.updatedAt === record.updatedAt && current.deviceId === record.deviceId) return;
+    profile.revision += 1;
+    profile.records[record.key] = { ...record, revision: profile.revision };
+  });
+  await persist();
+  return { rejected };
+};
+
+const pullRecords = (profileId, since) => {
+  const profile = getProfile(profileId);
+  const records = Object.values(profile.records).filter(record => record.revision > since);
+  return { revision: profile.revision, records };
+};
+
+// Counted in bytes as they arrive, and only decoded once complete. An oversized
+// body is drained rather than cut off, so the client still gets the 413.
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (size > MAX_BODY_BYTES) reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      else resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    request.on('error', reject);
+  });
+
+const send = (response, status, body) => {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const handle = async (request, response) => {
+  if (request.method === 'OPTIONS') return send(response, 204);
+
+  const url = new URL(request.url, 'http://localhost');
+  const match = ROUTE.exec(url.pathname);
+  if (!match) return send(response, 404, { error: 'Not found' });
+  if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(response, 401, { error: 'Missing or wrong token' });
+  }
+  const profileId = decodeURIComponent(match[1]);
+
+  if (request.method === 'GET') {
+    const since = Number(url.searchParams.get('since') || 0);
+    if (!Number.isInteger(since) || since < 0) return send(response, 400, { error: '"since" must be a revision number' });
+    return send(response, 200, pullRecords(profileId, since));
+  }
+
+  if (request.method === 'POST') {
+    let body;
+    try {
+      body = JSON.parse(await readBody(request));
+    } catch (error) {
+      return send(response, error.status || 400, { error: error.status ? error.message : 'Body must be JSON' });
+    }
+    if (!Array.isArray(body?.records) || !body.records.every(isValidRecord)) {
+      return send(response, 400, { error: 'Body must be { records: [...] } with valid records' });
+    }
+    return send(response, 200, await pushRecords(profileId, body.records));
+  }
+
+  return send(response, 405, { error: 'Method not allowed' });
+};
+
+createServer((request, response) => {
+  handle(request, response).catch(error => {
+    console.error(error);
+    send(response, 500, { error: 'Internal error' });
+  });
+}).listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT}, storing data in ${DATA_FILE}`);
+  if (!TOKEN) {
+    console.warn('SYNC_TOKEN is not set: anyone who can reach this port can read and overwrite every profile.');
+  }
+});
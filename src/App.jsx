@@ -1,246 +1,724 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, LineChart, Line } from 'recharts';
-import { Plus, X, Calendar, TrendingUp, Award, Target, Edit2, Save, AlertCircle, ChevronDown, ChevronUp, Star } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, LineChart, Line, ReferenceLine, Legend } from 'recharts';
+import { Plus, Calendar, TrendingUp, Award, Target, Edit2, Save, AlertCircle, ChevronDown, ChevronUp, Star, Download, Upload, Archive, ArchiveRestore, Trash2, Undo2, Redo2, GripVertical, SkipForward, StickyNote, BookOpen, Bell, FileText } from 'lucide-react';
+import AchievementUnlock from './components/AchievementUnlock';
+import AchievementsPanel from './components/AchievementsPanel';
+import BadgeHistory from './components/BadgeHistory';
+import CalendarHeatmap from './components/CalendarHeatmap';
+import CategoryEditor from './components/CategoryEditor';
+import ChangeIndicator from './components/ChangeIndicator';
+import CombinedDashboard from './components/CombinedDashboard';
+import CommandPalette from './components/CommandPalette';
+import DateRangePicker from './components/DateRangePicker';
+import FilterChips from './components/FilterChips';
+import GoalEditor from './components/GoalEditor';
+import HabitAppearanceEditor from './components/HabitAppearanceEditor';
+import HabitIcon from './components/HabitIcon';
+import ImportDialog from './components/ImportDialog';
+import InsightsPanel from './components/InsightsPanel';
+import LifecycleEditor from './components/LifecycleEditor';
+import MeasurementEditor from './components/MeasurementEditor';
+import NoteEditor from './components/NoteEditor';
+import NotesPanel from './components/NotesPanel';
+import ProfileSwitcher from './components/ProfileSwitcher';
+import RadarTick from './components/RadarTick';
+import ReportDialog from './components/ReportDialog';
+import RoutineHeader from './components/RoutineHeader';
+import ScheduleEditor from './components/ScheduleEditor';
+import SyncSettings from './components/SyncSettings';
+import SyncStatus from './components/SyncStatus';
+import ThemeSwitcher from './components/ThemeSwitcher';
+import UndoToast from './components/UndoToast';
+import ValueStepper from './components/ValueStepper';
+import useCurrentRoutine from './hooks/useCurrentRoutine';
+import useLogicalToday from './hooks/useLogicalToday';
+import useReminders from './hooks/useReminders';
+import useSync from './hooks/useSync';
+import useUndoHistory from './hooks/useUndoHistory';
+import useTabSync from './hooks/useTabSync';
+import useTheme from './hooks/useTheme';
+import { getAchievements, getEarnedBadges } from './lib/achievements';
+import { HABIT_KINDS, countSlips, formatDaysClean, isAvoidance, isSuccess } from './lib/avoidance';
+import { EMPTY_FILTER, getCategories, getCategory, getCategoryColor, hasCategories, isFilterActive, matchesFilter, pruneFilter } from './lib/categories';
+import { DAY_START_HOURS, DEFAULT_DAY_START_HOUR, addDays, formatDayStartHour, getDatesBetween, parseDateKey, toDateKey } from './lib/dates';
+import { DEFAULT_MEASUREMENT, formatValue, getCompletionRatio, getMeasurement, getNumericValue, getUnit, isGoalMet, isQuantitative } from './lib/measurement';
+import { ALL_TASKS, EXCUSE_REASONS, getExcuse, getExcuseLabel, getExcuseSymbol, setExcuse } from './lib/excusals';
+import { describeLifecycle, getInactiveLabel, getInactiveReason } from './lib/lifecycle';
+import { JOURNAL, describeNote, getNote, setNote } from './lib/notes';
+import { DEFAULT_RANGE, RANGE_PRESETS, getPreviousPeriod, getRangeLabel, rangeFromTotalDays, resolveRange } from './lib/ranges';
+import { AVOIDANCE_SCHEDULE_TYPES, DEFAULT_SCHEDULE, DEFAULT_WEEK_START, WEEKDAY_LABELS, describeSchedule, isDueOn, isFrequencySchedule } from './lib/schedule';
+import { createProfile, renameProfile } from './lib/profiles';
+import { notificationsSupported } from './lib/reminders';
+import { DEFAULT_ROUTINE, ROUTINES, getRoutine, getRoutineGroups, getRoutineLabel, sortByRoutine } from './lib/routines';
+import { DEFAULT_PROFILE, loadTrackerData, diffTrackerData, hasChanges, saveTrackerChanges, saveSettings, loadProfiles, saveProfiles, deleteProfileData, loadSyncSettings, saveSyncSettings, resetSyncState } from './lib/storage';
+import { getDeviceId, toSyncRecords } from './lib/sync';
+import { applyTrackerChanges } from './lib/tabSync';
+import { CHART_THEMES, PRIORITY_COLORS, THEMES } from './lib/theme';
+import * as tracker from './lib/tracker';
+import { buildCsv, buildExport, downloadFile } from './lib/transfer';
+
+// Beyond this the Daily History strip gets unwieldy; the calendar covers longer ranges
+const MAX_HISTORY_COLUMNS = 31;
 
 const DailyProgressTracker = () => {
   const [tasks, setTasks] = useState([]);
   const [newTaskName, setNewTaskName] = useState('');
   const [newTaskPriority, setNewTaskPriority] = useState('medium');
+  const [newTaskKind, setNewTaskKind] = useState('build');
+  const [newTaskSchedule, setNewTaskSchedule] = useState(DEFAULT_SCHEDULE);
+  const [newTaskMeasurement, setNewTaskMeasurement] = useState(DEFAULT_MEASUREMENT);
+  const [newTaskCategory, setNewTaskCategory] = useState({ category: '', tags: [] });
+  const [newTaskRoutine, setNewTaskRoutine] = useState(DEFAULT_ROUTINE);
   const [dailyCompletion, setDailyCompletion] = useState({});
-  const [totalDays, setTotalDays] = useState(1); // Changed default to 1 day
+  const [excusedDays, setExcusedDays] = useState({});
+  const [dayNotes, setDayNotes] = useState({});
+  const [range, setRange] = useState(DEFAULT_RANGE);
+  const [weekStart, setWeekStart] = useState(DEFAULT_WEEK_START);
+  const [dayStartHour, setDayStartHour] = useState(DEFAULT_DAY_START_HOUR);
+  const [weekCount, setWeekCount] = useState(4);
+  const [monthCount, setMonthCount] = useState(3);
   const [editingTask, setEditingTask] = useState(null);
   const [viewMode, setViewMode] = useState('daily');
   const [showSummaries, setShowSummaries] = useState(false);
-  
-  const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'];
-  const priorityColors = {
-    high: '#FF4757',
-    medium: '#FFA502',
-    low: '#2ED573'
+  const [chartMetric, setChartMetric] = useState('percent'); // 'percent' or the id of a quantitative task
+  const [chartGroup, setChartGroup] = useState('habit'); // 'habit' or 'category'
+  const [comparePeriods, setComparePeriods] = useState(false);
+  const [taskFilter, setTaskFilter] = useState(EMPTY_FILTER);
+  const [editingCell, setEditingCell] = useState(null);
+  const [collapsedRoutines, setCollapsedRoutines] = useState([]);
+  const [dragTaskId, setDragTaskId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { taskId, after }
+  const [showImport, setShowImport] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
+  const [showBadgeHistory, setShowBadgeHistory] = useState(false);
+  const [unlocked, setUnlocked] = useState([]); // achievements to celebrate, oldest first
+  const [editingNote, setEditingNote] = useState(null); // { date, taskId }, taskId may be JOURNAL
+  const [toast, setToast] = useState(null);
+  const [storageStatus, setStorageStatus] = useState('loading');
+  const [profiles, setProfiles] = useState([DEFAULT_PROFILE]);
+  const [profileId, setProfileId] = useState(null);
+  const [showCombined, setShowCombined] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [syncSettings, setSyncSettings] = useState({ url: '', token: '' });
+  const [showSyncSettings, setShowSyncSettings] = useState(false);
+  const newTaskInputRef = useRef(null);
+  // The last saved state of the loaded profile, and which profile that is. Moves
+  // ahead as soon as a save starts; `confirmedRef` only once IndexedDB has it.
+  const persistedRef = useRef(null);
+  const confirmedRef = useRef(null);
+  // The profile list as last loaded, sent or received, so a received list isn't echoed back
+  const syncedProfilesRef = useRef(null);
+  const trackerState = { tasks, dailyCompletion, excusedDays, dayNotes };
+  const history = useUndoHistory(trackerState, (snapshot) => {
+    setTasks(snapshot.tasks);
+    setDailyCompletion(snapshot.dailyCompletion);
+    setExcusedDays(snapshot.excusedDays);
+    setDayNotes(snapshot.dayNotes);
+  });
+
+  // Re-renders when the day rolls over, so "today" never goes stale in an open tab
+  const today = useLogicalToday(dayStartHour);
+  const todayKey = toDateKey(today);
+  const currentRoutine = useCurrentRoutine();
+
+  const { start: rangeStart, end: rangeEnd } = resolveRange(range, weekStart, today);
+  const isTodayView = range.preset === 'today';
+
+  // The category/tag filter scopes everything below it: task list, stats, charts and history
+  const unfilteredActiveTasks = tracker.getActiveTasks(tasks);
+  // Grouped by routine, so the task list, history rows and 1-9 shortcuts agree on the order
+  const activeTasks = sortByRoutine(unfilteredActiveTasks.filter(task => matchesFilter(task, taskFilter)));
+  const groupByCategory = chartGroup === 'category' && hasCategories(activeTasks);
+  const archivedTasks = tasks.filter(tracker.isArchived);
+
+  // Worked out from the whole history, so only when that history or the day changes
+  const achievements = useMemo(
+    () => getAchievements(trackerState, today, weekStart),
+    [tasks, dailyCompletion, excusedDays, todayKey, weekStart]
+  );
+  const earnedIdsRef = useRef(null);
+
+  // Each habit's streak stats walk its whole history too, so they're kept until it changes
+  const streaks = useMemo(
+    () => new Map(tasks.map(task => [task.id, tracker.getStreak(trackerState, task, today, weekStart)])),
+    [tasks, dailyCompletion, excusedDays, todayKey, weekStart]
+  );
+
+  const { theme, resolvedTheme, setTheme } = useTheme();
+  const chartTheme = CHART_THEMES[resolvedTheme];
+
+  // Changes already saved elsewhere, by another tab or the sync server. They are
+  // applied to the saved baseline as well as to the state, so this tab doesn't
+  // write them again, and to the undo history, so undoing a local edit doesn't
+  // revert them.
+  const applyRemoteChanges = (changedProfileId, changes) => {
+    const persisted = persistedRef.current;
+    if (!persisted || changedProfileId !== persisted.profileId) return;
+    const apply = (state) => applyTrackerChanges(state, changes);
+    persistedRef.current = apply(persisted);
+    if (confirmedRef.current?.profileId === changedProfileId) confirmedRef.current = apply(confirmedRef.current);
+    // Functional updates, as several messages can arrive before the next render
+    setTasks(current => apply({ ...trackerState, tasks: current }).tasks);
+    setDailyCompletion(current => apply({ ...trackerState, dailyCompletion: current }).dailyCompletion);
+    setExcusedDays(current => apply({ ...trackerState, excusedDays: current }).excusedDays);
+    setDayNotes(current => apply({ ...trackerState, dayNotes: current }).dayNotes);
+    history.rebase(apply);
   };
 
-  // Load data from memory on mount (simulating persistence)
+  const postToTabs = useTabSync((message) => {
+    if (message.type === 'profiles') {
+      if (JSON.stringify(message.profiles) === JSON.stringify(profiles)) return;
+      syncedProfilesRef.current = message.profiles;
+      setProfiles(message.profiles);
+      if (!message.profiles.some(profile => profile.id === profileId)) setProfileId(message.profiles[0].id);
+    } else if (message.type === 'sync-settings') {
+      setSyncSettings(message.settings);
+    } else if (message.type === 'changes') {
+      applyRemoteChanges(message.profileId, message.changes);
+    }
+  });
+
+  const sync = useSync(profileId, syncSettings, () => persistedRef.current, (syncedProfileId, changes) => {
+    if (!hasChanges(changes)) return;
+    applyRemoteChanges(syncedProfileId, changes);
+    postToTabs({ type: 'changes', profileId: syncedProfileId, changes });
+  });
+
+  useEffect(() => {
+    loadProfiles().then(({ profiles: savedProfiles, activeProfileId }) => {
+      syncedProfilesRef.current = savedProfiles;
+      setProfiles(savedProfiles);
+      setProfileId(activeProfileId);
+    });
+    loadSyncSettings().then(setSyncSettings);
+  }, []);
+
+  useEffect(() => {
+    if (!profileId) return;
+    saveProfiles(profiles, profileId);
+    if (syncedProfilesRef.current !== profiles) postToTabs({ type: 'profiles', profiles });
+    syncedProfilesRef.current = profiles;
+  }, [profiles, profileId]);
+
+  // Load the active profile's data, on mount and whenever the profile changes.
+  // Nothing is saved until it has loaded, so one profile can't overwrite another.
+  useEffect(() => {
+    if (!profileId) return undefined;
+    let cancelled = false;
+    persistedRef.current = null;
+    confirmedRef.current = null;
+    setStorageStatus('loading');
+    loadTrackerData(profileId).then(({ tasks: savedTasks, dailyCompletion: savedCompletions, excusedDays: savedExcusals, dayNotes: savedNotes, settings, status }) => {
+      if (cancelled) return;
+      const sortedTasks = tracker.sortByPriority(savedTasks);
+      persistedRef.current = { profileId, tasks: sortedTasks, dailyCompletion: savedCompletions, excusedDays: savedExcusals, dayNotes: savedNotes };
+      confirmedRef.current = persistedRef.current;
+      setTasks(sortedTasks);
+      setDailyCompletion(savedCompletions);
+      setExcusedDays(savedExcusals);
+      setDayNotes(savedNotes);
+      applySettings(settings);
+      history.reset();
+      setEditingTask(null);
+      setEditingNote(null);
+      setToast(null);
+      setUnlocked([]);
+      setStorageStatus(status);
+      sync.syncNow();
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId]);
+
+  // Persist only the habits and completion records that changed
   useEffect(() => {
-    const savedTasks = localStorage.getItem('progressTrackerTasks');
-    const savedCompletions = localStorage.getItem('progressTrackerCompletions');
-    
-    if (savedTasks) {
-      try {
-        const parsedTasks = JSON.parse(savedTasks);
-        setTasks(parsedTasks.sort((a, b) => {
-          const priorityOrder = { high: 3, medium: 2, low: 1 };
-          return priorityOrder[b.priority] - priorityOrder[a.priority];
-        }));
-      } catch (error) {
-        console.error('Failed to load tasks:', error);
+    if (!persistedRef.current || storageStatus === 'unavailable') return;
+    const next = { tasks, dailyCompletion, excusedDays, dayNotes };
+    const changes = diffTrackerData(persistedRef.current, next);
+    if (!hasChanges(changes)) return;
+    const { profileId: savedProfileId } = persistedRef.current;
+    persistedRef.current = { ...next, profileId: savedProfileId };
+    // Queued for the sync server in the same write, so nothing is lost offline
+    const syncRecords = syncSettings.url ? toSyncRecords(changes, Date.now(), getDeviceId()) : [];
+    saveTrackerChanges(changes, savedProfileId, syncRecords).then(status => {
+      const isSameProfile = (ref) => ref.current?.profileId === savedProfileId;
+      if (status !== 'ready') {
+        // Diff against what's known to be saved again, so the next save resends these records
+        if (isSameProfile(persistedRef) && isSameProfile(confirmedRef)) persistedRef.current = confirmedRef.current;
+        setStorageStatus(status);
+        return;
       }
+      if (isSameProfile(confirmedRef)) confirmedRef.current = applyTrackerChanges(confirmedRef.current, changes);
+      setStorageStatus(status);
+      postToTabs({ type: 'changes', profileId: savedProfileId, changes });
+      if (syncRecords.length > 0) sync.schedule();
+    });
+  }, [tasks, dailyCompletion, excusedDays, dayNotes, storageStatus]);
+
+  useEffect(() => {
+    if (!persistedRef.current || storageStatus === 'unavailable') return;
+    // Only ever raises a warning: settings saving fine says nothing about the habits and history
+    saveSettings(getSettings(), persistedRef.current.profileId).then(status => {
+      if (status !== 'ready') setStorageStatus(status);
+    });
+  }, [range, weekStart, dayStartHour, weekCount, monthCount, viewMode, taskFilter, chartGroup, comparePeriods]);
+
+  // Celebrate achievements earned while the app is open. Whatever a profile had
+  // already earned when it loaded is only remembered.
+  useEffect(() => {
+    if (storageStatus === 'loading') {
+      earnedIdsRef.current = null;
+      return;
     }
-    
-    if (savedCompletions) {
-      try {
-        setDailyCompletion(JSON.parse(savedCompletions));
-      } catch (error) {
-        console.error('Failed to load completions:', error);
-      }
+    const earned = achievements.filter(achievement => achievement.earnedOn);
+    if (earnedIdsRef.current) {
+      const fresh = earned.filter(achievement => !earnedIdsRef.current.has(achievement.id));
+      if (fresh.length > 0) setUnlocked([...unlocked, ...fresh]);
     }
-  }, []);
+    earnedIdsRef.current = new Set(earned.map(achievement => achievement.id));
+  }, [achievements, storageStatus]);
 
-  // Save data to memory when tasks or completions change
+  // A category or tag that edits, archiving or deletions emptied stays out of the
+  // filter, which would otherwise keep hiding every habit
   useEffect(() => {
-    if (tasks.length > 0) {
-      localStorage.setItem('progressTrackerTasks', JSON.stringify(tasks));
+    if (storageStatus === 'loading') return;
+    const pruned = pruneFilter(taskFilter, unfilteredActiveTasks);
+    if (pruned !== taskFilter) setTaskFilter(pruned);
+  }, [tasks, taskFilter, storageStatus]);
+
+  const getSettings = () => ({ range, weekStart, dayStartHour, weekCount, monthCount, viewMode, filter: taskFilter, chartGroup, comparePeriods });
+
+  // Missing settings fall back to the defaults, so a new profile doesn't inherit the last one's
+  const applySettings = (settings) => {
+    if (settings.range) setRange(settings.range);
+    else if (settings.totalDays) setRange(rangeFromTotalDays(settings.totalDays, today));
+    else setRange(DEFAULT_RANGE);
+    setWeekStart(settings.weekStart ?? DEFAULT_WEEK_START);
+    setDayStartHour(settings.dayStartHour ?? DEFAULT_DAY_START_HOUR);
+    setWeekCount(settings.weekCount || 4);
+    setMonthCount(settings.monthCount || 3);
+    setViewMode(settings.viewMode || 'daily');
+    setTaskFilter(settings.filter || EMPTY_FILTER);
+    setChartGroup(settings.chartGroup || 'habit');
+    setComparePeriods(Boolean(settings.comparePeriods));
+  };
+
+  const updateSyncSettings = async (settings) => {
+    // Another server starts from scratch: every profile is sent to it in full
+    if (settings.url !== syncSettings.url) await Promise.all(profiles.map(profile => resetSyncState(profile.id)));
+    setSyncSettings(settings);
+    saveSyncSettings(settings);
+    postToTabs({ type: 'sync-settings', settings });
+    setShowSyncSettings(false);
+  };
+
+  const addProfile = (name) => {
+    const profile = createProfile(name, profiles);
+    setProfiles([...profiles, profile]);
+    setProfileId(profile.id);
+  };
+
+  const deleteProfile = async (id) => {
+    const profile = profiles.find(p => p.id === id);
+    if (!window.confirm(`Delete the profile "${profile.name}" with all of its habits and history? This can't be undone.`)) return;
+    const remaining = profiles.filter(p => p.id !== id);
+    setProfiles(remaining);
+    if (id === profileId) setProfileId(remaining[0].id);
+    await deleteProfileData(id);
+  };
+
+  // Named after the profile once there's more than one, so exports don't get mixed up
+  const getExportFilename = (extension, name = 'progress-tracker', dateKey = todayKey) => {
+    const profile = profiles.find(p => p.id === profileId);
+    const slug = profiles.length > 1 && profile ? `-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '';
+    return `${name}${slug}-${dateKey}.${extension}`;
+  };
+
+  const exportJson = () => {
+    const json = JSON.stringify(buildExport({ tasks, dailyCompletion, excusedDays, dayNotes, settings: getSettings() }), null, 2);
+    downloadFile(getExportFilename('json'), json, 'application/json');
+  };
+
+  const exportCsv = () => {
+    downloadFile(getExportFilename('csv'), buildCsv(tasks, dailyCompletion, excusedDays), 'text/csv');
+  };
+
+  const applyImport = (data, settings) => {
+    history.record('Import', {
+      tasks: tracker.sortByPriority(data.tasks),
+      dailyCompletion: data.dailyCompletion,
+      excusedDays: data.excusedDays,
+      dayNotes: data.dayNotes
+    });
+    if (settings) {
+      applySettings(settings);
     }
-  }, [tasks]);
+    setShowImport(false);
+    setToast({ message: `Imported ${data.tasks.length} habits` });
+  };
+
+  const handleUndo = () => {
+    const label = history.undo();
+    if (label) setToast(null);
+  };
 
+  const handleRedo = () => {
+    history.redo();
+  };
+
+  const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+
+  // Ctrl/Cmd+K opens the command palette, Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or
+  // Ctrl+Y redoes, and 1-9 toggle today's habits; none of them fire while typing
   useEffect(() => {
-    if (Object.keys(dailyCompletion).length > 0) {
-      localStorage.setItem('progressTrackerCompletions', JSON.stringify(dailyCompletion));
-    }
-  }, [dailyCompletion]);
+    const handleKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'k') {
+        e.preventDefault();
+        setShowPalette(!showPalette);
+        return;
+      }
+      if (isTyping(e.target)) return;
+      if (e.ctrlKey || e.metaKey) {
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          handleRedo();
+        }
+        return;
+      }
+      const modalOpen = showPalette || showImport || showCombined || showReport || showBadgeHistory || showSyncSettings || editingNote || editingCell;
+      if (e.altKey || modalOpen || !/^[1-9]$/.test(e.key)) return;
+      const task = activeTasks[Number(e.key) - 1];
+      if (task) {
+        e.preventDefault();
+        toggleDayGoal(task, todayKey);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Avoidance habits can't have a weekly or monthly quota
+  const changeNewTaskKind = (kind) => {
+    setNewTaskKind(kind);
+    if (kind === 'avoid' && isFrequencySchedule(newTaskSchedule)) setNewTaskSchedule(DEFAULT_SCHEDULE);
+  };
 
   const addTask = () => {
     if (newTaskName.trim()) {
-      const newTask = {
-        id: Date.now(),
-        name: newTaskName.trim(),
-        color: colors[tasks.length % colors.length],
+      history.record('Add habit', tracker.addHabit(trackerState, {
+        name: newTaskName,
+        kind: newTaskKind,
         priority: newTaskPriority,
-        completedDays: 0,
-        streak: 0,
-        createdAt: new Date().toISOString()
-      };
-      
-      const updatedTasks = [...tasks, newTask].sort((a, b) => {
-        const priorityOrder = { high: 3, medium: 2, low: 1 };
-        return priorityOrder[b.priority] - priorityOrder[a.priority];
-      });
-      
-      setTasks(updatedTasks);
+        schedule: newTaskSchedule,
+        measurement: newTaskMeasurement,
+        routine: newTaskRoutine,
+        startDate: todayKey,
+        ...newTaskCategory
+      }));
       setNewTaskName('');
       setNewTaskPriority('medium');
+      setNewTaskKind('build');
+      setNewTaskSchedule(DEFAULT_SCHEDULE);
+      setNewTaskMeasurement(DEFAULT_MEASUREMENT);
+      setNewTaskCategory({ category: '', tags: [] });
+      setNewTaskRoutine(DEFAULT_ROUTINE);
     }
   };
 
+  const applyTaskUpdates = (taskId, updates) => {
+    history.record('Edit habit', tracker.updateHabit(trackerState, taskId, updates));
+  };
+
+  // Records nothing when the habit ends up where it already was
+  const moveTask = (taskId, beforeId, updates) => {
+    const changes = tracker.moveHabit(trackerState, taskId, beforeId, updates);
+    if (changes.tasks.every((task, index) => task === tasks[index])) return;
+    history.record('Reorder habits', changes);
+  };
+
+  const getRoutineUpdate = (task, routine) =>
+    getRoutine(task) === routine ? {} : { routine: routine === DEFAULT_ROUTINE ? undefined : routine };
+
+  // Only within a priority tier; dropping on a habit in another routine moves it there too
+  const canDropOn = (task) => {
+    const dragged = tasks.find(t => t.id === dragTaskId);
+    return Boolean(dragged) && dragged.id !== task.id && dragged.priority === task.priority;
+  };
+
+  const endDrag = () => {
+    setDragTaskId(null);
+    setDropTarget(null);
+  };
+
+  const dropTask = (target, after) => {
+    const dragged = tasks.find(t => t.id === dragTaskId);
+    endDrag();
+    if (!dragged || !canDropOn(target)) return;
+    const tier = tasks.filter(t => t.priority === target.priority && t.id !== dragged.id);
+    const beforeId = after ? tier[tier.indexOf(target) + 1]?.id ?? null : target.id;
+    moveTask(dragged.id, beforeId, getRoutineUpdate(dragged, getRoutine(target)));
+  };
+
+  // Dropping on a routine heading moves the habit to the end of that routine
+  const dropInRoutine = (routine) => {
+    const dragged = tasks.find(t => t.id === dragTaskId);
+    endDrag();
+    if (dragged) moveTask(dragged.id, null, getRoutineUpdate(dragged, routine));
+  };
+
+  // Keyboard reordering: one step up or down among the habits of the same tier and routine
+  const nudgeTask = (task, direction) => {
+    const neighbours = activeTasks.filter(t => t.priority === task.priority && getRoutine(t) === getRoutine(task));
+    const index = neighbours.indexOf(task);
+    if (direction < 0 && index > 0) moveTask(task.id, neighbours[index - 1].id);
+    if (direction > 0 && index < neighbours.length - 1) moveTask(task.id, neighbours[index + 2]?.id ?? null);
+  };
+
+  const toggleRoutineCollapsed = (routine) => {
+    setCollapsedRoutines(collapsedRoutines.includes(routine)
+      ? collapsedRoutines.filter(r => r !== routine)
+      : [...collapsedRoutines, routine]);
+  };
+
   const updateTask = (taskId, updates) => {
-    const updatedTasks = tasks.map(task => 
-      task.id === taskId ? { ...task, ...updates } : task
-    ).sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
-    
-    setTasks(updatedTasks);
+    applyTaskUpdates(taskId, updates);
     setEditingTask(null);
   };
 
-  const removeTask = (taskId) => {
-    setTasks(tasks.filter(task => task.id !== taskId));
-    const newDailyCompletion = { ...dailyCompletion };
-    Object.keys(newDailyCompletion).forEach(date => {
-      delete newDailyCompletion[date][taskId];
-    });
-    setDailyCompletion(newDailyCompletion);
+  // Hides the task from the active list and stats but keeps its history
+  const archiveTask = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    history.record('Archive habit', tracker.archiveHabit(trackerState, taskId, todayKey));
+    setToast({ message: `Archived "${task.name}"` });
   };
 
-  const toggleTaskCompletion = (taskId, date = getTodayDate()) => {
-    const newDailyCompletion = { ...dailyCompletion };
-    if (!newDailyCompletion[date]) {
-      newDailyCompletion[date] = {};
-    }
-    newDailyCompletion[date][taskId] = !newDailyCompletion[date][taskId];
-    setDailyCompletion(newDailyCompletion);
+  const setTaskKind = (taskId, kind) => {
+    history.record('Edit habit', tracker.setHabitKind(trackerState, taskId, kind));
   };
 
-  const getTodayDate = () => {
-    return new Date().toLocaleDateString('en-CA');
+  const restoreTask = (taskId) => {
+    history.record('Restore habit', tracker.restoreHabit(trackerState, taskId));
   };
 
-  const getTaskCompletionRate = (taskId) => {
-    let completedCount = 0;
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - totalDays + 1);
+  // Pausing keeps the habit in the list but leaves the paused days out of its stats
+  const pauseTask = (taskId) => {
+    history.record('Pause habit', tracker.pauseHabit(trackerState, taskId, todayKey));
+  };
 
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toLocaleDateString('en-CA');
-      if (dailyCompletion[dateStr] && dailyCompletion[dateStr][taskId]) {
-        completedCount++;
-      }
-    }
-    
-    return Math.round((completedCount / totalDays) * 100);
-  };
-
-  const getStreak = (taskId) => {
-    let streak = 0;
-    const today = new Date();
-    
-    for (let i = 0; i < 30; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      const dateStr = date.toLocaleDateString('en-CA')
-      ;
-      
-      if (dailyCompletion[dateStr] && dailyCompletion[dateStr][taskId]) {
-        streak++;
-      } else {
-        break;
-      }
+  const resumeTask = (taskId) => {
+    history.record('Resume habit', tracker.resumeHabit(trackerState, taskId, todayKey));
+  };
+
+  // Deletes the task and every completion, excusal and note recorded for it
+  const purgeTask = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!window.confirm(`Permanently delete "${task.name}" and all of its history?`)) return;
+
+    history.record('Delete habit', tracker.deleteHabit(trackerState, taskId));
+    setToast({ message: `Deleted "${task.name}"` });
+  };
+
+  const toggleTaskCompletion = (taskId, date = todayKey) => {
+    history.record('Toggle completion', tracker.toggleCompletion(trackerState, taskId, date));
+  };
+
+  const setTaskValue = (taskId, value, date = todayKey) => {
+    history.record('Log value', tracker.recordCompletion(trackerState, taskId, date, value));
+  };
+
+  // "Mark done" on a reminder notification; never un-completes
+  const completeFromReminder = (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || isGoalMet(task, dailyCompletion[todayKey]?.[taskId])) return;
+    toggleDayGoal(task, todayKey);
+  };
+
+  useReminders({ tasks, dailyCompletion, excusedDays, today, weekStart, onDone: completeFromReminder });
+
+  // Asks for notification permission the first time a reminder is set
+  const setReminder = (taskId, reminder) => {
+    if (reminder && notificationsSupported() && Notification.permission === 'default') {
+      Notification.requestPermission();
     }
-    
-    return streak;
+    applyTaskUpdates(taskId, { reminder: reminder || null });
+  };
+
+  // Heatmap cells toggle quantitative habits between their target and nothing
+  const toggleDayGoal = (task, date) => {
+    history.record(isQuantitative(task) ? 'Log value' : 'Toggle completion', tracker.toggleGoal(trackerState, task, date));
+  };
+
+  // Marks a day as skip / sick / vacation for one habit, or for all with ALL_TASKS
+  const excuseDay = (date, taskId, reason) => {
+    history.record(reason ? `Mark ${getExcuseLabel(reason).toLowerCase()}` : 'Clear day mark', {
+      excusedDays: setExcuse(excusedDays, date, taskId, reason)
+    });
+  };
+
+  const toggleSkip = (taskId, date = todayKey) => {
+    const current = excusedDays[date]?.[taskId];
+    excuseDay(date, taskId, current ? null : 'skip');
+  };
+
+  // Saves the note being edited; an empty note deletes it
+  const saveNote = (note) => {
+    const { date, taskId } = editingNote;
+    history.record(note ? 'Edit note' : 'Delete note', {
+      dayNotes: setNote(dayNotes, date, taskId, note)
+    });
+    setEditingNote(null);
+  };
+
+  const getNoteTitle = ({ date, taskId }) => {
+    const day = parseDateKey(date).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+    return taskId === JOURNAL
+      ? { title: 'Journal', subtitle: day }
+      : { title: tasks.find(task => task.id === taskId)?.name || 'Note', subtitle: day };
   };
 
+  const getTaskCompletionRate = (taskId) =>
+    tracker.getCompletionRate(trackerState, tasks.find(t => t.id === taskId), getPeriodDates(), weekStart);
+
+  const getStreak = (taskId) => streaks.get(taskId);
+
+  const getRatedTasks = (taskList = activeTasks) => tracker.getRatedTasks(trackerState, taskList, getPeriodDates(), weekStart);
+
+  const getCategoryRates = () => tracker.getCategoryRates(trackerState, activeTasks, getPeriodDates(), weekStart);
+
   const getRadarData = () => {
-    return tasks.map(task => ({
+    if (groupByCategory) {
+      return getCategoryRates()
+        .filter(({ rate }) => rate !== null)
+        .map(({ category, rate }) => ({ task: category, completion: rate, fullMark: 100 }));
+    }
+    return getRatedTasks().map(({ task, rate }) => ({
       task: task.name,
-      completion: getTaskCompletionRate(task.id),
+      habit: task,
+      completion: rate,
       fullMark: 100
     }));
   };
 
-  const getOverallScore = () => {
-    if (tasks.length === 0) return 0;
-    const totalCompletion = tasks.reduce((sum, task) => sum + getTaskCompletionRate(task.id), 0);
-    return Math.round(totalCompletion / tasks.length);
-  };
+  const getOverallScore = () => tracker.getOverallScore(trackerState, activeTasks, getPeriodDates(), weekStart);
 
   const getPeriodDates = () => {
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - totalDays + 1);
-    
-    const dates = [];
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      dates.push(new Date(d));
-    }
-    return dates;
+    return getDatesBetween(rangeStart, rangeEnd);
+  };
+
+  // Every key metric is compared with the same number of days just before the range
+  const previousPeriod = getPreviousPeriod({ start: rangeStart, end: rangeEnd });
+  const getPreviousDates = () => getDatesBetween(previousPeriod.start, previousPeriod.end);
+  const periodLength = getPeriodDates().length;
+  // Streaks are compared with where they stood one period ago
+  const previousToday = addDays(today, -periodLength);
+  const previousStreaks = useMemo(
+    () => new Map(tasks.map(task => [task.id, tracker.getStreak(trackerState, task, previousToday, weekStart)])),
+    [tasks, dailyCompletion, excusedDays, toDateKey(previousToday), weekStart]
+  );
+
+  const getPreviousTitle = (value, unit = '%') =>
+    `Previous ${periodLength === 1 ? 'day' : `${periodLength} days`}: ${value === null || value === undefined ? '–' : `${value}${unit}`}`;
+
+  const getRateChange = (task) => {
+    const previous = tracker.getCompletionRate(trackerState, task, getPreviousDates(), weekStart);
+    return { change: tracker.getChange(getTaskCompletionRate(task.id), previous), title: getPreviousTitle(previous) };
   };
 
+  const getStreakChange = (task) => {
+    const { current, unit } = previousStreaks.get(task.id);
+    const change = tracker.getChange(getStreak(task.id).current, current);
+    return { change, unit: formatStreakUnit(unit, change), title: `As of ${formatDate(previousToday)}: ${current} ${unit}${current === 1 ? '' : 's'}` };
+  };
+
+  // The overall score and the breakdowns leave out periods with nothing due rather than counting them as 0%
+  const getAverageRateChange = (taskList) => {
+    const previous = tracker.averageRate(tracker.getRatedTasks(trackerState, taskList, getPreviousDates(), weekStart));
+    return { change: tracker.getChange(tracker.averageRate(getRatedTasks(taskList)), previous), title: getPreviousTitle(previous) };
+  };
+
+  // Summaries include archived habits for the days they were still tracked
+  const getSummaryTasks = () => tasks.filter(task => matchesFilter(task, taskFilter));
+
+  const getSummaryCompletion = (dates, taskList = getSummaryTasks()) =>
+    tracker.getSummaryCompletion(trackerState, taskList, dates, weekStart);
+
+  // Completion per category for one week/month, keyed by category name
+  const getCategorySummaries = (dates) => {
+    if (!groupByCategory) return {};
+    const summaryTasks = getSummaryTasks();
+    return Object.fromEntries(getCategories(activeTasks).map(category => [
+      category,
+      getSummaryCompletion(dates, summaryTasks.filter(task => getCategory(task) === category))
+    ]));
+  };
+
+  const getChartTask = () => activeTasks.find(task => task.id === chartMetric);
+
+  const getValueTotal = (task, dates) => tracker.getValueTotal(trackerState, task, dates);
+
+  const getDailyValues = (task) => {
+    return getPeriodDates().map(date => ({
+      day: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      value: getValueTotal(task, [date])
+    }));
+  };
+
+  // The comparison overlay only has room next to a single series
+  const isComparing = comparePeriods && !(groupByCategory && !getChartTask());
+
+  // What the chart shows for a week/month of the previous period, lined up with the current one
+  const getComparison = (period) => period
+    ? { previous: getChartTask() ? getValueTotal(getChartTask(), period.dates) : period.completion, previousLabel: period.label }
+    : {};
+
+  // Calendar weeks ending with the week the selected range ends in
   const getWeeklySummary = () => {
-    const weeks = [];
-    const today = new Date();
-    
-    for (let i = 0; i < 4; i++) {
-      const weekEnd = new Date(today);
-      weekEnd.setDate(today.getDate() - (i * 7));
-      const weekStart = new Date(weekEnd);
-      weekStart.setDate(weekEnd.getDate() - 6);
-      
-      let totalCompletions = 0;
-      let totalPossible = 0;
-      
-      for (let d = new Date(weekStart); d <= weekEnd; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toLocaleDateString('en-CA');
-        tasks.forEach(task => {
-          totalPossible++;
-          if (dailyCompletion[dateStr] && dailyCompletion[dateStr][task.id]) {
-            totalCompletions++;
-          }
-        });
-      }
-      
-      weeks.push({
-        week: `Week ${4 - i}`,
-        completion: totalPossible > 0 ? Math.round((totalCompletions / totalPossible) * 100) : 0,
-        startDate: weekStart.toLocaleDateString(),
-        endDate: weekEnd.toLocaleDateString()
-      });
-    }
-    
-    return weeks.reverse();
+    const previousWeeks = isComparing
+      ? tracker.getWeeklySummary(trackerState, getSummaryTasks(), weekCount, addDays(rangeEnd, -7 * weekCount), today, weekStart)
+      : [];
+    return tracker.getWeeklySummary(trackerState, getSummaryTasks(), weekCount, rangeEnd, today, weekStart)
+      .map(({ start, end, label, dates, completion }, index) => ({
+        week: label,
+        completion,
+        categories: getCategorySummaries(dates),
+        value: getChartTask() ? getValueTotal(getChartTask(), dates) : null,
+        startDate: start.toLocaleDateString(),
+        endDate: end.toLocaleDateString(),
+        ...getComparison(previousWeeks[index])
+      }));
   };
 
+  // Calendar months ending with the month the selected range ends in
   const getMonthlySummary = () => {
-    const months = [];
-    const today = new Date();
-    
-    for (let i = 0; i < 3; i++) {
-      const monthDate = new Date(today.getFullYear(), today.getMonth() - i, 1);
-      const monthEnd = new Date(today.getFullYear(), today.getMonth() - i + 1, 0);
-      
-      let totalCompletions = 0;
-      let totalPossible = 0;
-      
-      for (let d = new Date(monthDate); d <= monthEnd; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toLocaleDateString('en-CA');
-        tasks.forEach(task => {
-          totalPossible++;
-          if (dailyCompletion[dateStr] && dailyCompletion[dateStr][task.id]) {
-            totalCompletions++;
-          }
-        });
-      }
-      
-      months.push({
-        month: monthDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
-        completion: totalPossible > 0 ? Math.round((totalCompletions / totalPossible) * 100) : 0
-      });
-    }
-    
-    return months.reverse();
+    const previousMonths = isComparing
+      ? tracker.getMonthlySummary(trackerState, getSummaryTasks(), monthCount, new Date(rangeEnd.getFullYear(), rangeEnd.getMonth() - monthCount, 1), today, weekStart)
+      : [];
+    return tracker.getMonthlySummary(trackerState, getSummaryTasks(), monthCount, rangeEnd, today, weekStart)
+      .map(({ label, dates, completion }, index) => ({
+        month: label,
+        completion,
+        categories: getCategorySummaries(dates),
+        value: getChartTask() ? getValueTotal(getChartTask(), dates) : null,
+        ...getComparison(previousMonths[index])
+      }));
   };
 
+  // Tooltips name the previous week/month a value belongs to
+  const formatChartValue = (value, name, item) => [
+    getChartTask() ? `${value} ${getUnit(getChartTask())}` : `${value}%`,
+    item.dataKey === 'previous' ? item.payload.previousLabel : name
+  ];
+
   const getPriorityIcon = (priority) => {
     switch (priority) {
       case 'high':
@@ -254,39 +732,155 @@ const DailyProgressTracker = () => {
     }
   };
 
-  const getDayLabel = () => {
-    switch (totalDays) {
-      case 1:
-        return 'Today';
-      case 7:
-        return 'Last 7 days';
-      case 14:
-        return 'Last 14 days';
-      case 30:
-        return 'Last 30 days';
-      default:
-        return `Last ${totalDays} days`;
-    }
+  const getTodayCompletionCount = () => tracker.getTodayProgress(trackerState, activeTasks, today, weekStart).done;
+
+  // Tasks done today count even when they weren't due, so the ratio can't exceed 100%
+  const getTodayTaskCount = () => tracker.getTodayProgress(trackerState, activeTasks, today, weekStart).total;
+
+  // The longest run any active habit has ever had
+  const longestStreak = tracker.findLongestStreak(activeTasks, task => streaks.get(task.id));
+
+  const getLongestStreakChange = () => {
+    const { longest, unit } = tracker.findLongestStreak(activeTasks, task => previousStreaks.get(task.id));
+    const change = tracker.getChange(longestStreak.longest, longest);
+    return { change, unit: formatStreakUnit(unit, change), title: `As of ${formatDate(previousToday)}: ${longest} ${unit}${longest === 1 ? '' : 's'}` };
   };
 
-  const getTodayCompletionCount = () => {
-    const today = getTodayDate();
-    if (!dailyCompletion[today]) return 0;
-    return Object.values(dailyCompletion[today]).filter(Boolean).length;
+  const formatStreakUnit = (unit, change) => ` ${unit}${Math.abs(change) === 1 ? '' : 's'}`;
+
+  const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  const formatStreakRange = ({ longestStart, longestEnd }) => {
+    const format = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return longestStart === longestEnd ? format(longestStart) : `${format(longestStart)} – ${format(longestEnd)}`;
   };
 
+  // Everything the command palette can do; habits come first so typing a name finds them
+  const getCommands = () => {
+    const yesterdayKey = toDateKey(addDays(today, -1));
+    const isDone = (task, date) => isGoalMet(task, dailyCompletion[date]?.[task.id]);
+    const getGroup = (task, date, day) => isAvoidance(task)
+      ? dailyCompletion[date]?.[task.id] ? `Undo slip ${day}` : `Log a slip ${day}`
+      : isDone(task, date) ? `Undo ${day}` : `Complete ${day}`;
+    return [
+      ...activeTasks.flatMap((task, index) => [
+        {
+          id: `today-${task.id}`,
+          group: getGroup(task, todayKey, 'today'),
+          label: task.name,
+          hint: index < 9 ? String(index + 1) : undefined,
+          run: () => toggleDayGoal(task, todayKey)
+        },
+        {
+          id: `yesterday-${task.id}`,
+          group: getGroup(task, yesterdayKey, 'yesterday'),
+          label: task.name,
+          run: () => toggleDayGoal(task, yesterdayKey)
+        }
+      ]),
+      { id: 'add', group: 'Habits', label: 'Add a new habit', run: () => newTaskInputRef.current?.focus() },
+      ...['daily', 'weekly', 'monthly'].map(mode => ({
+        id: `view-${mode}`,
+        group: 'View',
+        label: `${mode.charAt(0).toUpperCase() + mode.slice(1)} charts`,
+        run: () => setViewMode(mode)
+      })),
+      ...RANGE_PRESETS.filter(preset => preset.value !== 'custom').map(preset => ({
+        id: `range-${preset.value}`,
+        group: 'Period',
+        label: preset.label,
+        run: () => setRange({ preset: preset.value })
+      })),
+      ...(isFilterActive(taskFilter) ? [{ id: 'clear-filter', group: 'View', label: 'Clear the category and tag filter', run: () => setTaskFilter(EMPTY_FILTER) }] : []),
+      { id: 'calendar', group: 'View', label: showCalendar ? 'Hide calendar' : 'Show calendar', run: () => setShowCalendar(!showCalendar) },
+      { id: 'notes', group: 'View', label: showNotes ? 'Hide notes & journal' : 'Show notes & journal', run: () => setShowNotes(!showNotes) },
+      { id: 'journal', group: 'Notes', label: "Write today's journal", run: () => setEditingNote({ date: todayKey, taskId: JOURNAL }) },
+      { id: 'badges', group: 'Achievements', label: 'Badge history', run: () => setShowBadgeHistory(true) },
+      { id: 'compare', group: 'View', label: comparePeriods ? 'Stop comparing charts with the previous period' : 'Compare charts with the previous period', run: () => setComparePeriods(!comparePeriods) },
+      { id: 'insights', group: 'View', label: showInsights ? 'Hide insights' : 'Show insights', run: () => setShowInsights(!showInsights) },
+      { id: 'achievements', group: 'View', label: showAchievements ? 'Hide achievements' : 'Show achievements', run: () => setShowAchievements(!showAchievements) },
+      { id: 'export-json', group: 'Export', label: 'Download JSON backup', run: exportJson },
+      { id: 'export-csv', group: 'Export', label: 'Download CSV', run: exportCsv },
+      { id: 'report', group: 'Export', label: 'Create a progress report', run: () => setShowReport(true) },
+      { id: 'import', group: 'Import', label: 'Import a backup', run: () => setShowImport(true) },
+      ...(syncSettings.url ? [{ id: 'sync-now', group: 'Sync', label: 'Sync now', run: sync.syncNow }] : []),
+      { id: 'sync-settings', group: 'Sync', label: 'Sync settings', run: () => setShowSyncSettings(true) },
+      ...THEMES.filter(option => option.value !== theme).map(option => ({
+        id: `theme-${option.value}`,
+        group: 'Theme',
+        label: `${option.label} theme`,
+        run: () => setTheme(option.value)
+      })),
+      { id: 'undo', group: 'Edit', label: 'Undo', hint: 'Ctrl+Z', run: handleUndo },
+      { id: 'redo', group: 'Edit', label: 'Redo', hint: 'Ctrl+Shift+Z', run: handleRedo },
+      ...profiles.filter(profile => profile.id !== profileId).map(profile => ({
+        id: `profile-${profile.id}`,
+        group: 'Profile',
+        label: `Switch to ${profile.name}`,
+        run: () => setProfileId(profile.id)
+      }))
+    ];
+  };
+
+  // Arrow keys move between Daily History cells; Space or Enter then toggles the focused one
+  const handleHistoryKeyDown = (e) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const cell = e.target.dataset?.cell;
+    if (!moves[e.key] || !cell) return;
+    const [column, row] = cell.split(',').map(Number);
+    const [dx, dy] = moves[e.key];
+    const next = e.currentTarget.querySelector(`[data-cell="${column + dx},${row + dy}"]`);
+    if (next) {
+      e.preventDefault();
+      next.focus();
+    }
+  };
+
+  const radarData = viewMode === 'daily' && !getChartTask() ? getRadarData() : [];
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 p-6">
       <div className="max-w-6xl mx-auto">
         {/* Header */}
         <div className="text-center mb-8">
+          <div className="flex flex-wrap items-center justify-center gap-2 mb-4">
+            <ProfileSwitcher
+              profiles={profiles}
+              activeId={profileId}
+              onSwitch={setProfileId}
+              onCreate={addProfile}
+              onRename={(id, name) => setProfiles(renameProfile(profiles, id, name))}
+              onDelete={deleteProfile}
+              onShowCombined={() => setShowCombined(true)}
+            />
+            <SyncStatus
+              status={sync.status}
+              lastSyncedAt={sync.lastSyncedAt}
+              onSyncNow={sync.syncNow}
+              onOpenSettings={() => setShowSyncSettings(true)}
+            />
+            <ThemeSwitcher theme={theme} onChange={setTheme} />
+          </div>
           <h1 className="text-4xl font-bold text-gray-800 mb-2">Daily Progress Tracker</h1>
           <p className="text-gray-600">Track your daily habits and visualize your progress with priority scheduling</p>
         </div>
 
+        {/* Storage Warning */}
+        {['unavailable', 'quota-exceeded', 'error', 'legacy-unreadable'].includes(storageStatus) && (
+          <div className="flex items-center gap-3 mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800">
+            <AlertCircle className="h-5 w-5 flex-shrink-0" />
+            <p className="text-sm">
+              {storageStatus === 'unavailable' && 'Browser storage is unavailable (private browsing?). Changes will be lost when you close this tab.'}
+              {storageStatus === 'quota-exceeded' && 'Browser storage is full. Your latest changes could not be saved.'}
+              {storageStatus === 'error' && 'Your latest changes could not be saved.'}
+              {storageStatus === 'legacy-unreadable' && 'Habits saved by an older version of this app could not be read. They were left in browser storage, untouched.'}
+            </p>
+          </div>
+        )}
+
         {/* View Mode Selector */}
-        <div className="flex justify-center mb-6">
-          <div className="bg-white rounded-lg p-1 shadow-md">
+        <div className="flex flex-wrap items-center justify-center gap-4 mb-6">
+          <div className="bg-surface rounded-lg p-1 shadow-md">
             {['daily', 'weekly', 'monthly'].map((mode) => (
               <button
                 key={mode}
@@ -301,51 +895,185 @@ const DailyProgressTracker = () => {
               </button>
             ))}
           </div>
+
+          <div className="flex bg-surface rounded-lg p-1 shadow-md">
+            <button
+              onClick={exportJson}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all"
+              title="Download a full backup"
+            >
+              <Download className="h-4 w-4" />
+              JSON
+            </button>
+            <button
+              onClick={exportCsv}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all"
+              title="Download the history as a spreadsheet"
+            >
+              <Download className="h-4 w-4" />
+              CSV
+            </button>
+            <button
+              onClick={() => setShowReport(true)}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all"
+              title="Create a weekly or monthly report to share or print"
+            >
+              <FileText className="h-4 w-4" />
+              Report
+            </button>
+            <button
+              onClick={handleUndo}
+              disabled={!history.canUndo}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all disabled:opacity-40 disabled:hover:bg-transparent"
+              title={history.canUndo ? `Undo ${history.undoLabel.toLowerCase()}` : 'Nothing to undo'}
+            >
+              <Undo2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={!history.canRedo}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all disabled:opacity-40 disabled:hover:bg-transparent"
+              title={history.canRedo ? `Redo ${history.redoLabel.toLowerCase()}` : 'Nothing to redo'}
+            >
+              <Redo2 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              className="flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 hover:bg-gray-100 transition-all"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </button>
+          </div>
         </div>
 
+        {toast && (
+          <UndoToast
+            message={toast.message}
+            onUndo={handleUndo}
+            onDismiss={() => setToast(null)}
+          />
+        )}
+
+        {showImport && (
+          <ImportDialog
+            current={{ tasks, dailyCompletion, excusedDays, dayNotes }}
+            onApply={applyImport}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
+        {showSyncSettings && (
+          <SyncSettings
+            settings={syncSettings}
+            onSave={updateSyncSettings}
+            onClose={() => setShowSyncSettings(false)}
+          />
+        )}
+
+        {showPalette && (
+          <CommandPalette commands={getCommands()} onClose={() => setShowPalette(false)} />
+        )}
+
+        {showBadgeHistory && (
+          <BadgeHistory achievements={achievements} onClose={() => setShowBadgeHistory(false)} />
+        )}
+
+        <AchievementUnlock achievements={unlocked} onDismiss={() => setUnlocked(unlocked.slice(1))} />
+
+        {showCombined && (
+          <CombinedDashboard
+            profiles={profiles}
+            today={today}
+            chartTheme={chartTheme}
+            onClose={() => setShowCombined(false)}
+          />
+        )}
+
+        {showReport && (
+          <ReportDialog
+            tasks={tasks}
+            dailyCompletion={dailyCompletion}
+            excusedDays={excusedDays}
+            dayNotes={dayNotes}
+            today={today}
+            weekStart={weekStart}
+            title={profiles.length > 1 ? profiles.find(p => p.id === profileId)?.name : null}
+            getFilename={getExportFilename}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+
+        {editingNote && (
+          <NoteEditor
+            key={`${editingNote.date}-${editingNote.taskId}`}
+            {...getNoteTitle(editingNote)}
+            note={getNote(dayNotes, editingNote.date, editingNote.taskId)}
+            journal={editingNote.taskId === JOURNAL}
+            onSave={saveNote}
+            onClose={() => setEditingNote(null)}
+          />
+        )}
+
+        <FilterChips tasks={unfilteredActiveTasks} filter={taskFilter} onChange={setTaskFilter} />
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
-          <div className="bg-white rounded-xl p-6 shadow-lg border-l-4 border-blue-500 transform hover:scale-105 transition-transform">
+          <div className="bg-surface rounded-xl p-6 shadow-lg border-l-4 border-blue-500 transform hover:scale-105 transition-transform">
             <div className="flex items-center">
               <Target className="h-8 w-8 text-blue-500 mr-3" />
               <div>
                 <p className="text-sm text-gray-600">Overall Score</p>
                 <p className="text-2xl font-bold text-gray-800">{getOverallScore()}%</p>
+                <ChangeIndicator {...getAverageRateChange(activeTasks)} />
               </div>
             </div>
           </div>
           
-          <div className="bg-white rounded-xl p-6 shadow-lg border-l-4 border-green-500 transform hover:scale-105 transition-transform">
+          <div className="bg-surface rounded-xl p-6 shadow-lg border-l-4 border-green-500 transform hover:scale-105 transition-transform">
             <div className="flex items-center">
               <Calendar className="h-8 w-8 text-green-500 mr-3" />
               <div>
                 <p className="text-sm text-gray-600">Tracking Period</p>
-                <p className="text-2xl font-bold text-gray-800">{getDayLabel()}</p>
+                <p className="text-2xl font-bold text-gray-800">{getRangeLabel(range, weekStart, today)}</p>
               </div>
             </div>
           </div>
           
-          <div className="bg-white rounded-xl p-6 shadow-lg border-l-4 border-orange-500 transform hover:scale-105 transition-transform">
+          <div className="bg-surface rounded-xl p-6 shadow-lg border-l-4 border-orange-500 transform hover:scale-105 transition-transform">
             <div className="flex items-center">
               <TrendingUp className="h-8 w-8 text-orange-500 mr-3" />
               <div>
                 <p className="text-sm text-gray-600">
-                  {totalDays === 1 ? 'Completed Today' : 'Active Tasks'}
+                  {isTodayView ? 'Completed Today' : 'Active Tasks'}
                 </p>
                 <p className="text-2xl font-bold text-gray-800">
-                  {totalDays === 1 ? `${getTodayCompletionCount()}/${tasks.length}` : tasks.length}
+                  {isTodayView ? `${getTodayCompletionCount()}/${getTodayTaskCount()}` : activeTasks.length}
                 </p>
               </div>
             </div>
           </div>
           
-          <div className="bg-white rounded-xl p-6 shadow-lg border-l-4 border-purple-500 transform hover:scale-105 transition-transform">
+          <div
+            onClick={() => setShowBadgeHistory(true)}
+            className="bg-surface rounded-xl p-6 shadow-lg border-l-4 border-purple-500 transform hover:scale-105 transition-transform cursor-pointer"
+            title="Show badge history"
+          >
             <div className="flex items-center">
               <Award className="h-8 w-8 text-purple-500 mr-3" />
               <div>
-                <p className="text-sm text-gray-600">Best Streak</p>
+                <p className="text-sm text-gray-600">Longest Streak</p>
                 <p className="text-2xl font-bold text-gray-800">
-                  {Math.max(...tasks.map(task => getStreak(task.id)), 0)} days
+                  {longestStreak.longest} {longestStreak.unit}{longestStreak.longest === 1 ? '' : 's'}
+                </p>
+                <ChangeIndicator {...getLongestStreakChange()} />
+                {longestStreak.task && (
+                  <p className="text-xs text-gray-500" title={formatStreakRange(longestStreak)}>
+                    {longestStreak.task.name} • {formatStreakRange(longestStreak)}
+                  </p>
+                )}
+                <p className="text-xs text-purple-600">
+                  {getEarnedBadges(achievements).length} badge{getEarnedBadges(achievements).length === 1 ? '' : 's'} earned
                 </p>
               </div>
             </div>
@@ -354,13 +1082,14 @@ const DailyProgressTracker = () => {
 
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Task Management */}
-          <div className="bg-white rounded-xl p-6 shadow-lg">
+          <div className="bg-surface rounded-xl p-6 shadow-lg">
             <h2 className="text-2xl font-bold text-gray-800 mb-6">Task Management</h2>
             
             {/* Add New Task */}
             <div className="space-y-3 mb-6">
               <div className="flex gap-2">
                 <input
+                  ref={newTaskInputRef}
                   type="text"
                   value={newTaskName}
                   onChange={(e) => setNewTaskName(e.target.value)}
@@ -377,6 +1106,26 @@ const DailyProgressTracker = () => {
                   <option value="medium">Medium Priority</option>
                   <option value="low">Low Priority</option>
                 </select>
+                <select
+                  value={newTaskRoutine}
+                  onChange={(e) => setNewTaskRoutine(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  title="Routine"
+                >
+                  {ROUTINES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={newTaskKind}
+                  onChange={(e) => changeNewTaskKind(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  title="Kind"
+                >
+                  {HABIT_KINDS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
                 <button
                   onClick={addTask}
                   className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all transform hover:scale-105 flex items-center gap-2"
@@ -385,6 +1134,22 @@ const DailyProgressTracker = () => {
                   Add
                 </button>
               </div>
+              <ScheduleEditor
+                value={newTaskSchedule}
+                today={today}
+                types={newTaskKind === 'avoid' ? AVOIDANCE_SCHEDULE_TYPES : undefined}
+                onChange={setNewTaskSchedule}
+              />
+              {newTaskKind !== 'avoid' && (
+                <MeasurementEditor value={newTaskMeasurement} onChange={setNewTaskMeasurement} />
+              )}
+              <CategoryEditor
+                key={tasks.length}
+                category={newTaskCategory.category}
+                tags={newTaskCategory.tags}
+                categories={getCategories(tasks)}
+                onChange={setNewTaskCategory}
+              />
             </div>
 
             {/* Period Selector */}
@@ -392,158 +1157,510 @@ const DailyProgressTracker = () => {
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Tracking Period
               </label>
-              <select
-                value={totalDays}
-                onChange={(e) => setTotalDays(parseInt(e.target.value))}
-                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-              >
-                <option value={1}>Today only</option>
-                <option value={7}>Last 7 days</option>
-                <option value={14}>Last 14 days</option>
-                <option value={30}>Last 30 days</option>
-              </select>
+              <DateRangePicker value={range} weekStart={weekStart} today={today} onChange={setRange} />
+              <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+                Weeks start on
+                <select
+                  value={weekStart}
+                  onChange={(e) => setWeekStart(parseInt(e.target.value))}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {WEEKDAY_LABELS.map((label, day) => (
+                    <option key={day} value={day}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-600" title="Check-ins before this hour count for the previous day">
+                Day ends at
+                <select
+                  value={dayStartHour}
+                  onChange={(e) => setDayStartHour(parseInt(e.target.value))}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                >
+                  {DAY_START_HOURS.map(hour => (
+                    <option key={hour} value={hour}>{formatDayStartHour(hour)}</option>
+                  ))}
+                </select>
+              </label>
             </div>
 
             {/* Task List */}
             <div className="space-y-3">
-              {tasks.map((task, index) => (
-                <div 
-                  key={task.id} 
-                  className="flex items-center justify-between p-4 bg-gray-50 rounded-lg transform hover:scale-105 transition-all border-l-4"
-                  style={{ borderLeftColor: priorityColors[task.priority] }}
-                >
-                  <div className="flex items-center space-x-3 flex-1">
-                    <div className="flex items-center space-x-2">
-                      {getPriorityIcon(task.priority)}
-                      <div 
-                        className="w-4 h-4 rounded-full"
-                        style={{ backgroundColor: task.color }}
-                      />
-                    </div>
+              {getRoutineGroups(activeTasks).map(({ routine, tasks: routineTasks }) => (
+                <div key={routine || 'all'} className="space-y-3">
+                  {routine && (
+                    <RoutineHeader
+                      routine={routine}
+                      done={routineTasks.filter(task => isSuccess(task, dailyCompletion[todayKey]?.[task.id])).length}
+                      total={routineTasks.length}
+                      current={routine === currentRoutine}
+                      collapsed={collapsedRoutines.includes(routine)}
+                      onToggle={() => toggleRoutineCollapsed(routine)}
+                      onDragOver={(e) => dragTaskId && e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        dropInRoutine(routine);
+                      }}
+                    />
+                  )}
+                  {!collapsedRoutines.includes(routine) && routineTasks.map(task => (
+                    <div 
+                      key={task.id} 
+                      draggable={editingTask !== task.id}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        e.dataTransfer.setData('text/plain', String(task.id));
+                        setDragTaskId(task.id);
+                      }}
+                      onDragOver={(e) => {
+                        if (!canDropOn(task)) return;
+                        e.preventDefault();
+                        const { top, height } = e.currentTarget.getBoundingClientRect();
+                        setDropTarget({ taskId: task.id, after: e.clientY > top + height / 2 });
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        dropTask(task, dropTarget?.after);
+                      }}
+                      onDragEnd={endDrag}
+                      className={`flex items-center justify-between p-4 bg-gray-50 rounded-lg transform hover:scale-105 transition-all border-l-4 ${
+                        dragTaskId === task.id ? 'opacity-50' : ''
+                      } ${dropTarget?.taskId === task.id ? (dropTarget.after ? 'shadow-[0_3px_0_0_#3B82F6]' : 'shadow-[0_-3px_0_0_#3B82F6]') : ''}`}
+                      style={{ borderLeftColor: PRIORITY_COLORS[task.priority] }}
+                    >
+                      <div className="flex items-center space-x-3 flex-1">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onKeyDown={(e) => {
+                              if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                                e.preventDefault();
+                                nudgeTask(task, e.key === 'ArrowUp' ? -1 : 1);
+                              }
+                            }}
+                            className="p-0.5 -ml-2 text-gray-300 hover:text-gray-500 cursor-grab rounded"
+                            title="Drag to reorder within its priority, or focus and press ↑/↓"
+                          >
+                            <GripVertical className="h-4 w-4" />
+                          </button>
+                          {getPriorityIcon(task.priority)}
+                          <HabitIcon task={task} size={18} />
+                        </div>
                     
-                    {editingTask === task.id ? (
-                      <div className="flex items-center space-x-2 flex-1">
-                        <input
-                          type="text"
-                          defaultValue={task.name}
-                          className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
-                          onKeyPress={(e) => {
-                            if (e.key === 'Enter') {
-                              updateTask(task.id, { name: e.target.value });
-                            }
-                          }}
-                          autoFocus
-                        />
-                        <select
-                          defaultValue={task.priority}
-                          onChange={(e) => updateTask(task.id, { priority: e.target.value })}
-                          className="px-2 py-1 border border-gray-300 rounded text-sm"
+                        {editingTask === task.id ? (
+                          <div className="flex-1 space-y-2">
+                            <div className="flex items-center space-x-2">
+                              <input
+                                type="text"
+                                defaultValue={task.name}
+                                className="flex-1 px-2 py-1 border border-gray-300 rounded text-sm"
+                                onKeyPress={(e) => {
+                                  if (e.key === 'Enter') {
+                                    updateTask(task.id, { name: e.target.value });
+                                  }
+                                }}
+                                autoFocus
+                              />
+                              <select
+                                defaultValue={task.priority}
+                                onChange={(e) => updateTask(task.id, { priority: e.target.value })}
+                                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                              >
+                                <option value="high">High</option>
+                                <option value="medium">Medium</option>
+                                <option value="low">Low</option>
+                              </select>
+                              <select
+                                value={getRoutine(task)}
+                                onChange={(e) => applyTaskUpdates(task.id, getRoutineUpdate(task, e.target.value))}
+                                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                                title="Routine"
+                              >
+                                {ROUTINES.map(({ value, label }) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                              <select
+                                value={task.kind || 'build'}
+                                onChange={(e) => setTaskKind(task.id, e.target.value)}
+                                className="px-2 py-1 border border-gray-300 rounded text-sm"
+                                title="Kind"
+                              >
+                                {HABIT_KINDS.map(({ value, label }) => (
+                                  <option key={value} value={value}>{label}</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => setEditingTask(null)}
+                                className="p-1 text-green-500 hover:bg-green-50 rounded"
+                              >
+                                <Save className="h-4 w-4" />
+                              </button>
+                            </div>
+                            <ScheduleEditor
+                              compact
+                              value={task.schedule || DEFAULT_SCHEDULE}
+                              today={today}
+                              types={isAvoidance(task) ? AVOIDANCE_SCHEDULE_TYPES : undefined}
+                              onChange={(schedule) => applyTaskUpdates(task.id, { schedule })}
+                            />
+                            {!isAvoidance(task) && (
+                              <MeasurementEditor
+                                compact
+                                value={getMeasurement(task)}
+                                onChange={(measurement) => applyTaskUpdates(task.id, { measurement })}
+                              />
+                            )}
+                            <CategoryEditor
+                              compact
+                              category={task.category}
+                              tags={task.tags || []}
+                              categories={getCategories(tasks)}
+                              onChange={({ category, tags }) => applyTaskUpdates(task.id, { category: category || undefined, tags })}
+                            />
+                            <HabitAppearanceEditor
+                              task={task}
+                              onChange={(updates) => applyTaskUpdates(task.id, updates)}
+                            />
+                            {!isAvoidance(task) && (
+                              <GoalEditor
+                                goals={task.goals}
+                                today={today}
+                                onChange={(goals) => applyTaskUpdates(task.id, { goals })}
+                              />
+                            )}
+                            <LifecycleEditor
+                              task={task}
+                              today={today}
+                              onChange={(updates) => applyTaskUpdates(task.id, updates)}
+                              onPause={() => pauseTask(task.id)}
+                              onResume={() => resumeTask(task.id)}
+                            />
+                            {!isAvoidance(task) && (
+                              <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                                <Bell className="h-4 w-4" />
+                                Remind me at
+                                <input
+                                  type="time"
+                                  value={task.reminder || ''}
+                                  onChange={(e) => setReminder(task.id, e.target.value)}
+                                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                                />
+                                {task.reminder && (
+                                  <button
+                                    onClick={() => setReminder(task.id, null)}
+                                    className="text-xs text-gray-500 hover:text-gray-700"
+                                  >
+                                    Clear
+                                  </button>
+                                )}
+                                {task.reminder && !notificationsSupported() && (
+                                  <span className="text-xs text-red-500">This browser can't show notifications</span>
+                                )}
+                                {task.reminder && notificationsSupported() && Notification.permission === 'denied' && (
+                                  <span className="text-xs text-red-500">Notifications are blocked for this site</span>
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        ) : (
+                          <div className="flex-1">
+                            <div className="flex items-center space-x-2">
+                              <span className="font-medium text-gray-800">{task.name}</span>
+                              <span className="text-xs px-2 py-1 rounded-full bg-gray-200 text-gray-600">
+                                {task.priority}
+                              </span>
+                              {isAvoidance(task) && (
+                                <span className="text-xs px-2 py-1 rounded-full bg-red-100 text-red-600">breaking</span>
+                              )}
+                              <span className="text-xs text-gray-500">
+                                {describeSchedule(task.schedule)}
+                              </span>
+                              {task.category && (
+                                <span
+                                  className="text-xs px-2 py-0.5 rounded-full text-white"
+                                  style={{ backgroundColor: getCategoryColor(task.category) }}
+                                >
+                                  {task.category}
+                                </span>
+                              )}
+                              {(task.tags || []).map(tag => (
+                                <span key={tag} className="text-xs text-blue-600">#{tag}</span>
+                              ))}
+                              {task.reminder && !isAvoidance(task) && (
+                                <span className="flex items-center gap-1 text-xs text-gray-500" title="Reminder">
+                                  <Bell className="h-3 w-3" />
+                                  {task.reminder}
+                                </span>
+                              )}
+                              {describeLifecycle(task, today) && (
+                                <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-500">
+                                  {describeLifecycle(task, today)}
+                                </span>
+                              )}
+                            </div>
+                            <div className="text-sm text-gray-600">
+                              {isTodayView ? (
+                                isAvoidance(task)
+                                  ? dailyCompletion[todayKey]?.[task.id] ? 'Slipped today' : formatDaysClean(getStreak(task.id).current)
+                                  : isQuantitative(task)
+                                  ? `${formatValue(task, dailyCompletion[todayKey]?.[task.id])} today`
+                                  : dailyCompletion[todayKey]?.[task.id]
+                                    ? 'Completed today'
+                                    : getExcuse(excusedDays, todayKey, task.id)
+                                      ? `${getExcuseLabel(getExcuse(excusedDays, todayKey, task.id))} day`
+                                      : getInactiveReason(task, today)
+                                        ? getInactiveLabel(getInactiveReason(task, today))
+                                        : isDueOn(task, today, dailyCompletion, weekStart) ? 'Not completed today' : 'Not due today'
+                              ) : isAvoidance(task) ? (
+                                <>
+                                  {getTaskCompletionRate(task.id) ?? '–'}% clean days <ChangeIndicator {...getRateChange(task)} />
+                                  {` • ${formatDaysClean(getStreak(task.id).current)} `}<ChangeIndicator {...getStreakChange(task)} />
+                                  {` (best ${getStreak(task.id).longest}) • ${countSlips(dailyCompletion, task)} slips`}
+                                </>
+                              ) : (
+                                <>
+                                  {getTaskCompletionRate(task.id) ?? '–'}% completed <ChangeIndicator {...getRateChange(task)} />
+                                  {` • ${getStreak(task.id).current} ${getStreak(task.id).unit} streak `}<ChangeIndicator {...getStreakChange(task)} />
+                                  {` (best ${getStreak(task.id).longest}) • ${getStreak(task.id).totalCompletions} total`}
+                                </>
+                              )}
+                            </div>
+                            {getNote(dayNotes, todayKey, task.id) && (
+                              <div className="text-xs text-gray-500 italic truncate">
+                                {describeNote(getNote(dayNotes, todayKey, task.id))}
+                              </div>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                  
+                      <div className="flex items-center gap-2">
+                        {isQuantitative(task) ? (
+                          <ValueStepper
+                            task={task}
+                            value={dailyCompletion[todayKey]?.[task.id]}
+                            onChange={(value) => setTaskValue(task.id, value)}
+                          />
+                        ) : (
+                          <button
+                            onClick={() => toggleTaskCompletion(task.id)}
+                            className={`px-3 py-1 rounded-lg text-sm font-medium transition-all transform hover:scale-105 ${
+                              dailyCompletion[todayKey]?.[task.id]
+                                ? isAvoidance(task) ? 'bg-red-500 text-white' : 'bg-green-500 text-white'
+                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                            }`}
+                          >
+                            {isAvoidance(task)
+                              ? dailyCompletion[todayKey]?.[task.id] ? 'Slipped Today' : 'Log Slip'
+                              : dailyCompletion[todayKey]?.[task.id] ? 'Done Today' : 'Mark Done'}
+                          </button>
+                        )}
+                    
+                        <button
+                          onClick={() => toggleSkip(task.id)}
+                          className={`p-1 rounded transition-colors ${
+                            excusedDays[todayKey]?.[task.id]
+                              ? 'text-orange-500 bg-orange-50'
+                              : 'text-gray-400 hover:bg-gray-100'
+                          }`}
+                          title={excusedDays[todayKey]?.[task.id] ? 'Unskip today' : 'Skip today'}
+                        >
+                          <SkipForward className="h-4 w-4" />
+                        </button>
+
+                        <button
+                          onClick={() => setEditingNote({ date: todayKey, taskId: task.id })}
+                          className={`p-1 rounded transition-colors ${
+                            getNote(dayNotes, todayKey, task.id)
+                              ? 'text-blue-500 bg-blue-50'
+                              : 'text-gray-400 hover:bg-gray-100'
+                          }`}
+                          title={getNote(dayNotes, todayKey, task.id) ? "Edit today's note" : 'Add a note for today'}
                         >
-                          <option value="high">High</option>
-                          <option value="medium">Medium</option>
-                          <option value="low">Low</option>
-                        </select>
+                          <StickyNote className="h-4 w-4" />
+                        </button>
+
+                        {editingTask !== task.id && (
+                          <button
+                            onClick={() => setEditingTask(task.id)}
+                            className="p-1 text-blue-500 hover:bg-blue-50 rounded transition-colors"
+                          >
+                            <Edit2 className="h-4 w-4" />
+                          </button>
+                        )}
+                    
                         <button
-                          onClick={() => setEditingTask(null)}
-                          className="p-1 text-green-500 hover:bg-green-50 rounded"
+                          onClick={() => archiveTask(task.id)}
+                          className="p-1 text-red-500 hover:bg-red-50 rounded transition-all transform hover:scale-110"
+                          title="Archive"
                         >
-                          <Save className="h-4 w-4" />
+                          <Archive className="h-4 w-4" />
                         </button>
                       </div>
-                    ) : (
-                      <div className="flex-1">
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            {/* Archived Tasks */}
+            {archivedTasks.length > 0 && (
+              <div className="mt-6">
+                <button
+                  onClick={() => setShowArchived(!showArchived)}
+                  className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  <span>Archived habits ({archivedTasks.length})</span>
+                  {showArchived ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                </button>
+
+                {showArchived && (
+                  <div className="mt-3 space-y-2">
+                    {archivedTasks.map(task => (
+                      <div key={task.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg opacity-75">
                         <div className="flex items-center space-x-2">
-                          <span className="font-medium text-gray-800">{task.name}</span>
-                          <span className="text-xs px-2 py-1 rounded-full bg-gray-200 text-gray-600">
-                            {task.priority}
+                          <HabitIcon task={task} />
+                          <span className="text-gray-700">{task.name}</span>
+                          <span className="text-xs text-gray-500">
+                            archived {(task.archivedOn ? parseDateKey(task.archivedOn) : new Date(task.archivedAt)).toLocaleDateString()}
                           </span>
                         </div>
-                        <div className="text-sm text-gray-600">
-                          {totalDays === 1 ? (
-                            dailyCompletion[getTodayDate()]?.[task.id] ? 'Completed today' : 'Not completed today'
-                          ) : (
-                            `${getTaskCompletionRate(task.id)}% completed • ${getStreak(task.id)} day streak`
-                          )}
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => restoreTask(task.id)}
+                            className="p-1 text-blue-500 hover:bg-blue-50 rounded transition-colors"
+                            title="Restore"
+                          >
+                            <ArchiveRestore className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => purgeTask(task.id)}
+                            className="p-1 text-red-500 hover:bg-red-50 rounded transition-colors"
+                            title="Delete permanently"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
                         </div>
                       </div>
-                    )}
+                    ))}
                   </div>
-                  
-                  <div className="flex items-center gap-2">
-                    <button
-                      onClick={() => toggleTaskCompletion(task.id)}
-                      className={`px-3 py-1 rounded-lg text-sm font-medium transition-all transform hover:scale-105 ${
-                        dailyCompletion[getTodayDate()]?.[task.id]
-                          ? 'bg-green-500 text-white'
-                          : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                      }`}
-                    >
-                      {dailyCompletion[getTodayDate()]?.[task.id] ? 'Done Today' : 'Mark Done'}
-                    </button>
-                    
-                    {editingTask !== task.id && (
-                      <button
-                        onClick={() => setEditingTask(task.id)}
-                        className="p-1 text-blue-500 hover:bg-blue-50 rounded transition-colors"
-                      >
-                        <Edit2 className="h-4 w-4" />
-                      </button>
-                    )}
-                    
-                    <button
-                      onClick={() => removeTask(task.id)}
-                      className="p-1 text-red-500 hover:bg-red-50 rounded transition-all transform hover:scale-110"
-                    >
-                      <X className="h-4 w-4" />
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Visualization */}
-          <div className="bg-white rounded-xl p-6 shadow-lg">
+          <div className="bg-surface rounded-xl p-6 shadow-lg">
             <div className="flex items-center justify-between mb-6">
               <h2 className="text-2xl font-bold text-gray-800">Progress Visualization</h2>
-              <button
-                onClick={() => setShowSummaries(!showSummaries)}
-                className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
-              >
-                <span className="text-sm">Summaries</span>
-                {showSummaries ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
-              </button>
+              <div className="flex items-center gap-2">
+                {(viewMode === 'weekly' || viewMode === 'monthly') && (
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="number"
+                      min={1}
+                      max={viewMode === 'weekly' ? 52 : 24}
+                      value={viewMode === 'weekly' ? weekCount : monthCount}
+                      onChange={(e) => {
+                        const count = Math.min(Math.max(parseInt(e.target.value) || 1, 1), viewMode === 'weekly' ? 52 : 24);
+                        if (viewMode === 'weekly') {
+                          setWeekCount(count);
+                        } else {
+                          setMonthCount(count);
+                        }
+                      }}
+                      className="w-14 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    />
+                    {viewMode === 'weekly' ? 'weeks' : 'months'}
+                  </label>
+                )}
+                {(viewMode === 'weekly' || viewMode === 'monthly') && !(groupByCategory && !getChartTask()) && (
+                  <label className="flex items-center gap-1 text-sm text-gray-600" title="Overlay the period before">
+                    <input
+                      type="checkbox"
+                      checked={comparePeriods}
+                      onChange={(e) => setComparePeriods(e.target.checked)}
+                    />
+                    Compare
+                  </label>
+                )}
+                {hasCategories(activeTasks) && (!getChartTask() || viewMode === 'daily') && (
+                  <select
+                    value={chartGroup}
+                    onChange={(e) => setChartGroup(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="habit">{viewMode === 'daily' ? 'By habit' : 'All habits'}</option>
+                    <option value="category">By category</option>
+                  </select>
+                )}
+                {activeTasks.some(isQuantitative) && (
+                  <select
+                    value={chartMetric}
+                    onChange={(e) => setChartMetric(e.target.value === 'percent' ? 'percent' : Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="percent">Completion %</option>
+                    {activeTasks.filter(isQuantitative).map(task => (
+                      <option key={task.id} value={task.id}>
+                        {task.name}{getUnit(task) && ` (${getUnit(task)})`}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  onClick={() => setShowSummaries(!showSummaries)}
+                  className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  <span className="text-sm">Summaries</span>
+                  {showSummaries ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                </button>
+              </div>
             </div>
             
-            {viewMode === 'daily' && tasks.length > 0 && (
+            {viewMode === 'daily' && getChartTask() && (
+              <div className="h-96">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={getDailyValues(getChartTask())}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+                    <XAxis dataKey="day" stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    <YAxis stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    <Tooltip contentStyle={chartTheme.tooltip} formatter={(value) => [`${value} ${getUnit(getChartTask())}`, getChartTask().name]} />
+                    <ReferenceLine y={getMeasurement(getChartTask()).target} stroke={PRIORITY_COLORS.high} strokeDasharray="4 4" />
+                    <Bar dataKey="value" fill={getChartTask().color} radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            {viewMode === 'daily' && !getChartTask() && activeTasks.length > 0 && (
               <div className="h-96">
                 <ResponsiveContainer width="100%" height="100%">
-                  <RadarChart data={getRadarData()}>
-                    <PolarGrid gridType="polygon" className="opacity-30" />
+                  <RadarChart data={radarData}>
+                    <PolarGrid gridType="polygon" stroke={chartTheme.grid} />
                     <PolarAngleAxis 
                       dataKey="task" 
-                      tick={{ fontSize: 12, fill: '#4B5563' }}
-                      className="text-gray-600"
+                      tick={(props) => <RadarTick {...props} habit={radarData[props.index]?.habit} fill={chartTheme.axis} />}
                     />
                     <PolarRadiusAxis 
                       angle={0} 
                       domain={[0, 100]} 
-                      tick={{ fontSize: 10, fill: '#9CA3AF' }}
+                      tick={{ fontSize: 10, fill: chartTheme.mutedAxis }}
                       tickCount={6}
                     />
                     <Radar
                       name="Completion Rate"
                       dataKey="completion"
-                      stroke="#8B5CF6"
+                      stroke={chartTheme.accent}
                       fill="url(#colorGradient)"
                       fillOpacity={0.3}
                       strokeWidth={3}
-                      dot={{ fill: '#8B5CF6', strokeWidth: 2, r: 6 }}
+                      dot={{ fill: chartTheme.accent, strokeWidth: 2, r: 6 }}
                     />
                     <defs>
                       <linearGradient id="colorGradient" x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="5%" stopColor="#8B5CF6" stopOpacity={0.8}/>
-                        <stop offset="95%" stopColor="#8B5CF6" stopOpacity={0.1}/>
+                        <stop offset="5%" stopColor={chartTheme.accent} stopOpacity={0.8}/>
+                        <stop offset="95%" stopColor={chartTheme.accent} stopOpacity={0.1}/>
                       </linearGradient>
                     </defs>
                   </RadarChart>
@@ -555,11 +1672,42 @@ const DailyProgressTracker = () => {
               <div className="h-96">
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart data={getWeeklySummary()}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="week" />
-                    <YAxis domain={[0, 100]} />
-                    <Tooltip formatter={(value) => [`${value}%`, 'Completion Rate']} />
-                    <Bar dataKey="completion" fill="#8B5CF6" radius={[4, 4, 0, 0]} />
+                    <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+                    <XAxis dataKey="week" stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    {getChartTask() ? (
+                      <YAxis stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    ) : (
+                      <YAxis domain={[0, 100]} stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    )}
+                    {groupByCategory && !getChartTask() ? (
+                      <>
+                        <Tooltip contentStyle={chartTheme.tooltip} formatter={(value) => `${value}%`} />
+                        <Legend />
+                        {getCategories(activeTasks).map(category => (
+                          <Bar
+                            key={category}
+                            name={category}
+                            dataKey={(week) => week.categories[category]}
+                            fill={getCategoryColor(category)}
+                            radius={[4, 4, 0, 0]}
+                          />
+                        ))}
+                      </>
+                    ) : (
+                      <>
+                        <Tooltip contentStyle={chartTheme.tooltip} formatter={formatChartValue} />
+                        {isComparing && <Legend />}
+                        {isComparing && (
+                          <Bar dataKey="previous" name={`Previous ${weekCount} weeks`} fill={chartTheme.mutedAxis} radius={[4, 4, 0, 0]} />
+                        )}
+                        <Bar
+                          dataKey={getChartTask() ? 'value' : 'completion'}
+                          name={getChartTask() ? getChartTask().name : 'Completion Rate'}
+                          fill={chartTheme.accent}
+                          radius={[4, 4, 0, 0]}
+                        />
+                      </>
+                    )}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
@@ -569,23 +1717,60 @@ const DailyProgressTracker = () => {
               <div className="h-96">
                 <ResponsiveContainer width="100%" height="100%">
                   <LineChart data={getMonthlySummary()}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="month" />
-                    <YAxis domain={[0, 100]} />
-                    <Tooltip formatter={(value) => [`${value}%`, 'Completion Rate']} />
-                    <Line 
-                      type="monotone" 
-                      dataKey="completion" 
-                      stroke="#8B5CF6" 
-                      strokeWidth={3}
-                      dot={{ fill: '#8B5CF6', strokeWidth: 2, r: 6 }}
-                    />
+                    <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+                    <XAxis dataKey="month" stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    {getChartTask() ? (
+                      <YAxis stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    ) : (
+                      <YAxis domain={[0, 100]} stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                    )}
+                    {groupByCategory && !getChartTask() ? (
+                      <>
+                        <Tooltip contentStyle={chartTheme.tooltip} formatter={(value) => `${value}%`} />
+                        <Legend />
+                        {getCategories(activeTasks).map(category => (
+                          <Line
+                            key={category}
+                            type="monotone"
+                            name={category}
+                            dataKey={(month) => month.categories[category]}
+                            stroke={getCategoryColor(category)}
+                            strokeWidth={3}
+                            dot={{ fill: getCategoryColor(category), strokeWidth: 2, r: 5 }}
+                          />
+                        ))}
+                      </>
+                    ) : (
+                      <>
+                        <Tooltip contentStyle={chartTheme.tooltip} formatter={formatChartValue} />
+                        {isComparing && <Legend />}
+                        <Line 
+                          type="monotone" 
+                          dataKey={getChartTask() ? 'value' : 'completion'} 
+                          name={getChartTask() ? getChartTask().name : 'Completion Rate'}
+                          stroke={chartTheme.accent} 
+                          strokeWidth={3}
+                          dot={{ fill: chartTheme.accent, strokeWidth: 2, r: 6 }}
+                        />
+                        {isComparing && (
+                          <Line
+                            type="monotone"
+                            dataKey="previous"
+                            name={`Previous ${monthCount} months`}
+                            stroke={chartTheme.mutedAxis}
+                            strokeWidth={2}
+                            strokeDasharray="5 5"
+                            dot={{ fill: chartTheme.mutedAxis, r: 4 }}
+                          />
+                        )}
+                      </>
+                    )}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
             )}
 
-            {tasks.length === 0 && (
+            {activeTasks.length === 0 && (
               <div className="h-96 flex items-center justify-center text-gray-500">
                 <div className="text-center">
                   <Target className="h-16 w-16 mx-auto mb-4 opacity-50" />
@@ -600,7 +1785,7 @@ const DailyProgressTracker = () => {
                 {viewMode === 'weekly' && (
                   <div className="p-4 bg-blue-50 rounded-lg">
                     <h3 className="font-semibold text-blue-800 mb-2">Weekly Summary</h3>
-                    <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div className="space-y-1 text-sm">
                       {getWeeklySummary().map((week, index) => (
                         <div key={index} className="flex justify-between">
                           <span>{week.week}:</span>
@@ -629,17 +1814,16 @@ const DailyProgressTracker = () => {
                   <h3 className="font-semibold text-purple-800 mb-2">Priority Breakdown</h3>
                   <div className="grid grid-cols-3 gap-2 text-sm">
                     {['high', 'medium', 'low'].map(priority => {
-                      const priorityTasks = tasks.filter(task => task.priority === priority);
-                      const avgCompletion = priorityTasks.length > 0 
-                        ? Math.round(priorityTasks.reduce((sum, task) => sum + getTaskCompletionRate(task.id), 0) / priorityTasks.length)
-                        : 0;
+                      const priorityTasks = activeTasks.filter(task => task.priority === priority);
+                      const avgCompletion = tracker.averageRate(getRatedTasks(priorityTasks)) ?? 0;
                       
                       return (
                         <div key={priority} className="text-center">
                           <div className="font-medium capitalize">{priority}</div>
-                          <div className="text-lg font-bold" style={{ color: priorityColors[priority] }}>
+                          <div className="text-lg font-bold" style={{ color: PRIORITY_COLORS[priority] }}>
                             {avgCompletion}%
                           </div>
+                          <ChangeIndicator {...getAverageRateChange(priorityTasks)} />
                           <div className="text-xs text-gray-600">
                             {priorityTasks.length} tasks
                           </div>
@@ -649,16 +1833,36 @@ const DailyProgressTracker = () => {
                   </div>
                 </div>
 
+                {hasCategories(activeTasks) && (
+                  <div className="p-4 bg-teal-50 rounded-lg">
+                    <h3 className="font-semibold text-teal-800 mb-2">Category Breakdown</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                      {getCategoryRates().map(({ category, count, rate }) => (
+                        <div key={category} className="text-center">
+                          <div className="font-medium">{category}</div>
+                          <div className="text-lg font-bold" style={{ color: getCategoryColor(category) }}>
+                            {rate ?? 0}%
+                          </div>
+                          <ChangeIndicator {...getAverageRateChange(activeTasks.filter(task => getCategory(task) === category))} />
+                          <div className="text-xs text-gray-600">
+                            {count} tasks
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Today's Summary for 1-day view */}
-                {totalDays === 1 && (
+                {isTodayView && (
                   <div className="p-4 bg-indigo-50 rounded-lg">
                     <h3 className="font-semibold text-indigo-800 mb-2">Today's Progress</h3>
                     <div className="text-center">
                       <div className="text-3xl font-bold text-indigo-600 mb-1">
-                        {getTodayCompletionCount()}/{tasks.length}
+                        {getTodayCompletionCount()}/{getTodayTaskCount()}
                       </div>
                       <div className="text-sm text-gray-600">
-                        {tasks.length > 0 ? `${Math.round((getTodayCompletionCount() / tasks.length) * 100)}% completed` : 'No tasks yet'}
+                        {getTodayTaskCount() > 0 ? `${Math.round((getTodayCompletionCount() / getTodayTaskCount()) * 100)}% completed` : activeTasks.length > 0 ? 'Nothing due today' : 'No tasks yet'}
                       </div>
                     </div>
                   </div>
@@ -669,52 +1873,248 @@ const DailyProgressTracker = () => {
         </div>
 
         {/* Daily View */}
-        <div className="mt-8 bg-white rounded-xl p-6 shadow-lg">
+        <div className="mt-8 bg-surface rounded-xl p-6 shadow-lg">
           <h2 className="text-2xl font-bold text-gray-800 mb-6">
-            {totalDays === 1 ? "Today's Tasks" : "Daily History"}
+            {isTodayView ? "Today's Tasks" : "Daily History"}
           </h2>
+
+          <p className="-mt-4 mb-4 text-xs text-gray-400">
+            Use the arrow keys to move between days and habits, Space to toggle. Press 1–9 for today's habits or Ctrl+K for all commands.
+          </p>
+
+          {getPeriodDates().length > MAX_HISTORY_COLUMNS && (
+            <p className="-mt-4 mb-4 text-sm text-gray-500">
+              Showing the last {MAX_HISTORY_COLUMNS} days of the range. Open the calendar below for the rest.
+            </p>
+          )}
           
           <div className="overflow-x-auto">
-            <div className="flex space-x-2 pb-4">
-              {getPeriodDates().reverse().map((date, index) => (
-                <div key={index} className="flex-shrink-0 w-24">
+            <div className="flex space-x-2 pb-4" onKeyDown={handleHistoryKeyDown}>
+              {getPeriodDates().reverse().slice(0, MAX_HISTORY_COLUMNS).map((date, column) => (
+                <div key={toDateKey(date)} className="flex-shrink-0 w-24">
                   <div className="text-center mb-2">
                     <div className="text-xs text-gray-500">
                       {date.toLocaleDateString('en-US', { weekday: 'short' })}
                     </div>
-                    <div className="text-sm font-medium text-gray-700">
+                    <div className="flex items-center justify-center gap-1 text-sm font-medium text-gray-700">
                       {date.getDate()}
+                      <button
+                        onClick={() => setEditingNote({ date: toDateKey(date), taskId: JOURNAL })}
+                        className={`p-0.5 rounded ${getNote(dayNotes, toDateKey(date), JOURNAL) ? 'text-blue-500' : 'text-gray-300 hover:text-gray-500'}`}
+                        title={describeNote(getNote(dayNotes, toDateKey(date), JOURNAL)) || 'Write a journal entry'}
+                      >
+                        <BookOpen className="h-3 w-3" />
+                      </button>
                     </div>
+                    <select
+                      value={excusedDays[toDateKey(date)]?.[ALL_TASKS] || ''}
+                      onChange={(e) => excuseDay(toDateKey(date), ALL_TASKS, e.target.value || null)}
+                      className="mt-1 w-full text-xs text-gray-500 bg-transparent border border-gray-200 rounded"
+                      title="Mark the whole day"
+                    >
+                      <option value="">—</option>
+                      {EXCUSE_REASONS.map(({ value, label, symbol }) => (
+                        <option key={value} value={value}>{symbol} {label}</option>
+                      ))}
+                    </select>
                   </div>
                   
                   <div className="space-y-1">
-                    {tasks.map(task => {
-                      const dateStr = date.toISOString().split('T')[0];
-                      const isCompleted = dailyCompletion[dateStr]?.[task.id];
-                      return (
-                        <button
-                          key={task.id}
-                          onClick={() => toggleTaskCompletion(task.id, dateStr)}
-                          className={`w-full h-6 rounded text-xs font-medium transition-all transform hover:scale-105 ${
-                            isCompleted 
-                              ? 'text-white shadow-sm'
-                              : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
-                          }`}
-                          style={{ 
-                            backgroundColor: isCompleted ? task.color : undefined 
-                          }}
-                          title={`${task.name} - ${date.toLocaleDateString()}`}
-                        >
-                          {isCompleted ? '✓' : '○'}
-                        </button>
-                      );
-                    })}
+                    {getRoutineGroups(activeTasks).map(({ routine, tasks: routineTasks }) => (
+                      <div
+                        key={routine || 'all'}
+                        className={`space-y-1 ${isTodayView && routine === currentRoutine ? '-mx-1 p-1 rounded-lg bg-purple-50 ring-1 ring-purple-200' : ''}`}
+                      >
+                        {routine && (
+                          <div className={`text-[10px] uppercase tracking-wide text-center ${routine === currentRoutine ? 'text-purple-600 font-semibold' : 'text-gray-400'}`}>
+                            {getRoutineLabel(routine)}
+                          </div>
+                        )}
+                        {routineTasks.map(task => {
+                          const row = activeTasks.indexOf(task);
+                          const dateStr = toDateKey(date);
+                          const value = dailyCompletion[dateStr]?.[task.id];
+                          // Slips on avoidance habits show in red rather than as completions
+                          const slipped = isAvoidance(task) && Boolean(value);
+                          const ratio = isAvoidance(task) ? 0 : getCompletionRatio(task, value);
+                          const isCompleted = ratio >= 1;
+                          const isDue = isDueOn(task, date, dailyCompletion, weekStart);
+                          const excuse = getExcuse(excusedDays, dateStr, task.id);
+                          const inactive = getInactiveReason(task, date);
+                          const note = getNote(dayNotes, dateStr, task.id);
+
+                          if (editingCell?.taskId === task.id && editingCell.date === dateStr) {
+                            const commit = (rawValue) => {
+                              setTaskValue(task.id, Math.max(parseFloat(rawValue) || 0, 0), dateStr);
+                              setEditingCell(null);
+                            };
+                            return (
+                              <input
+                                key={task.id}
+                                type="number"
+                                min={0}
+                                defaultValue={getNumericValue(value)}
+                                className="w-full h-6 px-1 border border-blue-400 rounded text-xs"
+                                onKeyDown={(e) => {
+                                  if (e.key === 'Enter') commit(e.target.value);
+                                  if (e.key === 'Escape') setEditingCell(null);
+                                }}
+                                onBlur={(e) => commit(e.target.value)}
+                                autoFocus
+                              />
+                            );
+                          }
+
+                          return (
+                            <button
+                              key={task.id}
+                              data-cell={`${column},${row}`}
+                              onClick={(e) => e.shiftKey
+                                ? setEditingNote({ date: dateStr, taskId: task.id })
+                                : isQuantitative(task)
+                                  ? setEditingCell({ taskId: task.id, date: dateStr })
+                                  : toggleTaskCompletion(task.id, dateStr)}
+                              onContextMenu={(e) => {
+                                e.preventDefault();
+                                toggleSkip(task.id, dateStr);
+                              }}
+                              className={`relative w-full h-6 rounded text-xs font-medium transition-all transform hover:scale-105 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-400 ${
+                                ratio > 0
+                                  ? 'text-white shadow-sm'
+                                  : slipped
+                                    ? 'bg-red-100 hover:bg-red-200 text-red-600'
+                                  : inactive
+                                    ? 'bg-gray-50 hover:bg-gray-100 text-gray-300'
+                                    : excuse
+                                    ? 'bg-orange-50 hover:bg-orange-100 text-orange-400'
+                                    : isDue
+                                    ? isAvoidance(task) ? 'bg-green-50 hover:bg-green-100 text-green-600' : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+                                    : 'bg-surface border border-dashed border-gray-200 hover:bg-gray-50 text-gray-300'
+                              }`}
+                              style={{ 
+                                backgroundColor: ratio > 0 ? task.color : undefined,
+                                opacity: ratio > 0 ? 0.35 + 0.65 * ratio : undefined
+                              }}
+                              title={`${task.name} - ${date.toLocaleDateString()}${isQuantitative(task) ? ` - ${formatValue(task, value)}` : slipped ? ' - Slipped' : ''}${inactive ? ` (${getInactiveLabel(inactive)})` : excuse ? ` (${getExcuseLabel(excuse)})` : isDue ? '' : ' (not due)'}${note ? `\n${describeNote(note)}` : ''}\nRight-click to skip, Shift+click for a note`}
+                            >
+                              {isQuantitative(task) && value
+                                ? getNumericValue(value)
+                                : isCompleted
+                                  ? (task.icon ? <HabitIcon task={task} size={14} color="currentColor" className="inline-block" /> : '✓')
+                                  : slipped ? '✗' : inactive ? '·' : excuse ? getExcuseSymbol(excuse) : isDue ? (isAvoidance(task) ? '✓' : '○') : '–'}
+                              {note && <span className="absolute top-0.5 right-0.5 w-1.5 h-1.5 rounded-full bg-blue-600" />}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    ))}
                   </div>
                 </div>
               ))}
             </div>
           </div>
         </div>
+
+        {/* Insights */}
+        <div className="mt-8 bg-surface rounded-xl p-6 shadow-lg">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-bold text-gray-800">Insights</h2>
+            <button
+              onClick={() => setShowInsights(!showInsights)}
+              className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <span className="text-sm">{showInsights ? 'Hide' : 'Show'}</span>
+              {showInsights ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+            </button>
+          </div>
+
+          {showInsights && (
+            <div className="mt-6">
+              <InsightsPanel
+                tasks={tasks}
+                dailyCompletion={dailyCompletion}
+                excusedDays={excusedDays}
+                today={today}
+                weekStart={weekStart}
+                chartTheme={chartTheme}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Achievements */}
+        <div className="mt-8 bg-surface rounded-xl p-6 shadow-lg">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-bold text-gray-800">Achievements</h2>
+            <button
+              onClick={() => setShowAchievements(!showAchievements)}
+              className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <span className="text-sm">{showAchievements ? 'Hide' : 'Show'}</span>
+              {showAchievements ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+            </button>
+          </div>
+
+          {showAchievements && (
+            <div className="mt-6">
+              <AchievementsPanel achievements={achievements} onShowHistory={() => setShowBadgeHistory(true)} />
+            </div>
+          )}
+        </div>
+
+        {/* Notes & Journal */}
+        <div className="mt-8 bg-surface rounded-xl p-6 shadow-lg">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-bold text-gray-800">Notes & Journal</h2>
+            <button
+              onClick={() => setShowNotes(!showNotes)}
+              className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <span className="text-sm">{showNotes ? 'Hide' : 'Show'}</span>
+              {showNotes ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+            </button>
+          </div>
+
+          {showNotes && (
+            <div className="mt-6">
+              <NotesPanel
+                dayNotes={dayNotes}
+                tasks={tasks}
+                todayKey={todayKey}
+                onEdit={(date, taskId) => setEditingNote({ date, taskId })}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Calendar Heatmap */}
+        <div className="mt-8 bg-surface rounded-xl p-6 shadow-lg">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-bold text-gray-800">Calendar</h2>
+            <button
+              onClick={() => setShowCalendar(!showCalendar)}
+              className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <span className="text-sm">{showCalendar ? 'Hide' : 'Show'}</span>
+              {showCalendar ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+            </button>
+          </div>
+
+          {showCalendar && (
+            <div className="mt-6">
+              <CalendarHeatmap
+                tasks={activeTasks}
+                dailyCompletion={dailyCompletion}
+                excusedDays={excusedDays}
+                dayNotes={dayNotes}
+                weekStart={weekStart}
+                today={today}
+                accentColor={chartTheme.accent}
+                onToggle={toggleDayGoal}
+              />
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,36 @@
+import React from 'react';
+import { CalendarCheck, Crown, Flame, Lock, Medal, Target, Trophy, Zap } from 'lucide-react';
+
+const BADGE_STYLES = {
+  streak: { icon: Flame, color: '#F97316' },
+  completions: { icon: Trophy, color: '#EAB308' },
+  perfectWeek: { icon: CalendarCheck, color: '#10B981' },
+  perfectMonth: { icon: Crown, color: '#8B5CF6' },
+  priorityWeek: { icon: Zap, color: '#EF4444' },
+  goal: { icon: Target, color: '#3B82F6' },
+};
+
+const SIZES = {
+  sm: { box: 'h-8 w-8', icon: 'h-4 w-4' },
+  md: { box: 'h-12 w-12', icon: 'h-6 w-6' },
+  lg: { box: 'h-20 w-20', icon: 'h-10 w-10' },
+};
+
+// Round icon for an achievement; grey with a lock until it's earned
+const AchievementBadge = ({ achievement, size = 'md' }) => {
+  const { icon: Icon, color } = BADGE_STYLES[achievement.kind] || { icon: Medal, color: '#6B7280' };
+  const { box, icon } = SIZES[size];
+  const earned = Boolean(achievement.earnedOn);
+  const BadgeIcon = earned || achievement.kind === 'goal' ? Icon : Lock;
+
+  return (
+    <div
+      className={`${box} flex-shrink-0 flex items-center justify-center rounded-full ${earned ? 'text-white shadow-md' : 'bg-gray-100 text-gray-400'}`}
+      style={{ backgroundColor: earned ? (achievement.task?.color || color) : undefined }}
+    >
+      <BadgeIcon className={icon} />
+    </div>
+  );
+};
+
+export default AchievementBadge;
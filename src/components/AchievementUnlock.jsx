@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import AchievementBadge from './AchievementBadge';
+
+const UNLOCK_DURATION = 5000;
+
+// Celebrates newly earned achievements, one at a time, until dismissed or timed out
+const AchievementUnlock = ({ achievements, onDismiss }) => {
+  const achievement = achievements[0];
+
+  useEffect(() => {
+    if (!achievement) return undefined;
+    const timer = setTimeout(onDismiss, UNLOCK_DURATION);
+    return () => clearTimeout(timer);
+  }, [achievement?.id]);
+
+  return (
+    <AnimatePresence>
+      {achievement && (
+        <motion.div
+          key={achievement.id}
+          initial={{ opacity: 0, y: -40, scale: 0.8 }}
+          animate={{ opacity: 1, y: 0, scale: 1 }}
+          exit={{ opacity: 0, y: -20, scale: 0.9 }}
+          transition={{ type: 'spring', stiffness: 300, damping: 20 }}
+          className="fixed top-6 left-1/2 -translate-x-1/2 flex items-center gap-4 pl-4 pr-3 py-3 bg-surface rounded-xl shadow-2xl border border-purple-100 z-50"
+        >
+          <motion.div
+            initial={{ rotate: -180, scale: 0 }}
+            animate={{ rotate: 0, scale: 1 }}
+            transition={{ type: 'spring', stiffness: 200, damping: 12, delay: 0.15 }}
+          >
+            <AchievementBadge achievement={achievement} />
+          </motion.div>
+          <div>
+            <p className="text-xs font-semibold text-purple-600 uppercase tracking-wide">
+              Achievement unlocked{achievements.length > 1 ? ` (+${achievements.length - 1} more)` : ''}
+            </p>
+            <p className="font-bold text-gray-800">{achievement.title}</p>
+            <p className="text-xs text-gray-500">{achievement.description}</p>
+          </div>
+          <button onClick={onDismiss} className="p-1 text-gray-400 hover:text-gray-600 rounded self-start">
+            <X className="h-4 w-4" />
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default AchievementUnlock;
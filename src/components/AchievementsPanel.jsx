@@ -0,0 +1,82 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import AchievementBadge from './AchievementBadge';
+import { formatEarnedOn, getProgressPercent } from '../lib/achievements';
+
+const ProgressBar = ({ percent, color }) => (
+  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+    <div className="h-full rounded-full transition-all" style={{ width: `${percent}%`, backgroundColor: color }} />
+  </div>
+);
+
+const getProgressLabel = (achievement) => {
+  if (achievement.earnedOn) return `Earned ${formatEarnedOn(achievement.earnedOn)}`;
+  if (achievement.missed) return `Missed • ${achievement.current}/${achievement.target}`;
+  if (achievement.target === 100 && achievement.kind !== 'completions') return `${achievement.current}% this period`;
+  return `${achievement.current}/${achievement.target}`;
+};
+
+const AchievementRow = ({ achievement }) => (
+  <div className={`flex items-center gap-3 p-3 rounded-lg ${achievement.earnedOn ? 'bg-purple-50' : 'bg-gray-50'}`}>
+    <AchievementBadge achievement={achievement} />
+    <div className="flex-1 min-w-0">
+      <div className="flex items-baseline justify-between gap-2">
+        <p className="font-medium text-gray-800 truncate">{achievement.title}</p>
+        <span className={`text-xs whitespace-nowrap ${achievement.missed ? 'text-red-500' : 'text-gray-500'}`}>
+          {getProgressLabel(achievement)}
+        </span>
+      </div>
+      <p className="text-xs text-gray-500 mb-1">{achievement.description}</p>
+      <ProgressBar
+        percent={getProgressPercent(achievement)}
+        color={achievement.missed ? '#FCA5A5' : achievement.task?.color || '#8B5CF6'}
+      />
+    </div>
+  </div>
+);
+
+/**
+ * Built-in achievements and every habit goal, each with a progress bar.
+ * Goals are added from a habit's edit mode.
+ */
+const AchievementsPanel = ({ achievements, onShowHistory }) => {
+  const builtIn = achievements.filter(achievement => achievement.kind !== 'goal');
+  const goals = achievements.filter(achievement => achievement.kind === 'goal');
+  const earnedCount = achievements.filter(achievement => achievement.earnedOn).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          {earnedCount} of {achievements.length} earned
+        </p>
+        <button
+          onClick={onShowHistory}
+          className="flex items-center gap-1 px-3 py-1 text-sm text-purple-600 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors"
+        >
+          <History className="h-4 w-4" />
+          Badge history
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {builtIn.map(achievement => <AchievementRow key={achievement.id} achievement={achievement} />)}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-3">Habit Goals</h3>
+        {goals.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No goals yet. Edit a habit to set one, like "complete 20 times this month".
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {goals.map(achievement => <AchievementRow key={achievement.id} achievement={achievement} />)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsPanel;
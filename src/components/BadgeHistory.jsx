@@ -0,0 +1,58 @@
+import React from 'react';
+import { Award, X } from 'lucide-react';
+import AchievementBadge from './AchievementBadge';
+import { parseDateKey } from '../lib/dates';
+import { formatEarnedOn, getEarnedBadges } from '../lib/achievements';
+
+// Every earned badge with the day it was earned, newest first, grouped by month
+const BadgeHistory = ({ achievements, onClose }) => {
+  const badges = getEarnedBadges(achievements);
+  const months = [];
+  badges.forEach(badge => {
+    const month = parseDateKey(badge.earnedOn).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    if (months[months.length - 1]?.month !== month) months.push({ month, badges: [] });
+    months[months.length - 1].badges.push(badge);
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-lg max-h-[85vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Award className="h-6 w-6 text-purple-500" />
+            <h2 className="text-xl font-bold text-gray-800">Badge History</h2>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {badges.length === 0 ? (
+          <p className="py-8 text-center text-gray-500">No badges yet. Keep going, your first one is closer than you think.</p>
+        ) : (
+          <div className="space-y-6">
+            {months.map(({ month, badges: monthBadges }) => (
+              <div key={month}>
+                <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">{month}</h3>
+                <ul className="space-y-2">
+                  {monthBadges.map(badge => (
+                    <li key={badge.id} className="flex items-center gap-3">
+                      <AchievementBadge achievement={badge} size="sm" />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-800 truncate">{badge.title}</p>
+                        <p className="text-xs text-gray-500 truncate">{badge.description}</p>
+                      </div>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">{formatEarnedOn(badge.earnedOn)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BadgeHistory;
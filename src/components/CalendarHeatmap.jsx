@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { isAvoidance } from '../lib/avoidance';
+import { getExcuse, getExcuseLabel } from '../lib/excusals';
+import { CHART_THEMES } from '../lib/theme';
+import { formatValue, isQuantitative } from '../lib/measurement';
+import { JOURNAL, describeNote, getNote } from '../lib/notes';
+import { addDays, toDateKey } from '../lib/dates';
+import { getInactiveLabel, getInactiveReason } from '../lib/lifecycle';
+import { DEFAULT_WEEK_START, WEEKDAY_LABELS, getDayRatio, isDueOn } from '../lib/schedule';
+import HabitIcon from './HabitIcon';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Columns of 7 days, starting on the user's first day of the week, covering the whole year
+const getYearWeeks = (year, weekStart) => {
+  const firstDay = new Date(year, 0, 1);
+  const start = addDays(firstDay, -((firstDay.getDay() - weekStart + 7) % 7));
+
+  const weeks = [];
+  for (let weekIndex = 0; addDays(start, weekIndex * 7).getFullYear() <= year; weekIndex++) {
+    weeks.push(Array.from({ length: 7 }, (_, dayIndex) => {
+      const date = addDays(start, weekIndex * 7 + dayIndex);
+      return date.getFullYear() === year ? date : null;
+    }));
+  }
+  return weeks;
+};
+
+// Five steps like GitHub's graph, so a 10% day is still visible
+const getIntensity = (ratio) => {
+  if (ratio === null) return 0;
+  if (ratio === 0) return 0.08;
+  return 0.25 + Math.ceil(ratio * 4) / 4 * 0.75;
+};
+
+const HeatmapGrid = ({ label, color, task, weeks, rowLabels, getCell, onCellClick, onHover, today }) => (
+  <div className="mb-6">
+    <div className="flex items-center gap-2 mb-2">
+      {task ? <HabitIcon task={task} /> : <div className="w-3 h-3 rounded-full" style={{ backgroundColor: color }} />}
+      <h3 className="text-sm font-semibold text-gray-700">{label}</h3>
+    </div>
+    <div className="overflow-x-auto">
+      <div className="inline-flex gap-1">
+        <div className="flex flex-col gap-1 pt-4 pr-1">
+          {rowLabels.map((rowLabel, index) => (
+            <div key={index} className="h-3 text-[10px] leading-3 text-gray-400">{rowLabel}</div>
+          ))}
+        </div>
+        {weeks.map((week, weekIndex) => {
+          const monthStart = week.find(date => date && date.getDate() === 1);
+          return (
+            <div key={weekIndex} className="flex flex-col gap-1">
+              <div className="h-3 text-[10px] leading-3 text-gray-400 whitespace-nowrap">
+                {monthStart ? MONTH_LABELS[monthStart.getMonth()] : ''}
+              </div>
+              {week.map((date, dayIndex) => {
+                if (!date) {
+                  return <div key={dayIndex} className="w-3 h-3" />;
+                }
+                const isFuture = date > today;
+                const { ratio } = getCell(date);
+                return (
+                  <button
+                    key={dayIndex}
+                    disabled={isFuture}
+                    onClick={() => onCellClick(date)}
+                    onMouseEnter={(e) => onHover(date, e)}
+                    onMouseLeave={() => onHover(null)}
+                    className={`w-3 h-3 rounded-sm ${isFuture ? 'bg-gray-50 cursor-default' : 'hover:ring-2 hover:ring-gray-400'} ${
+                      ratio === null && !isFuture ? 'bg-gray-100' : ''
+                    }`}
+                    style={!isFuture && ratio !== null ? { backgroundColor: color, opacity: getIntensity(ratio) } : undefined}
+                  />
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  </div>
+);
+
+/**
+ * Year-at-a-glance contribution graph: one grid for all habits together and one
+ * per habit. Clicking a past day toggles a habit's own grid; on the combined grid
+ * it opens that day's habits.
+ */
+const CalendarHeatmap = ({ tasks, dailyCompletion, excusedDays, dayNotes = {}, weekStart = DEFAULT_WEEK_START, today, accentColor = CHART_THEMES.light.accent, onToggle }) => {
+  const [year, setYear] = useState(today.getFullYear());
+  const [hovered, setHovered] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  const weeks = getYearWeeks(year, weekStart);
+  // Label every other row so the column stays readable
+  const rowLabels = Array.from({ length: 7 }, (_, index) =>
+    index % 2 === 0 ? WEEKDAY_LABELS[(weekStart + index) % 7] : ''
+  );
+
+  const isCounted = (task, date) =>
+    isDueOn(task, date, dailyCompletion, weekStart) && !getExcuse(excusedDays, toDateKey(date), task.id);
+
+  const getTaskCell = (task) => (date) => {
+    const ratio = getDayRatio(dailyCompletion, task, date);
+    return { ratio: ratio > 0 || isCounted(task, date) ? ratio : null };
+  };
+
+  const getAggregateCell = (date) => {
+    const dueTasks = tasks.filter(task => isCounted(task, date));
+    if (dueTasks.length === 0) return { ratio: null };
+    const total = dueTasks.reduce((sum, task) => sum + getDayRatio(dailyCompletion, task, date), 0);
+    return { ratio: total / dueTasks.length };
+  };
+
+  const handleHover = (task) => (date, event) => {
+    if (!date) {
+      setHovered(null);
+      return;
+    }
+    const container = event.currentTarget.closest('[data-heatmap]').getBoundingClientRect();
+    const cell = event.currentTarget.getBoundingClientRect();
+    setHovered({ date, task, x: cell.left - container.left, y: cell.top - container.top });
+  };
+
+  const describeDay = (task, date) => {
+    const dateKey = toDateKey(date);
+    const value = dailyCompletion[dateKey]?.[task.id];
+    const excuse = getExcuse(excusedDays, dateKey, task.id);
+    if (isQuantitative(task)) return formatValue(task, value);
+    if (isAvoidance(task) && value) return 'Slipped';
+    if (value) return 'Done';
+    if (excuse) return getExcuseLabel(excuse);
+    if (getInactiveReason(task, date)) return getInactiveLabel(getInactiveReason(task, date));
+    if (!isDueOn(task, date, dailyCompletion, weekStart)) return 'Not due';
+    return isAvoidance(task) ? 'Clean' : 'Missed';
+  };
+
+  const getDoneTasks = (date) => tasks.filter(task => getDayRatio(dailyCompletion, task, date) >= 1);
+
+  return (
+    <div className="relative" data-heatmap>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setYear(year - 1)}
+            className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm"
+          >
+            ←
+          </button>
+          <span className="font-medium text-gray-700 w-12 text-center">{year}</span>
+          <button
+            onClick={() => setYear(year + 1)}
+            disabled={year >= today.getFullYear()}
+            className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm disabled:opacity-40"
+          >
+            →
+          </button>
+        </div>
+        <div className="flex items-center gap-1 text-xs text-gray-500">
+          Less
+          {[0, 0.25, 0.5, 0.75, 1].map(ratio => (
+            <div
+              key={ratio}
+              className="w-3 h-3 rounded-sm"
+              style={{ backgroundColor: accentColor, opacity: getIntensity(ratio) }}
+            />
+          ))}
+          More
+        </div>
+      </div>
+
+      <HeatmapGrid
+        label="All habits"
+        color={accentColor}
+        weeks={weeks}
+        rowLabels={rowLabels}
+        getCell={getAggregateCell}
+        onCellClick={(date) => setSelectedDate(selectedDate && toDateKey(selectedDate) === toDateKey(date) ? null : date)}
+        onHover={handleHover(null)}
+        today={today}
+      />
+
+      {selectedDate && (
+        <div className="flex flex-wrap items-center gap-2 p-3 mb-6 bg-gray-50 rounded-lg">
+          <span className="text-sm font-medium text-gray-700 mr-2">
+            {selectedDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+          </span>
+          {tasks.map(task => {
+            const ratio = getDayRatio(dailyCompletion, task, selectedDate);
+            return (
+              <button
+                key={task.id}
+                onClick={() => onToggle(task, toDateKey(selectedDate))}
+                title={isAvoidance(task) ? (ratio >= 1 ? 'Log a slip' : 'Undo the slip') : undefined}
+                className={`px-2 py-1 rounded text-xs font-medium transition-all ${
+                  ratio >= 1 ? 'text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+                style={{ backgroundColor: ratio >= 1 ? task.color : undefined }}
+              >
+                {task.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {tasks.map(task => (
+        <HeatmapGrid
+          key={task.id}
+          label={task.name}
+          color={task.color}
+          task={task}
+          weeks={weeks}
+          rowLabels={rowLabels}
+          getCell={getTaskCell(task)}
+          onCellClick={(date) => onToggle(task, toDateKey(date))}
+          onHover={handleHover(task)}
+          today={today}
+        />
+      ))}
+
+      {hovered && (
+        <div
+          className="absolute z-10 px-3 py-2 bg-gray-800 text-gray-50 text-xs rounded-lg shadow-lg pointer-events-none -translate-x-1/2 -translate-y-full"
+          style={{ left: hovered.x + 6, top: hovered.y - 6 }}
+        >
+          <div className="font-medium mb-1">
+            {hovered.date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+          </div>
+          {hovered.task ? (
+            <>
+              <div className="whitespace-nowrap">
+                {hovered.task.name}: {describeDay(hovered.task, hovered.date)}
+              </div>
+              {getNote(dayNotes, toDateKey(hovered.date), hovered.task.id) && (
+                <div className="max-w-xs mt-1 italic text-gray-300">
+                  {describeNote(getNote(dayNotes, toDateKey(hovered.date), hovered.task.id))}
+                </div>
+              )}
+            </>
+          ) : getDoneTasks(hovered.date).length > 0 ? (
+            getDoneTasks(hovered.date).map(task => (
+              <div key={task.id} className="whitespace-nowrap">✓ {task.name}</div>
+            ))
+          ) : (
+            <div>Nothing done</div>
+          )}
+          {!hovered.task && getNote(dayNotes, toDateKey(hovered.date), JOURNAL) && (
+            <div className="max-w-xs mt-1 italic text-gray-300">
+              {describeNote(getNote(dayNotes, toDateKey(hovered.date), JOURNAL))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarHeatmap;
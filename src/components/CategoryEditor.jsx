@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { SUGGESTED_CATEGORIES, UNCATEGORIZED } from '../lib/categories';
+import { formatTags, parseTags } from '../lib/notes';
+
+const CategoryEditor = ({ category, tags, categories = [], onChange, compact = false }) => {
+  // Both fields commit on blur or Enter, so typing a name isn't one undo step per letter
+  const [categoryText, setCategoryText] = useState(category || '');
+  const [tagText, setTagText] = useState(formatTags(tags));
+  const inputClass = compact
+    ? 'px-2 py-1 border border-gray-300 rounded text-sm'
+    : 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+  const options = [...new Set([...categories, ...SUGGESTED_CATEGORIES])].filter(name => name !== UNCATEGORIZED);
+  const listId = compact ? 'category-options-compact' : 'category-options';
+
+  const commit = () => {
+    const nextCategory = categoryText.trim();
+    const nextTags = parseTags(tagText);
+    setCategoryText(nextCategory);
+    setTagText(formatTags(nextTags));
+    if (nextCategory !== (category || '') || formatTags(nextTags) !== formatTags(tags)) {
+      onChange({ category: nextCategory, tags: nextTags });
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        type="text"
+        list={listId}
+        value={categoryText}
+        onChange={(e) => setCategoryText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        placeholder="Category"
+        className={`${inputClass} w-40`}
+      />
+      <datalist id={listId}>
+        {options.map(name => <option key={name} value={name} />)}
+      </datalist>
+      <input
+        type="text"
+        value={tagText}
+        onChange={(e) => setTagText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        placeholder="Tags, e.g. #morning #outdoor"
+        className={`${inputClass} flex-1 min-w-[160px]`}
+      />
+    </div>
+  );
+};
+
+export default CategoryEditor;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { ArrowDown, ArrowUp, Minus } from 'lucide-react';
+
+// "+12%" with an arrow, green when it went up; renders nothing without a change to show
+const ChangeIndicator = ({ change, unit = '%', title }) => {
+  if (change === null || change === undefined) return null;
+  const Icon = change > 0 ? ArrowUp : change < 0 ? ArrowDown : Minus;
+  const color = change > 0 ? 'text-green-600' : change < 0 ? 'text-red-600' : 'text-gray-500';
+  return (
+    <span className={`inline-flex items-center gap-0.5 text-xs font-medium ${color}`} title={title}>
+      <Icon className="h-3 w-3" />
+      {change > 0 ? '+' : ''}{change}{unit}
+    </span>
+  );
+};
+
+export default ChangeIndicator;
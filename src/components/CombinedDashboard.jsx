@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { X } from 'lucide-react';
+import { DEFAULT_DAY_START_HOUR, addDays, getDatesBetween, getLogicalToday } from '../lib/dates';
+import { DEFAULT_WEEK_START } from '../lib/schedule';
+import { loadTrackerData } from '../lib/storage';
+import { getActiveTasks, getPooledProgress, getStreak, getTodayProgress } from '../lib/tracker';
+
+const CHART_DAYS = 30;
+
+// Each profile is summarized as of its own today, which depends on when its day ends
+const summarizeProfile = (profile, data, now) => {
+  const weekStart = data.settings.weekStart ?? DEFAULT_WEEK_START;
+  const today = getLogicalToday(now, data.settings.dayStartHour ?? DEFAULT_DAY_START_HOUR);
+  const tasks = getActiveTasks(data.tasks);
+  const source = { ...data, tasks, weekStart, today };
+  const getProgress = (days) => getPooledProgress(data, tasks, getDatesBetween(addDays(today, 1 - days), today), weekStart);
+  const monthProgress = getProgress(CHART_DAYS);
+  // Habits done today count even when they weren't due, like the main dashboard
+  const { done, total } = getTodayProgress(data, tasks, today, weekStart);
+  const bestStreak = tasks
+    .map(task => ({ task, stats: getStreak(data, task, today, weekStart) }))
+    .reduce((best, entry) => (entry.stats.current > (best?.stats.current ?? 0) ? entry : best), null);
+
+  return {
+    profile,
+    source,
+    habitCount: tasks.length,
+    doneToday: done,
+    dueToday: total,
+    week: getProgress(7).rate,
+    month: monthProgress.rate,
+    monthProgress,
+    bestStreak,
+  };
+};
+
+const formatPercent = (value) => (value === null ? '–' : `${value}%`);
+
+/**
+ * Read-only overview of every profile. Reads each profile's saved data directly,
+ * so it never touches what the active profile has loaded.
+ */
+const CombinedDashboard = ({ profiles, today, chartTheme, onClose }) => {
+  const [summaries, setSummaries] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(profiles.map(profile => loadTrackerData(profile.id))).then(results => {
+      if (cancelled) return;
+      const now = new Date();
+      setSummaries(results.map((data, index) => summarizeProfile(profiles[index], data, now)));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [profiles, today]);
+
+  const chartDates = getDatesBetween(addDays(today, 1 - CHART_DAYS), today);
+  const chartData = summaries && chartDates.map(date => ({
+    day: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    // A profile whose day hasn't ended yet has no point for the day after its today
+    ...Object.fromEntries(summaries.map(({ profile, source }) => [
+      profile.id,
+      date > source.today ? null : getPooledProgress(source, source.tasks, [date], source.weekStart).rate,
+    ])),
+  }));
+
+  // The overall rate weighs every habit of every profile equally
+  const getOverallCompletion = () => {
+    const due = summaries.reduce((sum, { monthProgress }) => sum + monthProgress.due, 0);
+    const done = summaries.reduce((sum, { monthProgress }) => sum + monthProgress.done, 0);
+    return due > 0 ? Math.round((done / due) * 100) : null;
+  };
+
+  const totals = summaries && {
+    habits: summaries.reduce((sum, { habitCount }) => sum + habitCount, 0),
+    doneToday: summaries.reduce((sum, { doneToday }) => sum + doneToday, 0),
+    dueToday: summaries.reduce((sum, { dueToday }) => sum + dueToday, 0),
+    month: getOverallCompletion(),
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-5xl my-8">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">All Profiles</h2>
+            <p className="text-sm text-gray-500">Read-only summary across {profiles.length} profiles</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {!summaries ? (
+          <p className="text-center text-gray-500 py-8">Loading…</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">Active habits</p>
+                <p className="text-2xl font-bold text-gray-800">{totals.habits}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">Done today</p>
+                <p className="text-2xl font-bold text-gray-800">{totals.doneToday}/{totals.dueToday}</p>
+              </div>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-600">Last {CHART_DAYS} days</p>
+                <p className="text-2xl font-bold text-gray-800">{formatPercent(totals.month)}</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              {summaries.map(({ profile, habitCount, doneToday, dueToday, week, month, bestStreak }) => (
+                <div key={profile.id} className="p-4 bg-gray-50 rounded-lg border-l-4" style={{ borderLeftColor: profile.color }}>
+                  <h3 className="font-semibold text-gray-800 mb-2">{profile.name}</h3>
+                  <div className="grid grid-cols-2 gap-1 text-sm text-gray-600">
+                    <span>Habits</span>
+                    <span className="text-right font-medium text-gray-800">{habitCount}</span>
+                    <span>Today</span>
+                    <span className="text-right font-medium text-gray-800">{doneToday}/{dueToday}</span>
+                    <span>Last 7 days</span>
+                    <span className="text-right font-medium text-gray-800">{formatPercent(week)}</span>
+                    <span>Last {CHART_DAYS} days</span>
+                    <span className="text-right font-medium text-gray-800">{formatPercent(month)}</span>
+                    <span>Best current streak</span>
+                    <span className="text-right font-medium text-gray-800">
+                      {bestStreak?.stats.current
+                        ? `${bestStreak.task.name} · ${bestStreak.stats.current} ${bestStreak.stats.unit}${bestStreak.stats.current === 1 ? '' : 's'}`
+                        : '–'}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Daily completion, last {CHART_DAYS} days</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+                <XAxis dataKey="day" stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                <YAxis domain={[0, 100]} stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+                <Tooltip contentStyle={chartTheme.tooltip} formatter={(value) => `${value}%`} />
+                <Legend />
+                {profiles.map(profile => (
+                  <Line
+                    key={profile.id}
+                    type="monotone"
+                    dataKey={profile.id}
+                    name={profile.name}
+                    stroke={profile.color}
+                    strokeWidth={2}
+                    connectNulls
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CombinedDashboard;
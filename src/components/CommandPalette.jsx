@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Search } from 'lucide-react';
+import { fuzzyFilter } from '../lib/fuzzy';
+
+const MAX_RESULTS = 12;
+
+/**
+ * Ctrl/Cmd+K palette. `commands` are `{ id, label, group, hint?, run }`; running
+ * one closes the palette.
+ */
+const CommandPalette = ({ commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+
+  const results = fuzzyFilter(commands, query, command => `${command.group}: ${command.label}`).slice(0, MAX_RESULTS);
+
+  useEffect(() => {
+    setSelected(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(Math.min(selected + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(Math.max(selected - 1, 0));
+    } else if (e.key === 'Enter' && results[selected]) {
+      e.preventDefault();
+      run(results[selected]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center p-4 pt-24 z-50" onClick={onClose}>
+      <div className="bg-surface rounded-xl shadow-lg w-full max-w-lg overflow-hidden" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-100">
+          <Search className="h-5 w-5 text-gray-400" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Type a command or habit…"
+            className="flex-1 outline-none text-gray-800"
+            autoFocus
+          />
+          <kbd className="text-xs text-gray-400 border border-gray-200 rounded px-1">Esc</kbd>
+        </div>
+
+        <div ref={listRef} className="max-h-80 overflow-y-auto py-1">
+          {results.length === 0 && (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No matching commands</p>
+          )}
+          {results.map((command, index) => (
+            <button
+              key={command.id}
+              onClick={() => run(command)}
+              onMouseMove={() => setSelected(index)}
+              className={`flex items-center justify-between w-full px-4 py-2 text-left text-sm ${
+                index === selected ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+              }`}
+            >
+              <span>
+                <span className="text-gray-400">{command.group}: </span>
+                {command.label}
+              </span>
+              {command.hint && <span className="text-xs text-gray-400">{command.hint}</span>}
+            </button>
+          ))}
+        </div>
+
+        <div className="px-4 py-2 border-t border-gray-100 text-xs text-gray-400">
+          ↑↓ to choose, Enter to run. Outside the palette: 1–9 toggle habits today, arrow keys move around the Daily History, Space toggles.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { RANGE_PRESETS, resolveRange } from '../lib/ranges';
+import { toDateKey } from '../lib/dates';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+const DateRangePicker = ({ value, weekStart, today, onChange }) => {
+
+  const selectPreset = (preset) => {
+    if (preset !== 'custom') {
+      onChange({ preset });
+      return;
+    }
+    // Start the custom range from whatever was selected before
+    const { start, end } = resolveRange(value, weekStart, today);
+    onChange({ preset, start: toDateKey(start), end: toDateKey(end) });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={value.preset}
+        onChange={(e) => selectPreset(e.target.value)}
+        className={inputClass}
+      >
+        {RANGE_PRESETS.map(({ value: preset, label }) => (
+          <option key={preset} value={preset}>{label}</option>
+        ))}
+      </select>
+
+      {value.preset === 'custom' && (
+        <>
+          <input
+            type="date"
+            value={value.start}
+            max={value.end}
+            onChange={(e) => e.target.value && onChange({ ...value, start: e.target.value })}
+            className={inputClass}
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={value.end}
+            min={value.start}
+            max={toDateKey(today)}
+            onChange={(e) => e.target.value && onChange({ ...value, end: e.target.value })}
+            className={inputClass}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DateRangePicker;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Filter, X } from 'lucide-react';
+import { EMPTY_FILTER, getCategories, getCategory, getCategoryColor, getTags, isFilterActive, toggleInFilter } from '../lib/categories';
+
+const chipClass = 'px-3 py-1 rounded-full text-xs font-medium transition-all border';
+
+/**
+ * Category and tag chips that narrow down which habits the dashboard shows.
+ * Renders nothing until some habit has a category or tag, unless a filter is
+ * still on, so it can always be cleared.
+ */
+const FilterChips = ({ tasks, filter, onChange }) => {
+  const categories = getCategories(tasks);
+  const tags = getTags(tasks);
+  if (categories.length < 2 && tags.length === 0 && !isFilterActive(filter)) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6 p-3 bg-surface rounded-xl shadow-sm">
+      <Filter className="h-4 w-4 text-gray-400" />
+      {categories.map(category => {
+        const selected = filter.categories.includes(category);
+        const color = getCategoryColor(category);
+        return (
+          <button
+            key={category}
+            onClick={() => onChange(toggleInFilter(filter, 'categories', category))}
+            className={`${chipClass} ${selected ? 'text-white' : 'bg-surface text-gray-700 hover:bg-gray-50'}`}
+            style={{ borderColor: color, backgroundColor: selected ? color : undefined }}
+          >
+            {category}
+            <span className="ml-1 opacity-70">{tasks.filter(task => getCategory(task) === category).length}</span>
+          </button>
+        );
+      })}
+      {tags.map(tag => {
+        const selected = filter.tags.includes(tag);
+        return (
+          <button
+            key={tag}
+            onClick={() => onChange(toggleInFilter(filter, 'tags', tag))}
+            className={`${chipClass} ${selected ? 'bg-blue-500 border-blue-500 text-white' : 'bg-blue-50 border-blue-100 text-blue-600 hover:bg-blue-100'}`}
+          >
+            #{tag}
+          </button>
+        );
+      })}
+      {isFilterActive(filter) && (
+        <button
+          onClick={() => onChange(EMPTY_FILTER)}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-gray-500 hover:text-gray-700"
+        >
+          <X className="h-3 w-3" />
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FilterChips;
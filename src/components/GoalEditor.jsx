@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Target, X } from 'lucide-react';
+import { createMonthGoal, describeGoal } from '../lib/achievements';
+import { toDateKey } from '../lib/dates';
+
+// A habit's goals, like "complete 20 times in October", with a row to add one
+const GoalEditor = ({ goals = [], today, onChange }) => {
+  const [target, setTarget] = useState('20');
+  const [month, setMonth] = useState(toDateKey(today).slice(0, 7));
+
+  const addGoal = () => {
+    const count = parseInt(target, 10);
+    if (!(count > 0) || !month) return;
+    onChange([...goals, createMonthGoal(count, month)]);
+  };
+
+  return (
+    <div className="space-y-1 text-sm text-gray-600">
+      {goals.map(goal => (
+        <div key={goal.id} className="flex items-center gap-2">
+          <Target className="h-4 w-4 text-blue-500" />
+          <span className="flex-1">{describeGoal(goal)}</span>
+          <button
+            onClick={() => onChange(goals.filter(g => g.id !== goal.id))}
+            className="p-0.5 text-gray-400 hover:text-red-500 rounded"
+            title="Remove goal"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-2">
+        <Target className="h-4 w-4" />
+        Goal: complete
+        <input
+          type="number"
+          min={1}
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        times in
+        <input
+          type="month"
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <button
+          onClick={addGoal}
+          className="px-2 py-1 text-xs text-blue-600 bg-blue-50 rounded hover:bg-blue-100"
+        >
+          Add goal
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GoalEditor;
@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from 'react';
+import { Check } from 'lucide-react';
+import { HABIT_ICONS, getIconLabel } from '../lib/habitIcons';
+import { TASK_COLORS } from '../lib/tracker';
+import { getIconComponent } from './HabitIcon';
+
+// Reports the color once it's picked rather than on every step of the drag
+const CustomColorInput = ({ color, onPick }) => {
+  const inputRef = useRef(null);
+  const onPickRef = useRef(onPick);
+  onPickRef.current = onPick;
+
+  useEffect(() => {
+    const input = inputRef.current;
+    const handleChange = () => onPickRef.current(input.value);
+    input.addEventListener('change', handleChange);
+    return () => input.removeEventListener('change', handleChange);
+  }, []);
+
+  return (
+    <input
+      ref={inputRef}
+      type="color"
+      defaultValue={color}
+      className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+    />
+  );
+};
+
+/**
+ * Color swatches (plus any custom color) and an icon grid for one habit.
+ * `onChange` gets `{ color }` or `{ icon }`; no icon brings the dot back.
+ */
+const HabitAppearanceEditor = ({ task, onChange }) => (
+  <div className="space-y-2">
+    <div className="flex flex-wrap items-center gap-1.5">
+      {TASK_COLORS.map(color => (
+        <button
+          key={color}
+          onClick={() => onChange({ color })}
+          className="w-6 h-6 rounded-full flex items-center justify-center ring-offset-1 ring-offset-surface hover:ring-2 hover:ring-gray-300"
+          style={{ backgroundColor: color }}
+          title={color}
+          aria-label={`Color ${color}`}
+        >
+          {task.color.toLowerCase() === color.toLowerCase() && <Check className="h-4 w-4 text-white" />}
+        </button>
+      ))}
+      <label className="flex items-center gap-1 text-xs text-gray-500 cursor-pointer" title="Custom color">
+        <CustomColorInput key={task.color} color={task.color} onPick={(color) => onChange({ color })} />
+        Custom
+      </label>
+    </div>
+
+    <div className="flex flex-wrap gap-1">
+      <button
+        onClick={() => onChange({ icon: undefined })}
+        className={`w-7 h-7 rounded flex items-center justify-center ${!task.icon ? 'bg-blue-100 ring-1 ring-blue-400' : 'hover:bg-gray-100'}`}
+        title="No icon"
+      >
+        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: task.color }} />
+      </button>
+      {HABIT_ICONS.map(name => {
+        const Icon = getIconComponent(name);
+        return (
+          <button
+            key={name}
+            onClick={() => onChange({ icon: name })}
+            className={`w-7 h-7 rounded flex items-center justify-center ${task.icon === name ? 'bg-blue-100 ring-1 ring-blue-400' : 'hover:bg-gray-100'}`}
+            title={getIconLabel(name)}
+          >
+            <Icon className="h-4 w-4" color={task.color} />
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default HabitAppearanceEditor;
@@ -0,0 +1,38 @@
+import React from 'react';
+import {
+  Apple, Bed, Bike, BookOpen, Brain, Briefcase, CigaretteOff, Code, Coffee, Droplet, Dumbbell, Flame, Flower2,
+  Footprints, GlassWater, GraduationCap, Heart, Home, Languages, Leaf, MonitorOff, Moon, Music, Palette, PawPrint,
+  Pencil, PiggyBank, Pill, Smile, Sparkles, Sprout, Star, Sun, Target, Timer, Users, Utensils, Wind, WineOff,
+} from 'lucide-react';
+
+// One component per name in HABIT_ICONS (lib/habitIcons.js)
+const ICONS = {
+  dumbbell: Dumbbell, footprints: Footprints, bike: Bike, heart: Heart, pill: Pill, droplet: Droplet,
+  'glass-water': GlassWater, apple: Apple, utensils: Utensils, coffee: Coffee, bed: Bed, moon: Moon, sun: Sun,
+  brain: Brain, sparkles: Sparkles, 'book-open': BookOpen, 'graduation-cap': GraduationCap, languages: Languages,
+  pencil: Pencil, code: Code, music: Music, palette: Palette, briefcase: Briefcase, 'piggy-bank': PiggyBank,
+  users: Users, home: Home, leaf: Leaf, sprout: Sprout, 'flower-2': Flower2, 'paw-print': PawPrint, smile: Smile,
+  wind: Wind, flame: Flame, star: Star, target: Target, timer: Timer, 'cigarette-off': CigaretteOff,
+  'wine-off': WineOff, 'monitor-off': MonitorOff,
+};
+
+export const getIconComponent = (name) => ICONS[name] || null;
+
+/**
+ * A habit's icon in its color, or its plain color dot when it has no icon.
+ * Extra props go to the icon, e.g. `x`/`y` to place it inside a chart's SVG.
+ */
+const HabitIcon = ({ task, size = 16, ...props }) => {
+  const Icon = getIconComponent(task.icon);
+  if (!Icon) {
+    return (
+      <span
+        className="inline-block rounded-full flex-shrink-0"
+        style={{ width: size * 0.75, height: size * 0.75, backgroundColor: task.color }}
+      />
+    );
+  }
+  return <Icon width={size} height={size} color={task.color} strokeWidth={2.25} className="flex-shrink-0" {...props} />;
+};
+
+export default HabitIcon;
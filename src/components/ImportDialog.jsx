@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { AlertCircle, Upload, X } from 'lucide-react';
+import { mergeTrackerData, summarizeChanges, validateImport } from '../lib/transfer';
+
+// What the preview counts, so nothing an import would delete goes unmentioned
+const SUMMARY_ROWS = [
+  { key: 'habits', label: 'Habits' },
+  { key: 'entries', label: 'Entries' },
+  { key: 'excusals', label: 'Excused days' },
+  { key: 'notes', label: 'Notes & journal' },
+];
+
+const ImportDialog = ({ current, onApply, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [data, setData] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name);
+    setData(null);
+    try {
+      const result = validateImport(JSON.parse(await file.text()));
+      setErrors(result.errors);
+      setData(result.data);
+    } catch (error) {
+      setErrors([`Could not read ${file.name}: ${error.message}`]);
+    }
+  };
+
+  const result = data && (mode === 'merge'
+    ? mergeTrackerData(current, data)
+    : { tasks: data.tasks, dailyCompletion: data.dailyCompletion, excusedDays: data.excusedDays, dayNotes: data.dayNotes });
+  const summary = result && summarizeChanges(current, result);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50">
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Import Data</h2>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <label className="flex items-center justify-center gap-2 p-4 mb-4 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50 text-gray-600">
+          <Upload className="h-5 w-5" />
+          <span className="text-sm">{fileName || 'Choose a JSON export file'}</span>
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => readFile(e.target.files[0])}
+          />
+        </label>
+
+        {errors.length > 0 && (
+          <div className="mb-4 p-3 bg-red-50 rounded-lg text-sm text-red-700 max-h-40 overflow-y-auto">
+            <div className="flex items-center gap-2 font-medium mb-1">
+              <AlertCircle className="h-4 w-4" />
+              The file can't be imported
+            </div>
+            <ul className="list-disc pl-5 space-y-1">
+              {errors.slice(0, 20).map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+              {errors.length > 20 && <li>…and {errors.length - 20} more</li>}
+            </ul>
+          </div>
+        )}
+
+        {summary && (
+          <>
+            <div className="flex gap-2 mb-3">
+              {['merge', 'replace'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => setMode(option)}
+                  className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+                    mode === option ? 'bg-blue-500 text-white shadow-sm' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {option.charAt(0).toUpperCase() + option.slice(1)}
+                </button>
+              ))}
+            </div>
+
+            <p className="text-xs text-gray-500 mb-3">
+              {mode === 'merge'
+                ? 'Habits with the same id and name are combined and keep their current settings. A habit whose id is taken by a differently named one is added as a new habit. When both copies have an entry for the same day, the larger value is kept.'
+                : 'All current habits, history, notes and settings are replaced by the contents of the file.'}
+            </p>
+
+            <table className="w-full mb-4 bg-gray-50 rounded-lg text-sm">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="px-3 pt-2 text-left font-medium"></th>
+                  <th className="px-3 pt-2 text-right font-medium">Added</th>
+                  <th className="px-3 pt-2 text-right font-medium">Changed</th>
+                  <th className="px-3 pt-2 text-right font-medium">Removed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {SUMMARY_ROWS.map(({ key, label }) => (
+                  <tr key={key}>
+                    <td className="px-3 py-1">{label}</td>
+                    <td className="px-3 py-1 font-medium text-right">{summary[key].added}</td>
+                    <td className="px-3 py-1 font-medium text-right">{summary[key].changed}</td>
+                    <td className="px-3 py-1 font-medium text-right text-red-600">{summary[key].removed}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 rounded-lg hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(result, mode === 'replace' ? data.settings : null)}
+            disabled={!result}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from 'react';
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { AlertTriangle, Link2, Link2Off, Minus, TrendingDown, TrendingUp } from 'lucide-react';
+import { addDays, getDatesBetween, toDateKey } from '../lib/dates';
+import {
+  DEFAULT_INSIGHT_WINDOW,
+  INSIGHT_WINDOWS,
+  getBestAndWorstWeekdays,
+  getHabitCorrelations,
+  getMovingAverages,
+  getSlippingHabits,
+  getTrend,
+  getWeekdayRates,
+} from '../lib/insights';
+import { getActiveTasks } from '../lib/tracker';
+import HabitIcon from './HabitIcon';
+
+// Pairs weaker than this either way aren't worth pointing out
+const MIN_CORRELATION = 0.3;
+const MAX_PAIRS = 5;
+
+const TRENDS = {
+  improving: { icon: TrendingUp, className: 'text-green-600' },
+  declining: { icon: TrendingDown, className: 'text-red-600' },
+  stable: { icon: Minus, className: 'text-gray-500' },
+};
+
+const formatSlope = (slope) => `${slope > 0 ? '+' : ''}${slope.toFixed(1)} pts/wk`;
+
+const TrendLabel = ({ trend }) => {
+  if (!trend) return <span className="text-gray-400">Not enough data</span>;
+  const { icon: Icon, className } = TRENDS[trend.label];
+  return (
+    <span className={`flex items-center gap-1 ${className}`}>
+      <Icon className="h-4 w-4" />
+      <span className="capitalize">{trend.label}</span>
+      <span className="text-xs text-gray-500">{formatSlope(trend.slope)}</span>
+    </span>
+  );
+};
+
+const PairList = ({ title, icon: Icon, pairs, empty }) => (
+  <div>
+    <h4 className="flex items-center gap-2 font-semibold text-gray-700 mb-2">
+      <Icon className="h-4 w-4" />
+      {title}
+    </h4>
+    {pairs.length === 0 ? (
+      <p className="text-sm text-gray-500">{empty}</p>
+    ) : (
+      <ul className="space-y-1 text-sm text-gray-600">
+        {pairs.map(({ a, b, days, together, correlation }) => (
+          <li key={`${a.id}-${b.id}`} title={`Both due on ${days} days`}>
+            <span className="font-medium text-gray-800">{a.name}</span> &amp;{' '}
+            <span className="font-medium text-gray-800">{b.name}</span>
+            {' · '}together on {together ?? 0}% of the days either was done · r = {correlation.toFixed(2)}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Patterns in the history of the active habits over the last 30 to 180 days:
+ * weekday strengths, pairs that go together or crowd each other out, moving
+ * averages, trends, and habits that have been slipping for a while.
+ */
+const InsightsPanel = ({ tasks: allTasks, dailyCompletion, excusedDays, today, weekStart, chartTheme }) => {
+  const [windowDays, setWindowDays] = useState(DEFAULT_INSIGHT_WINDOW);
+  const tasks = getActiveTasks(allTasks);
+
+  // Recomputed only when the history, the day or the window changes
+  const insights = useMemo(() => {
+    const state = { tasks: allTasks, dailyCompletion, excusedDays };
+    const dates = getDatesBetween(addDays(today, 1 - windowDays), today);
+    const correlations = getHabitCorrelations(state, tasks, dates, weekStart).filter(({ correlation }) => correlation !== null);
+    return {
+      slipping: getSlippingHabits(state, tasks, today, weekStart),
+      averages: getMovingAverages(state, tasks, dates, weekStart).map(({ date, avg7, avg30 }) => ({
+        day: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+        avg7,
+        avg30,
+      })),
+      habits: tasks.map(task => {
+        const weekdays = getWeekdayRates(state, task, dates, weekStart);
+        return { task, weekdays, ...getBestAndWorstWeekdays(weekdays), trend: getTrend(state, task, dates, weekStart) };
+      }),
+      together: correlations.filter(({ correlation }) => correlation >= MIN_CORRELATION).slice(0, MAX_PAIRS),
+      apart: correlations.filter(({ correlation }) => correlation <= -MIN_CORRELATION).slice(0, MAX_PAIRS),
+    };
+  }, [allTasks, dailyCompletion, excusedDays, toDateKey(today), weekStart, windowDays]);
+
+  if (tasks.length === 0) {
+    return <p className="text-center text-gray-500 py-4">Add a habit to see insights.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        Looking at the last
+        {INSIGHT_WINDOWS.map(days => (
+          <button
+            key={days}
+            onClick={() => setWindowDays(days)}
+            className={`px-2 py-1 rounded ${
+              windowDays === days ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            {days} days
+          </button>
+        ))}
+      </div>
+
+      {insights.slipping.length > 0 && (
+        <div className="space-y-2">
+          {insights.slipping.map(({ task, weeks, recent, baseline }) => (
+            <div key={task.id} className="flex items-start gap-2 p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span>
+                <span className="font-semibold">{task.name}</span> has been slipping for {weeks} weeks:{' '}
+                {recent}% over that time, down from {baseline}% the four weeks before.
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-700 mb-2">Moving averages</h3>
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={insights.averages}>
+            <CartesianGrid strokeDasharray="3 3" stroke={chartTheme.grid} />
+            <XAxis dataKey="day" stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} minTickGap={20} />
+            <YAxis domain={[0, 100]} stroke={chartTheme.mutedAxis} tick={{ fill: chartTheme.axis }} />
+            <Tooltip contentStyle={chartTheme.tooltip} formatter={(value) => `${value}%`} />
+            <Legend />
+            <Line type="monotone" dataKey="avg7" name="7-day average" stroke={chartTheme.accent} strokeWidth={2} dot={false} connectNulls />
+            <Line type="monotone" dataKey="avg30" name="30-day average" stroke={chartTheme.mutedAxis} strokeWidth={2} dot={false} connectNulls />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-700 mb-2">Habits by weekday and trend</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Habit</th>
+                <th className="py-2 pr-4 font-medium">Weekdays</th>
+                <th className="py-2 pr-4 font-medium">Strongest</th>
+                <th className="py-2 pr-4 font-medium">Weakest</th>
+                <th className="py-2 font-medium">Trend</th>
+              </tr>
+            </thead>
+            <tbody>
+              {insights.habits.map(({ task, weekdays, best, worst, trend }) => (
+                <tr key={task.id} className="border-t border-gray-100">
+                  <td className="py-2 pr-4">
+                    <span className="flex items-center gap-2 font-medium text-gray-800">
+                      <HabitIcon task={task} size={14} />
+                      {task.name}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <div className="flex gap-1">
+                      {weekdays.map(({ day, label, due, rate }) => (
+                        <div
+                          key={day}
+                          className={`w-6 h-6 rounded text-[10px] flex items-center justify-center ${
+                            rate === null ? 'border border-dashed border-gray-200 text-gray-300' : 'text-gray-800'
+                          }`}
+                          style={rate === null ? undefined : { backgroundColor: `${task.color}${Math.round(40 + 2.15 * rate).toString(16).padStart(2, '0')}` }}
+                          title={rate === null ? `${label}: not due` : `${label}: ${rate}% of ${due} days`}
+                        >
+                          {label[0]}
+                        </div>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">{best ? `${best.label} (${best.rate}%)` : '–'}</td>
+                  <td className="py-2 pr-4 text-gray-600">{worst ? `${worst.label} (${worst.rate}%)` : '–'}</td>
+                  <td className="py-2"><TrendLabel trend={trend} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <PairList
+          title="Done together"
+          icon={Link2}
+          pairs={insights.together}
+          empty="No habits clearly go together yet."
+        />
+        <PairList
+          title="Crowd each other out"
+          icon={Link2Off}
+          pairs={insights.apart}
+          empty="No habits clearly get in each other's way."
+        />
+      </div>
+    </div>
+  );
+};
+
+export default InsightsPanel;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { CalendarRange, Pause, Play, X } from 'lucide-react';
+import { addDays, parseDateKey, toDateKey } from '../lib/dates';
+import { getPauseOn, getStartDate } from '../lib/lifecycle';
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm';
+
+const formatDateKey = (dateKey) =>
+  parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// When a habit counts: its start and end dates and the periods it was paused
+const LifecycleEditor = ({ task, today, onChange, onPause, onResume }) => {
+  const todayKey = toDateKey(today);
+  const start = getStartDate(task) || todayKey;
+  const pauses = task.pauses || [];
+  const paused = Boolean(getPauseOn(task, todayKey)) || pauses.some(pause => !pause.end);
+
+  const setStart = (value) => {
+    if (!value || (task.endDate && value > task.endDate)) return;
+    onChange({ startDate: value });
+  };
+
+  const setEnd = (value) => {
+    if (value && value < start) return;
+    onChange({ endDate: value || undefined });
+  };
+
+  return (
+    <div className="space-y-1 text-sm text-gray-600">
+      <div className="flex flex-wrap items-center gap-2">
+        <CalendarRange className="h-4 w-4" />
+        From
+        <input type="date" value={start} onChange={(e) => setStart(e.target.value)} className={inputClass} />
+        until
+        <input
+          type="date"
+          value={task.endDate || ''}
+          min={start}
+          onChange={(e) => setEnd(e.target.value)}
+          className={inputClass}
+          title="Leave empty to keep going"
+        />
+        {task.endDate ? (
+          <button
+            onClick={() => setEnd('')}
+            className="p-0.5 text-gray-400 hover:text-red-500 rounded"
+            title="Remove end date"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        ) : (
+          <button
+            onClick={() => setEnd(toDateKey(addDays(parseDateKey(start), 29)))}
+            className="px-2 py-1 text-xs text-blue-600 bg-blue-50 rounded hover:bg-blue-100"
+            title="End 30 days after the start date"
+          >
+            30-day challenge
+          </button>
+        )}
+        <button
+          onClick={paused ? onResume : onPause}
+          className="flex items-center gap-1 px-2 py-1 text-xs text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+        >
+          {paused ? <Play className="h-3 w-3" /> : <Pause className="h-3 w-3" />}
+          {paused ? 'Resume' : 'Pause from today'}
+        </button>
+      </div>
+      {pauses.map(pause => (
+        <div key={pause.start} className="flex items-center gap-2 pl-6">
+          <Pause className="h-3 w-3 text-gray-400" />
+          <span className="flex-1">
+            Paused {formatDateKey(pause.start)}
+            {pause.end ? ` – ${formatDateKey(pause.end)}` : ' onwards'}
+          </span>
+          <button
+            onClick={() => onChange({ pauses: pauses.filter(p => p !== pause) })}
+            className="p-0.5 text-gray-400 hover:text-red-500 rounded"
+            title="Remove pause"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LifecycleEditor;
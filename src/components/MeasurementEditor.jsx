@@ -0,0 +1,48 @@
+import React from 'react';
+import { MEASUREMENT_TYPES, createMeasurement } from '../lib/measurement';
+
+const MeasurementEditor = ({ value, onChange, compact = false }) => {
+  const inputClass = compact
+    ? 'px-2 py-1 border border-gray-300 rounded text-sm'
+    : 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={value.type}
+        onChange={(e) => onChange(createMeasurement(e.target.value))}
+        className={inputClass}
+      >
+        {MEASUREMENT_TYPES.map(({ value: type, label }) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+
+      {value.type !== 'checkbox' && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          target
+          <input
+            type="number"
+            min={1}
+            value={value.target}
+            onChange={(e) => onChange({ ...value, target: Math.max(parseFloat(e.target.value) || 1, 1) })}
+            className={`${inputClass} w-24`}
+          />
+          {value.type === 'duration' && 'min'}
+        </label>
+      )}
+
+      {(value.type === 'count' || value.type === 'numeric') && (
+        <input
+          type="text"
+          value={value.unit}
+          onChange={(e) => onChange({ ...value, unit: e.target.value })}
+          placeholder="unit"
+          className={`${inputClass} w-24`}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MeasurementEditor;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { MOODS, formatTags, parseTags } from '../lib/notes';
+
+/**
+ * Dialog for a habit's note on one day, or the day's journal entry when
+ * `journal` is set (a bigger text box, same mood and tags).
+ */
+const NoteEditor = ({ title, subtitle, note, journal = false, onSave, onClose }) => {
+  const [text, setText] = useState(note?.text || '');
+  const [mood, setMood] = useState(note?.mood || null);
+  const [tags, setTags] = useState(formatTags(note?.tags));
+
+  const save = () => onSave({ text, mood, tags: parseTags(tags) });
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50" onClick={onClose}>
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-md" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">{title}</h2>
+            {subtitle && <p className="text-sm text-gray-500">{subtitle}</p>}
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-3">
+          {MOODS.map(({ value, label, symbol }) => (
+            <button
+              key={value}
+              onClick={() => setMood(mood === value ? null : value)}
+              className={`flex-1 py-2 rounded-lg text-xl transition-all ${
+                mood === value ? 'bg-blue-100 ring-2 ring-blue-400' : 'bg-gray-50 hover:bg-gray-100'
+              }`}
+              title={label}
+            >
+              {symbol}
+            </button>
+          ))}
+        </div>
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) save();
+            if (e.key === 'Escape') onClose();
+          }}
+          rows={journal ? 8 : 3}
+          placeholder={journal ? 'How did the day go?' : 'e.g. ran 5k, knee sore'}
+          className="w-full px-3 py-2 mb-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm"
+          autoFocus
+        />
+
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder="Tags, e.g. #injury #travel"
+          className="w-full px-3 py-2 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm"
+        />
+
+        <div className="flex justify-between gap-2">
+          <button
+            onClick={() => onSave(null)}
+            disabled={!note}
+            className="px-4 py-2 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-0"
+          >
+            Delete
+          </button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-gray-600 rounded-lg hover:bg-gray-100">
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NoteEditor;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { BookOpen, Search } from 'lucide-react';
+import { parseDateKey } from '../lib/dates';
+import { JOURNAL, formatTags, getMoodSymbol, searchNotes } from '../lib/notes';
+
+const MAX_RESULTS = 50;
+
+/**
+ * Searchable list of habit notes and journal entries, newest first.
+ * Clicking an entry opens it for editing; clicking a tag searches for it.
+ */
+const NotesPanel = ({ dayNotes, tasks, todayKey, onEdit }) => {
+  const [query, setQuery] = useState('');
+
+  const results = searchNotes(dayNotes, query, tasks);
+  const taskById = new Map(tasks.map(task => [task.id, task]));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search notes, habits or #tags"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+        </div>
+        <button
+          onClick={() => onEdit(todayKey, JOURNAL)}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all"
+        >
+          <BookOpen className="h-4 w-4" />
+          Today's journal
+        </button>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          {query ? 'No notes match your search.' : 'No notes yet. Shift+click a day in the history to add one.'}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {results.slice(0, MAX_RESULTS).map(({ date, taskId, note }) => {
+            const task = taskById.get(taskId);
+            return (
+              <div
+                key={`${date}-${taskId}`}
+                onClick={() => onEdit(date, taskId)}
+                className="p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer border-l-4"
+                style={{ borderLeftColor: task?.color || '#8B5CF6' }}
+              >
+                <div className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                  <span>{parseDateKey(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</span>
+                  <span>•</span>
+                  <span className="font-medium text-gray-700">{taskId === JOURNAL ? 'Journal' : task?.name || 'Deleted habit'}</span>
+                  {note.mood && <span className="text-base leading-none">{getMoodSymbol(note.mood)}</span>}
+                </div>
+                {note.text && <p className="text-sm text-gray-800 whitespace-pre-wrap">{note.text}</p>}
+                {note.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {note.tags.map(tag => (
+                      <button
+                        key={tag}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setQuery(formatTags([tag]));
+                        }}
+                        className="text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-600 hover:bg-blue-100"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {results.length > MAX_RESULTS && (
+            <p className="text-xs text-gray-500 text-center">…and {results.length - MAX_RESULTS} more. Refine your search to see them.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotesPanel;
@@ -0,0 +1,150 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, ChevronDown, Edit2, LayoutGrid, Plus, Trash2, X } from 'lucide-react';
+import { isProfileNameTaken } from '../lib/profiles';
+
+const inputClass = 'flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+/**
+ * Header dropdown for switching, creating, renaming and deleting profiles, and for
+ * opening the combined dashboard when there is more than one.
+ */
+const ProfileSwitcher = ({ profiles, activeId, onSwitch, onCreate, onRename, onDelete, onShowCombined }) => {
+  const [open, setOpen] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [name, setName] = useState('');
+  const menuRef = useRef(null);
+
+  const active = profiles.find(profile => profile.id === activeId);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const nameError = name.trim() && isProfileNameTaken(profiles, name, renamingId) ? 'That name is taken' : null;
+
+  const submit = () => {
+    if (!name.trim() || nameError) return;
+    if (renamingId) onRename(renamingId, name);
+    else onCreate(name);
+    setName('');
+    setRenamingId(null);
+  };
+
+  const startRename = (profile) => {
+    setRenamingId(profile.id);
+    setName(profile.name);
+  };
+
+  return (
+    <div className="relative inline-block text-left" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 px-3 py-2 bg-surface rounded-lg shadow-sm hover:bg-gray-50 text-sm font-medium text-gray-700"
+      >
+        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: active?.color }} />
+        {active?.name || 'Profile'}
+        <ChevronDown className="h-4 w-4 text-gray-400" />
+      </button>
+
+      {open && (
+        <div className="absolute left-1/2 -translate-x-1/2 mt-2 w-72 bg-surface rounded-lg shadow-lg border border-gray-100 p-2 z-40">
+          {profiles.map(profile => (
+            <div key={profile.id} className="flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-50">
+              {renamingId === profile.id ? (
+                <>
+                  <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') submit();
+                      if (e.key === 'Escape') setRenamingId(null);
+                    }}
+                    className={inputClass}
+                    autoFocus
+                  />
+                  <button onClick={submit} className="p-1 text-green-500 hover:bg-green-50 rounded">
+                    <Check className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => setRenamingId(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded">
+                    <X className="h-4 w-4" />
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={() => {
+                      onSwitch(profile.id);
+                      setOpen(false);
+                    }}
+                    className="flex items-center gap-2 flex-1 text-left text-sm text-gray-700"
+                  >
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: profile.color }} />
+                    <span className={profile.id === activeId ? 'font-semibold' : ''}>{profile.name}</span>
+                    {profile.id === activeId && <Check className="h-4 w-4 text-blue-500" />}
+                  </button>
+                  <button
+                    onClick={() => startRename(profile)}
+                    className="p-1 text-blue-500 hover:bg-blue-50 rounded"
+                    title="Rename"
+                  >
+                    <Edit2 className="h-3 w-3" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(profile.id)}
+                    disabled={profiles.length === 1}
+                    className="p-1 text-red-500 hover:bg-red-50 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                    title={profiles.length === 1 ? "The last profile can't be deleted" : 'Delete'}
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+
+          {!renamingId && (
+            <div className="flex items-center gap-2 px-2 pt-2 mt-2 border-t border-gray-100">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submit()}
+                placeholder="New profile name"
+                className={inputClass}
+              />
+              <button
+                onClick={submit}
+                disabled={!name.trim() || Boolean(nameError)}
+                className="p-1 text-white bg-blue-500 rounded hover:bg-blue-600 disabled:opacity-50"
+                title="Create profile"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+          {nameError && <p className="px-2 pt-1 text-xs text-red-500">{nameError}</p>}
+
+          {profiles.length > 1 && (
+            <button
+              onClick={() => {
+                onShowCombined();
+                setOpen(false);
+              }}
+              className="flex items-center gap-2 w-full px-2 py-2 mt-2 border-t border-gray-100 text-sm text-gray-600 hover:bg-gray-50 rounded"
+            >
+              <LayoutGrid className="h-4 w-4" />
+              All profiles dashboard
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
@@ -0,0 +1,39 @@
+import React from 'react';
+import HabitIcon from './HabitIcon';
+
+const ICON_SIZE = 14;
+const GAP = 4;
+
+/**
+ * A radar chart's axis label with the habit's icon beside its name, on whichever
+ * side faces away from the chart. `habit` is null for category axes.
+ */
+const RadarTick = ({ x, y, textAnchor, payload, habit, fill }) => {
+  const label = (textX) => (
+    <text x={textX} y={y} dy={4} textAnchor={textAnchor} fontSize={12} fill={fill}>
+      {payload.value}
+    </text>
+  );
+  if (!habit?.icon) return label(x);
+
+  let iconX = x - ICON_SIZE / 2;
+  let iconY = y - ICON_SIZE - 8;
+  let textX = x;
+  if (textAnchor === 'start') {
+    iconX = x;
+    iconY = y - ICON_SIZE / 2;
+    textX = x + ICON_SIZE + GAP;
+  } else if (textAnchor === 'end') {
+    iconX = x - ICON_SIZE;
+    iconY = y - ICON_SIZE / 2;
+    textX = x - ICON_SIZE - GAP;
+  }
+  return (
+    <g>
+      <HabitIcon task={habit} size={ICON_SIZE} x={iconX} y={iconY} />
+      {label(textX)}
+    </g>
+  );
+};
+
+export default RadarTick;
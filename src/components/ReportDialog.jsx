@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { ChevronLeft, ChevronRight, Download, Printer, X } from 'lucide-react';
+import { toDateKey } from '../lib/dates';
+import { REPORT_PERIODS, buildReport, renderReportPng, renderReportSvg } from '../lib/report';
+import { getActiveTasks } from '../lib/tracker';
+import { downloadFile } from '../lib/transfer';
+
+const buttonClass = 'flex items-center gap-1 px-3 py-2 rounded-md text-sm text-gray-600 bg-gray-100 hover:bg-gray-200';
+
+/**
+ * Builds a weekly or monthly report on the active habits to send to someone,
+ * with a preview, PNG and SVG downloads and printing. While it's open, printing
+ * the page prints only the report (see the print styles in index.css).
+ */
+const ReportDialog = ({ tasks: allTasks, dailyCompletion, excusedDays, dayNotes, today, weekStart, title, getFilename, onClose }) => {
+  const [period, setPeriod] = useState('week');
+  const [offset, setOffset] = useState(0);
+  const [error, setError] = useState(null);
+
+  const rendered = useMemo(() => {
+    const state = { tasks: allTasks, dailyCompletion, excusedDays, dayNotes };
+    const report = buildReport(state, { tasks: getActiveTasks(allTasks), period, offset, today, weekStart, title });
+    return { report, ...renderReportSvg(report) };
+  }, [allTasks, dailyCompletion, excusedDays, dayNotes, toDateKey(today), weekStart, title, period, offset]);
+
+  const filename = (extension) => getFilename(extension, `progress-report-${period}`, toDateKey(rendered.report.start));
+
+  const choosePeriod = (value) => {
+    setPeriod(value);
+    setOffset(0);
+  };
+
+  const downloadPng = async () => {
+    setError(null);
+    try {
+      downloadFile(filename('png'), await renderReportPng(rendered), 'image/png');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-start justify-center p-4 z-50 overflow-y-auto">
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-4xl my-8">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Progress Report</h2>
+            <p className="text-sm text-gray-500">Made in your browser; nothing is uploaded</p>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-2">
+            <div className="bg-gray-100 rounded-lg p-1">
+              {REPORT_PERIODS.map(({ value, label }) => (
+                <button
+                  key={value}
+                  onClick={() => choosePeriod(value)}
+                  className={`px-3 py-1 rounded-md text-sm ${
+                    period === value ? 'bg-blue-500 text-white shadow-sm' : 'text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={() => setOffset(offset + 1)}
+              className="p-1 text-gray-500 hover:bg-gray-100 rounded"
+              title={`Previous ${period}`}
+            >
+              <ChevronLeft className="h-5 w-5" />
+            </button>
+            <span className="text-sm font-medium text-gray-700 min-w-[10rem] text-center">{rendered.report.label}</span>
+            <button
+              onClick={() => setOffset(offset - 1)}
+              disabled={offset === 0}
+              className="p-1 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-40 disabled:hover:bg-transparent"
+              title={`Next ${period}`}
+            >
+              <ChevronRight className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={downloadPng} className={buttonClass} title="Download the report as an image">
+              <Download className="h-4 w-4" />
+              PNG
+            </button>
+            <button
+              onClick={() => downloadFile(filename('svg'), rendered.svg, 'image/svg+xml')}
+              className={buttonClass}
+              title="Download the report as a scalable image"
+            >
+              <Download className="h-4 w-4" />
+              SVG
+            </button>
+            <button onClick={() => window.print()} className={buttonClass} title="Print the report or save it as a PDF">
+              <Printer className="h-4 w-4" />
+              Print
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+        {/* The report brings its own white background, whatever the theme */}
+        <div
+          className="border border-gray-200 rounded-lg overflow-hidden [&_svg]:w-full [&_svg]:h-auto"
+          dangerouslySetInnerHTML={{ __html: rendered.svg }}
+        />
+      </div>
+
+      {createPortal(<div className="print-report" dangerouslySetInnerHTML={{ __html: rendered.svg }} />, document.body)}
+    </div>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { ChevronDown, ChevronUp, Clock, Moon, Sun, Sunrise } from 'lucide-react';
+import { getRoutineLabel } from '../lib/routines';
+
+const ROUTINE_ICONS = { morning: Sunrise, afternoon: Sun, evening: Moon, anytime: Clock };
+
+/**
+ * Collapsible heading for one routine in the task list. The routine for the
+ * current time of day is highlighted. Habits can be dropped on it to move them
+ * to the end of the routine.
+ */
+const RoutineHeader = ({ routine, done, total, current, collapsed, onToggle, onDragOver, onDrop }) => {
+  const Icon = ROUTINE_ICONS[routine] || Clock;
+
+  return (
+    <button
+      onClick={onToggle}
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+      className={`flex items-center w-full gap-2 px-3 py-2 rounded-lg text-left transition-colors ${
+        current ? 'bg-purple-50 text-purple-700 ring-1 ring-purple-200' : 'text-gray-600 hover:bg-gray-50'
+      }`}
+    >
+      <Icon className="h-4 w-4" />
+      <span className="font-semibold">{getRoutineLabel(routine)}</span>
+      {current && <span className="text-xs px-2 py-0.5 rounded-full bg-purple-500 text-white">Now</span>}
+      <span className="ml-auto text-sm text-gray-500">{done}/{total} done</span>
+      {collapsed ? <ChevronDown className="h-4 w-4" /> : <ChevronUp className="h-4 w-4" />}
+    </button>
+  );
+};
+
+export default RoutineHeader;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { SCHEDULE_TYPES, WEEKDAY_LABELS, createSchedule } from '../lib/schedule';
+
+// `types` narrows the choice, e.g. to AVOIDANCE_SCHEDULE_TYPES; `today` is the
+// logical day, which new interval schedules count from
+const ScheduleEditor = ({ value, onChange, today, types = SCHEDULE_TYPES, compact = false }) => {
+  const inputClass = compact
+    ? 'px-2 py-1 border border-gray-300 rounded text-sm'
+    : 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  const toggleWeekday = (day) => {
+    const days = value.days.includes(day)
+      ? value.days.filter(d => d !== day)
+      : [...value.days, day];
+    // A weekday schedule with no days would never be due
+    if (days.length > 0) {
+      onChange({ ...value, days });
+    }
+  };
+
+  const setNumber = (field, rawValue, max) => {
+    const number = Math.min(Math.max(parseInt(rawValue) || 1, 1), max);
+    onChange({ ...value, [field]: number });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={value.type}
+        onChange={(e) => onChange(createSchedule(e.target.value, today))}
+        className={inputClass}
+      >
+        {types.map(({ value: type, label }) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+
+      {value.type === 'weekdays' && (
+        <div className="flex gap-1">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`w-9 py-1 rounded text-xs font-medium transition-colors ${
+                value.days.includes(day)
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(value.type === 'weekly' || value.type === 'monthly') && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="number"
+            min={1}
+            max={value.type === 'weekly' ? 7 : 31}
+            value={value.times}
+            onChange={(e) => setNumber('times', e.target.value, value.type === 'weekly' ? 7 : 31)}
+            className={`${inputClass} w-16`}
+          />
+          times per {value.type === 'weekly' ? 'week' : 'month'}
+        </label>
+      )}
+
+      {value.type === 'interval' && (
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          every
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={value.every}
+            onChange={(e) => setNumber('every', e.target.value, 365)}
+            className={`${inputClass} w-16`}
+          />
+          days
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleEditor;
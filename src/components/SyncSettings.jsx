@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+const isValidUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Sets the sync server every profile syncs with. An empty URL turns sync off.
+ */
+const SyncSettings = ({ settings, onSave, onClose }) => {
+  const [url, setUrl] = useState(settings.url);
+  const [token, setToken] = useState(settings.token);
+
+  const trimmedUrl = url.trim();
+  const urlError = trimmedUrl && !isValidUrl(trimmedUrl) ? 'Enter a full http:// or https:// address' : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-4 z-50">
+      <div className="bg-surface rounded-xl p-6 shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Sync</h2>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Keep your habits in step across your devices through a sync server you run yourself
+          (see <code>server/README.md</code>). Changes made offline are sent once the server can be reached again.
+          Only the first profile is shared between devices; profiles added later stay on the device that created them.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Server URL</label>
+        <input
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="http://localhost:8787"
+          className={`${inputClass} mb-1`}
+          autoFocus
+        />
+        <p className="text-xs text-red-600 mb-3 min-h-4">{urlError}</p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Token (optional)</label>
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          className={`${inputClass} mb-6`}
+        />
+
+        <div className="flex justify-between gap-2">
+          <button
+            onClick={() => onSave({ url: '', token: '' })}
+            disabled={!settings.url}
+            className="px-4 py-2 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Turn off
+          </button>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-gray-600 rounded-lg hover:bg-gray-100">
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave({ url: trimmedUrl, token: token.trim() })}
+              disabled={!trimmedUrl || Boolean(urlError)}
+              className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncSettings;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, Settings } from 'lucide-react';
+
+const STATUS = {
+  off: { label: 'Sync off', className: 'text-gray-500' },
+  syncing: { label: 'Syncing…', className: 'text-blue-600' },
+  synced: { label: 'Synced', className: 'text-green-600' },
+  offline: { label: 'Offline, changes queued', className: 'text-yellow-700' },
+  error: { label: 'Sync failed', className: 'text-red-600' },
+};
+
+const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Header indicator for the sync server: shows how the last sync went, syncs on
+ * click, and opens the settings from the gear (or from anywhere while sync is off).
+ */
+const SyncStatus = ({ status, lastSyncedAt, onSyncNow, onOpenSettings }) => {
+  const { label, className } = STATUS[status] || STATUS.off;
+  const Icon = status === 'off' || status === 'offline' ? CloudOff : status === 'syncing' ? RefreshCw : Cloud;
+  const title = status === 'off'
+    ? 'Set up sync between devices'
+    : `Sync now${lastSyncedAt ? ` (last synced at ${formatTime(lastSyncedAt)})` : ''}`;
+
+  return (
+    <div className="flex items-center bg-surface rounded-lg shadow-sm text-sm font-medium">
+      <button
+        onClick={status === 'off' ? onOpenSettings : onSyncNow}
+        disabled={status === 'syncing'}
+        title={title}
+        className={`flex items-center gap-2 px-3 py-2 rounded-l-lg hover:bg-gray-50 ${className}`}
+      >
+        <Icon className={`h-4 w-4 ${status === 'syncing' ? 'animate-spin' : ''}`} />
+        {label}
+      </button>
+      <button
+        onClick={onOpenSettings}
+        title="Sync settings"
+        aria-label="Sync settings"
+        className="px-2 py-2 border-l border-gray-100 rounded-r-lg text-gray-400 hover:bg-gray-50 hover:text-gray-600"
+      >
+        <Settings className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Monitor, Moon, Sun } from 'lucide-react';
+import { THEMES } from '../lib/theme';
+
+const ICONS = { light: Sun, dark: Moon, system: Monitor };
+
+// Light / dark / system toggle for the header
+const ThemeSwitcher = ({ theme, onChange }) => (
+  <div className="flex items-center bg-surface rounded-lg shadow-sm p-1" role="radiogroup" aria-label="Theme">
+    {THEMES.map(({ value, label }) => {
+      const Icon = ICONS[value];
+      return (
+        <button
+          key={value}
+          onClick={() => onChange(value)}
+          role="radio"
+          aria-checked={theme === value}
+          title={`${label} theme`}
+          className={`p-1.5 rounded-md transition-colors ${
+            theme === value ? 'bg-blue-500 text-white' : 'text-gray-500 hover:bg-gray-100'
+          }`}
+        >
+          <Icon className="h-4 w-4" />
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default ThemeSwitcher;
@@ -0,0 +1,29 @@
+import React, { useEffect } from 'react';
+import { RotateCcw, X } from 'lucide-react';
+
+const TOAST_DURATION = 6000;
+
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 flex items-center gap-4 px-4 py-3 bg-gray-800 text-gray-50 rounded-lg shadow-lg z-50">
+      <span className="text-sm">{message}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center gap-1 text-sm font-medium text-blue-300 hover:text-blue-200"
+      >
+        <RotateCcw className="h-4 w-4" />
+        Undo
+      </button>
+      <button onClick={onDismiss} className="p-1 text-gray-400 hover:text-white rounded">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { Minus, Plus } from 'lucide-react';
+import { getMeasurement, getNumericValue, getStep, getUnit, isGoalMet } from '../lib/measurement';
+
+// "Mark Done" replacement for count, duration and numeric habits
+const ValueStepper = ({ task, value, onChange }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const amount = getNumericValue(value);
+  const step = getStep(task);
+  const { target } = getMeasurement(task);
+  const unit = getUnit(task);
+
+  const commit = (rawValue) => {
+    onChange(Math.max(parseFloat(rawValue) || 0, 0));
+    setIsEditing(false);
+  };
+
+  return (
+    <div
+      className={`flex items-center rounded-lg text-sm font-medium transition-all ${
+        isGoalMet(task, value) ? 'bg-green-500 text-white' : 'bg-gray-200 text-gray-700'
+      }`}
+    >
+      <button
+        onClick={() => onChange(Math.max(amount - step, 0))}
+        className="p-1 rounded-l-lg hover:bg-black/10"
+        title={`-${step}`}
+      >
+        <Minus className="h-3 w-3" />
+      </button>
+      {isEditing ? (
+        <input
+          type="number"
+          min={0}
+          defaultValue={amount}
+          className="w-16 px-1 text-gray-800 text-sm rounded"
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commit(e.target.value);
+            if (e.key === 'Escape') setIsEditing(false);
+          }}
+          onBlur={(e) => commit(e.target.value)}
+          autoFocus
+        />
+      ) : (
+        <button
+          onClick={() => setIsEditing(true)}
+          className="px-1 whitespace-nowrap"
+          title="Enter a value"
+        >
+          {amount}/{target}{unit && ` ${unit}`}
+        </button>
+      )}
+      <button
+        onClick={() => onChange(amount + step)}
+        className="p-1 rounded-r-lg hover:bg-black/10"
+        title={`+${step}`}
+      >
+        <Plus className="h-3 w-3" />
+      </button>
+    </div>
+  );
+};
+
+export default ValueStepper;
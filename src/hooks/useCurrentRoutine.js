@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+import { getCurrentRoutine, msUntilNextRoutine } from '../lib/routines';
+
+// The time-of-day routine it is now, kept current the same way as useLogicalToday
+const useCurrentRoutine = () => {
+  const [routine, setRoutine] = useState(() => getCurrentRoutine());
+
+  useEffect(() => {
+    let timer;
+
+    const refresh = () => {
+      const now = new Date();
+      setRoutine(getCurrentRoutine(now));
+      clearTimeout(timer);
+      timer = setTimeout(refresh, msUntilNextRoutine(now));
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+
+    refresh();
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('focus', refresh);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('focus', refresh);
+    };
+  }, []);
+
+  return routine;
+};
+
+export default useCurrentRoutine;
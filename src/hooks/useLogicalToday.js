@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+import { getLogicalToday, msUntilNextDay, toDateKey } from '../lib/dates';
+
+/**
+ * The current tracker day as a local-midnight Date. Updates when the day rolls
+ * over while the page is open, and re-checks when the tab becomes visible again
+ * because timers are throttled or frozen in background tabs and during sleep.
+ */
+const useLogicalToday = (dayStartHour) => {
+  const [today, setToday] = useState(() => getLogicalToday(new Date(), dayStartHour));
+
+  useEffect(() => {
+    let timer;
+
+    const refresh = () => {
+      const now = new Date();
+      const next = getLogicalToday(now, dayStartHour);
+      setToday(current => (toDateKey(current) === toDateKey(next) ? current : next));
+      clearTimeout(timer);
+      timer = setTimeout(refresh, msUntilNextDay(now, dayStartHour));
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+
+    refresh();
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('focus', refresh);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('focus', refresh);
+    };
+  }, [dayStartHour]);
+
+  return today;
+};
+
+export default useLogicalToday;
@@ -0,0 +1,72 @@
+import { useEffect, useRef } from 'react';
+import { toDateKey } from '../lib/dates';
+import { SNOOZE_MINUTES, getPendingReminders, notificationsSupported, showReminder } from '../lib/reminders';
+
+const CHECK_INTERVAL = 30000;
+// Which day each reminder was last sent for, so a reload doesn't repeat it
+const SENT_KEY = 'progressTrackerRemindersSent';
+
+const readSent = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SENT_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Sends habit reminders while the app is open in a tab or as an installed app.
+ * `onDone(taskId)` handles the notification's "Mark done" button.
+ */
+const useReminders = ({ tasks, dailyCompletion, excusedDays, today, weekStart, onDone }) => {
+  const stateRef = useRef(null);
+  const snoozedUntilRef = useRef({});
+  stateRef.current = { tasks, dailyCompletion, excusedDays, today, weekStart, onDone };
+
+  const check = () => {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return;
+    const sent = readSent();
+    const pending = getPendingReminders({
+      ...stateRef.current,
+      now: new Date(),
+      sent,
+      snoozedUntil: snoozedUntilRef.current,
+    });
+    if (pending.length === 0) return;
+
+    const todayKey = toDateKey(stateRef.current.today);
+    pending.forEach(task => {
+      sent[task.id] = todayKey;
+      delete snoozedUntilRef.current[task.id];
+      showReminder(task).catch(error => console.error('Failed to show reminder:', error));
+    });
+    try {
+      localStorage.setItem(SENT_KEY, JSON.stringify(sent));
+    } catch (error) {
+      console.error('Failed to remember sent reminders:', error);
+    }
+  };
+
+  useEffect(() => {
+    const timer = setInterval(check, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Also check right away when habits, completions or the day change
+  useEffect(check, [tasks, dailyCompletion, excusedDays, today]);
+
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return undefined;
+    const handleMessage = ({ data }) => {
+      if (data?.type === 'reminder-snooze') {
+        snoozedUntilRef.current[data.taskId] = Date.now() + SNOOZE_MINUTES * 60000;
+      } else if (data?.type === 'reminder-done') {
+        stateRef.current.onDone(data.taskId);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+};
+
+export default useReminders;
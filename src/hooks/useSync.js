@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from 'react';
+import { createSyncClient, getDeviceId, syncProfile } from '../lib/sync';
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+// Waits for a burst of edits to settle before sending them
+const CHANGE_DELAY_MS = 3000;
+
+/**
+ * Syncs the loaded profile with the server in `settings` ({ url, token }) while
+ * one is set: on load, every minute, when the tab comes back online or into
+ * view, shortly after `schedule()` is called and on `syncNow()`. `getState`
+ * returns the loaded profile's saved data (with its `profileId`) or null, and
+ * `onRemoteChanges(profileId, changes)` gets whatever the server had that won.
+ * `status` is 'off', 'syncing', 'synced', 'offline' or 'error'.
+ */
+const useSync = (profileId, settings, getState, onRemoteChanges) => {
+  const [status, setStatus] = useState('off');
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const callbacksRef = useRef({ getState, onRemoteChanges });
+  const syncRef = useRef(() => {});
+  const timerRef = useRef(null);
+  callbacksRef.current = { getState, onRemoteChanges };
+
+  const enabled = Boolean(settings.url);
+
+  useEffect(() => {
+    if (!enabled || !profileId) {
+      setStatus('off');
+      syncRef.current = () => {};
+      return undefined;
+    }
+
+    const client = createSyncClient(settings.url, settings.token);
+    const deviceId = getDeviceId();
+    let running = false;
+    let runAgain = false;
+    let stopped = false;
+
+    const run = async () => {
+      if (running) {
+        runAgain = true;
+        return;
+      }
+      const state = callbacksRef.current.getState();
+      if (stopped || !state || state.profileId !== profileId) return;
+      running = true;
+      setStatus('syncing');
+      const sync = () => syncProfile(client, profileId, state, deviceId);
+      // One tab at a time, where the browser can coordinate that
+      const result = navigator.locks
+        ? await navigator.locks.request(`daily-progress-tracker-sync-${profileId}`, sync)
+        : await sync();
+      running = false;
+      if (stopped) return;
+      setStatus(result.status);
+      if (result.status === 'synced') {
+        setLastSyncedAt(new Date());
+        callbacksRef.current.onRemoteChanges(profileId, result.changes);
+      }
+      // Changes made while this sync was out go in the next one
+      if (runAgain) {
+        runAgain = false;
+        run();
+      }
+    };
+    syncRef.current = run;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') run();
+    };
+
+    run();
+    const interval = setInterval(run, SYNC_INTERVAL_MS);
+    window.addEventListener('online', run);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+      clearTimeout(timerRef.current);
+      window.removeEventListener('online', run);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [enabled, profileId, settings.url, settings.token]);
+
+  const schedule = () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => syncRef.current(), CHANGE_DELAY_MS);
+  };
+
+  return {
+    status,
+    lastSyncedAt,
+    syncNow: () => syncRef.current(),
+    schedule,
+  };
+};
+
+export default useSync;
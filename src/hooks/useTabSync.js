@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { openTabChannel } from '../lib/tabSync';
+
+/**
+ * Keeps a channel to the other open tabs for as long as the component is
+ * mounted. `onMessage` may change on every render; the latest one is called.
+ * Returns a function that posts a message to the other tabs.
+ */
+const useTabSync = (onMessage) => {
+  const handlerRef = useRef(onMessage);
+  const channelRef = useRef(null);
+  handlerRef.current = onMessage;
+
+  useEffect(() => {
+    const channel = openTabChannel(message => handlerRef.current(message));
+    channelRef.current = channel;
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, []);
+
+  return (message) => channelRef.current?.post(message);
+};
+
+export default useTabSync;
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+import { THEME_STORAGE_KEY, applyTheme, loadTheme, prefersDarkScheme, resolveTheme, saveTheme } from '../lib/theme';
+
+/**
+ * The chosen theme ('light', 'dark' or 'system') and the one in effect. Follows
+ * the operating system while on 'system', and theme changes made in other tabs.
+ */
+const useTheme = () => {
+  const [theme, setThemeState] = useState(loadTheme);
+  const [prefersDark, setPrefersDark] = useState(prefersDarkScheme);
+
+  useEffect(() => {
+    const media = window.matchMedia?.('(prefers-color-scheme: dark)');
+    const handleChange = (e) => setPrefersDark(e.matches);
+    const handleStorage = (e) => {
+      if (e.key === THEME_STORAGE_KEY) setThemeState(loadTheme());
+    };
+    media?.addEventListener('change', handleChange);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      media?.removeEventListener('change', handleChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  const resolvedTheme = resolveTheme(theme, prefersDark);
+
+  useEffect(() => {
+    applyTheme(resolvedTheme);
+  }, [resolvedTheme]);
+
+  const setTheme = (next) => {
+    setThemeState(next);
+    saveTheme(next);
+  };
+
+  return { theme, resolvedTheme, setTheme };
+};
+
+export default useTheme;
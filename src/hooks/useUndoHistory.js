@@ -0,0 +1,66 @@
+import { useState } from 'react';
+
+const MAX_HISTORY = 100;
+
+/**
+ * Undo/redo over immutable snapshots. `snapshot` is the current state and
+ * `restore` puts a snapshot in place; every change that should be undoable goes
+ * through `record(label, changes)` instead of calling the setters directly, where
+ * `changes` holds only the parts of the snapshot that change.
+ */
+const useUndoHistory = (snapshot, restore) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+
+  const record = (label, changes) => {
+    setPast([...past, { label, snapshot }].slice(-MAX_HISTORY));
+    setFuture([]);
+    restore({ ...snapshot, ...changes });
+  };
+
+  const undo = () => {
+    const entry = past[past.length - 1];
+    if (!entry) return null;
+    setPast(past.slice(0, -1));
+    setFuture([{ label: entry.label, snapshot }, ...future]);
+    restore(entry.snapshot);
+    return entry.label;
+  };
+
+  const redo = () => {
+    const entry = future[0];
+    if (!entry) return null;
+    setFuture(future.slice(1));
+    setPast([...past, { label: entry.label, snapshot }]);
+    restore(entry.snapshot);
+    return entry.label;
+  };
+
+  // Forgets everything, e.g. when switching to another profile's data
+  const reset = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  // Rewrites every snapshot, e.g. to carry in changes made in another tab so
+  // that undoing a local edit doesn't revert them
+  const rebase = (update) => {
+    const rebaseEntry = (entry) => ({ ...entry, snapshot: update(entry.snapshot) });
+    setPast(entries => entries.map(rebaseEntry));
+    setFuture(entries => entries.map(rebaseEntry));
+  };
+
+  return {
+    record,
+    reset,
+    rebase,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    undoLabel: past[past.length - 1]?.label,
+    redoLabel: future[0]?.label,
+  };
+};
+
+export default useUndoHistory;
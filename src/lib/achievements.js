@@ -0,0 +1,165 @@
+import { isAvoidance } from './avoidance';
+import { addDays, getDatesBetween, parseDateKey, toDateKey } from './dates';
+import { getStartDate } from './lifecycle';
+import { getCompletionRatio } from './measurement';
+import { DEFAULT_WEEK_START, getPeriodBounds } from './schedule';
+import { getStreakStats } from './streaks';
+import { getPooledProgress } from './tracker';
+
+// Achievements are worked out from the history every time rather than stored, so
+// editing a past day can earn (or take back) a badge and each badge's date is the
+// day it was actually reached. Per-habit goals live on the task as
+// `task.goals = [{ id, target, start, end }]`: complete the habit `target` times
+// between the `start` and `end` date keys.
+
+export const ACHIEVEMENTS = [
+  { id: 'streak-7', kind: 'streak', target: 7, title: 'On a Roll', description: 'Reach a 7-day streak on any daily habit' },
+  { id: 'completions-30', kind: 'completions', target: 30, title: 'Getting Started', description: 'Complete habits 30 times' },
+  { id: 'completions-100', kind: 'completions', target: 100, title: 'Century', description: 'Complete habits 100 times' },
+  { id: 'completions-365', kind: 'completions', target: 365, title: 'A Year of Effort', description: 'Complete habits 365 times' },
+  { id: 'perfect-week', kind: 'perfectWeek', target: 100, title: 'Perfect Week', description: 'Finish every due habit for a whole calendar week' },
+  { id: 'perfect-month', kind: 'perfectMonth', target: 100, title: 'Perfect Month', description: 'Finish every due habit for a whole calendar month' },
+  { id: 'priority-week', kind: 'priorityWeek', target: 100, title: 'Top Priorities', description: 'Finish every high-priority habit for a whole calendar week' },
+];
+
+const WEEKLY = { type: 'weekly' };
+const MONTHLY = { type: 'monthly' };
+
+const formatDate = (date, options) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...options });
+
+// Slips logged on avoidance habits are never completions
+const isMet = (dailyCompletion, task, dateKey) =>
+  !isAvoidance(task) && getCompletionRatio(task, dailyCompletion[dateKey]?.[task.id]) >= 1;
+
+// Every day any habit met its target, oldest first
+const getCompletionDates = (state) =>
+  Object.keys(state.dailyCompletion)
+    .sort()
+    .flatMap(dateKey => state.tasks.filter(task => isMet(state.dailyCompletion, task, dateKey)).map(() => dateKey));
+
+// Pooled percentage of the due occurrences done on `dates`, or null when nothing
+// was due. Rounded down, so a period only reaches 100 when it is fully done.
+const getPeriodPercent = (state, tasks, dates, weekStart) => {
+  const { due, done } = getPooledProgress(state, tasks, dates, weekStart);
+  return due > 0 ? Math.min(Math.floor((done / due) * 100), 100) : null;
+};
+
+const getHistoryStart = (state, today) =>
+  state.tasks.reduce((earliest, task) => {
+    const startDate = getStartDate(task);
+    const start = startDate ? parseDateKey(startDate) : earliest;
+    return start < earliest ? start : earliest;
+  }, Object.keys(state.dailyCompletion).sort().map(parseDateKey)[0] || today);
+
+/**
+ * The first finished week or month in which `tasks` were all fully done, and how
+ * far along the current one is.
+ */
+const getPerfectPeriod = (state, tasks, schedule, today, weekStart) => {
+  let earnedOn = null;
+  let { start, end } = getPeriodBounds(schedule, getHistoryStart(state, today), weekStart);
+  while (!earnedOn && end <= today) {
+    if (getPeriodPercent(state, tasks, getDatesBetween(start, end), weekStart) === 100) earnedOn = toDateKey(end);
+    ({ start, end } = getPeriodBounds(schedule, addDays(end, 1), weekStart));
+  }
+  const current = getPeriodBounds(schedule, today, weekStart);
+  return { earnedOn, current: getPeriodPercent(state, tasks, getDatesBetween(current.start, today), weekStart) ?? 0 };
+};
+
+const evaluate = (achievement, state, today, weekStart) => {
+  const tasks = state.tasks.filter(task => !task.archivedAt);
+  switch (achievement.kind) {
+    case 'streak': {
+      const streaks = state.tasks
+        .map(task => getStreakStats(task, state.dailyCompletion, state.excusedDays, today, weekStart))
+        .filter(stats => stats.unit === 'day');
+      const reached = streaks.map(stats => stats.reachedOn[achievement.target - 1]).filter(Boolean).sort();
+      return { current: Math.max(0, ...streaks.map(stats => stats.longest)), earnedOn: reached[0] || null };
+    }
+    case 'completions': {
+      const dates = getCompletionDates(state);
+      return { current: dates.length, earnedOn: dates[achievement.target - 1] || null };
+    }
+    case 'perfectWeek':
+      return getPerfectPeriod(state, tasks, WEEKLY, today, weekStart);
+    case 'perfectMonth':
+      return getPerfectPeriod(state, tasks, MONTHLY, today, weekStart);
+    case 'priorityWeek': {
+      const highPriority = tasks.filter(task => task.priority === 'high');
+      return highPriority.length > 0 ? getPerfectPeriod(state, highPriority, WEEKLY, today, weekStart) : { current: 0, earnedOn: null };
+    }
+    default:
+      return { current: 0, earnedOn: null };
+  }
+};
+
+export const createGoal = (target, start, end) => ({ id: Date.now(), target, start, end });
+
+// A goal for the whole calendar month of `month` ('YYYY-MM')
+export const createMonthGoal = (target, month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return createGoal(target, toDateKey(new Date(year, monthIndex - 1, 1)), toDateKey(new Date(year, monthIndex, 0)));
+};
+
+export const describeGoalPeriod = ({ start, end }) => {
+  const startDate = parseDateKey(start);
+  const endDate = parseDateKey(end);
+  const { start: monthStart, end: monthEnd } = getPeriodBounds(MONTHLY, startDate);
+  if (toDateKey(monthStart) === start && toDateKey(monthEnd) === end) {
+    return `in ${startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+  }
+  return `between ${formatDate(startDate)} and ${formatDate(endDate, { year: 'numeric' })}`;
+};
+
+export const describeGoal = (goal) => `Complete ${goal.target} time${goal.target === 1 ? '' : 's'} ${describeGoalPeriod(goal)}`;
+
+const evaluateGoal = (state, task, goal, todayKey) => {
+  const dates = Object.keys(state.dailyCompletion)
+    .filter(dateKey => dateKey >= goal.start && dateKey <= goal.end && isMet(state.dailyCompletion, task, dateKey))
+    .sort();
+  const earnedOn = dates[goal.target - 1] || null;
+  return {
+    id: `goal-${task.id}-${goal.id}`,
+    kind: 'goal',
+    goal,
+    task,
+    target: goal.target,
+    title: task.name,
+    description: describeGoal(goal),
+    current: dates.length,
+    earnedOn,
+    missed: !earnedOn && goal.end < todayKey,
+  };
+};
+
+/**
+ * Every built-in achievement, then every goal of every habit, each with
+ * `{ current, target, earnedOn }`; `earnedOn` is a date key or null.
+ */
+export const getAchievements = (state, today, weekStart = DEFAULT_WEEK_START) => {
+  const todayKey = toDateKey(today);
+  return [
+    ...ACHIEVEMENTS.map(achievement => ({ ...achievement, ...evaluate(achievement, state, today, weekStart) })),
+    ...state.tasks.flatMap(task => (task.goals || []).map(goal => evaluateGoal(state, task, goal, todayKey))),
+  ];
+};
+
+// Earned achievements, newest first
+export const getEarnedBadges = (achievements) =>
+  achievements
+    .filter(achievement => achievement.earnedOn)
+    .sort((a, b) => b.earnedOn.localeCompare(a.earnedOn));
+
+export const formatEarnedOn = (dateKey) => formatDate(parseDateKey(dateKey), { year: 'numeric' });
+
+export const getProgressPercent = ({ current, target, earnedOn }) =>
+  earnedOn ? 100 : Math.min(Math.round((current / target) * 100), 100);
+
+export const isValidGoal = (goal) =>
+  goal !== null &&
+  typeof goal === 'object' &&
+  Number.isInteger(goal.target) &&
+  goal.target > 0 &&
+  /^\d{4}-\d{2}-\d{2}$/.test(goal.start) &&
+  /^\d{4}-\d{2}-\d{2}$/.test(goal.end) &&
+  goal.start <= goal.end;
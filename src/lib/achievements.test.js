@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { createMonthGoal, describeGoal, getAchievements, getEarnedBadges, isValidGoal } from './achievements';
+import { addDays, toDateKey } from './dates';
+import { habit } from './testHelpers';
+
+
+// Completions for each of `taskIds` on `count` days in a row from `start`
+const completeDays = (taskIds, start, count) => {
+  const dailyCompletion = {};
+  for (let i = 0; i < count; i++) {
+    dailyCompletion[toDateKey(addDays(start, i))] = Object.fromEntries(taskIds.map(id => [id, true]));
+  }
+  return dailyCompletion;
+};
+
+const stateWith = (tasks, dailyCompletion = {}) => ({ tasks, dailyCompletion, excusedDays: {}, dayNotes: {} });
+
+const find = (achievements, id) => achievements.find(achievement => achievement.id === id);
+
+describe('getAchievements', () => {
+  it('has nothing earned for an empty tracker', () => {
+    const achievements = getAchievements(stateWith([]), new Date(2024, 5, 1));
+    expect(getEarnedBadges(achievements)).toEqual([]);
+    expect(find(achievements, 'completions-30')).toMatchObject({ current: 0, earnedOn: null });
+  });
+
+  it('dates the first 7-day streak and the 30th completion', () => {
+    const state = stateWith([habit(1)], completeDays([1], new Date(2024, 0, 1), 31));
+    const achievements = getAchievements(state, new Date(2024, 1, 10));
+    expect(find(achievements, 'streak-7').earnedOn).toBe('2024-01-07');
+    expect(find(achievements, 'completions-30')).toMatchObject({ current: 31, earnedOn: '2024-01-30' });
+    expect(find(achievements, 'completions-100').earnedOn).toBeNull();
+  });
+
+  it('only counts finished calendar weeks and months as perfect', () => {
+    // 2024-01-01 is a Monday, the default week start
+    const state = stateWith([habit(1)], completeDays([1], new Date(2024, 0, 1), 10));
+    const midWeek = getAchievements(state, new Date(2024, 0, 6));
+    expect(find(midWeek, 'perfect-week')).toMatchObject({ earnedOn: null, current: 100 });
+
+    const later = getAchievements(state, new Date(2024, 0, 20));
+    expect(find(later, 'perfect-week').earnedOn).toBe('2024-01-07');
+    expect(find(later, 'perfect-month').earnedOn).toBeNull();
+  });
+
+  it('ignores the days before a habit started', () => {
+    const late = habit(2, { startDate: '2024-01-04' });
+    const dailyCompletion = { ...completeDays([1], new Date(2024, 0, 1), 3), ...completeDays([1, 2], new Date(2024, 0, 4), 4) };
+    const achievements = getAchievements(stateWith([habit(1), late], dailyCompletion), new Date(2024, 0, 10));
+    expect(find(achievements, 'perfect-week').earnedOn).toBe('2024-01-07');
+  });
+
+  it('needs every high-priority habit done for a week, whatever else happens', () => {
+    const urgent = habit(2, { priority: 'high' });
+    const state = stateWith([habit(1), urgent], completeDays([2], new Date(2024, 0, 8), 7));
+    const achievements = getAchievements(state, new Date(2024, 0, 20));
+    expect(find(achievements, 'priority-week').earnedOn).toBe('2024-01-14');
+    expect(find(achievements, 'perfect-week').earnedOn).toBeNull();
+  });
+
+  it('tracks habit goals within their period', () => {
+    const goal = createMonthGoal(3, '2024-02');
+    const january = completeDays([1], new Date(2024, 0, 29), 3);
+    const inProgress = stateWith([habit(1, { goals: [goal] })], { ...january, ...completeDays([1], new Date(2024, 1, 10), 2) });
+    expect(find(getAchievements(inProgress, new Date(2024, 1, 11)), `goal-1-${goal.id}`))
+      .toMatchObject({ current: 2, earnedOn: null, missed: false });
+
+    const met = stateWith([habit(1, { goals: [goal] })], { ...january, ...completeDays([1], new Date(2024, 1, 10), 3) });
+    expect(find(getAchievements(met, new Date(2024, 1, 12)), `goal-1-${goal.id}`).earnedOn).toBe('2024-02-12');
+  });
+
+  it('marks goals that ran out as missed', () => {
+    const goal = createMonthGoal(20, '2024-02');
+    const achievements = getAchievements(stateWith([habit(1, { goals: [goal] })]), new Date(2024, 2, 1));
+    expect(find(achievements, `goal-1-${goal.id}`)).toMatchObject({ earnedOn: null, missed: true });
+  });
+});
+
+describe('goals', () => {
+  it('covers the whole month, including February 29', () => {
+    expect(createMonthGoal(20, '2024-02')).toMatchObject({ target: 20, start: '2024-02-01', end: '2024-02-29' });
+    expect(describeGoal(createMonthGoal(20, '2024-10'))).toBe('Complete 20 times in October 2024');
+    expect(describeGoal({ target: 1, start: '2024-10-05', end: '2024-10-20' })).toBe('Complete 1 time between Oct 5 and Oct 20, 2024');
+  });
+
+  it('validates imported goals', () => {
+    expect(isValidGoal(createMonthGoal(5, '2024-03'))).toBe(true);
+    expect(isValidGoal({ id: 1, target: 0, start: '2024-03-01', end: '2024-03-31' })).toBe(false);
+    expect(isValidGoal({ id: 1, target: 5, start: '2024-03-31', end: '2024-03-01' })).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+import { getCompletionRatio } from './measurement';
+
+// A habit is either built (the default) or broken. Habits being broken, like
+// "stop smoking", log slips where other habits log completions:
+//   task.kind = 'avoid'                            (absent for habits being built)
+//   dailyCompletion[date][taskId] = true           a slip on that day
+// A day without a slip counts as a success, so stats read the same either way.
+
+export const DEFAULT_KIND = 'build';
+
+export const HABIT_KINDS = [
+  { value: 'build', label: 'Build a habit' },
+  { value: 'avoid', label: 'Break a habit' },
+];
+
+export const getKind = (task) => task.kind || DEFAULT_KIND;
+
+export const isAvoidance = (task) => getKind(task) === 'avoid';
+
+export const isValidKind = (kind) => HABIT_KINDS.some(({ value }) => value === kind);
+
+/**
+ * How well a day went, between 0 and 1: the share of the daily target reached,
+ * or for avoidance habits 1 on a day without a slip and 0 on a day with one.
+ */
+export const getSuccessRatio = (task, value) => {
+  if (isAvoidance(task)) return value ? 0 : 1;
+  return getCompletionRatio(task, value);
+};
+
+export const isSuccess = (task, value) => getSuccessRatio(task, value) >= 1;
+
+export const formatDaysClean = (days) => `${days} day${days === 1 ? '' : 's'} clean`;
+
+// Days with a slip logged, across the whole history
+export const countSlips = (dailyCompletion, task) =>
+  Object.keys(dailyCompletion).filter(dateKey => dailyCompletion[dateKey][task.id]).length;
@@ -0,0 +1,62 @@
+// Each task may have one category (task.category, any name the user picks) and
+// any number of free-form tags (task.tags, lowercase without the '#').
+
+export const UNCATEGORIZED = 'Uncategorized';
+
+export const SUGGESTED_CATEGORIES = ['Health', 'Fitness', 'Learning', 'Work', 'Mindfulness', 'Social', 'Home'];
+
+const CATEGORY_COLORS = ['#8B5CF6', '#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#6366F1', '#84CC16', '#F97316'];
+
+export const EMPTY_FILTER = { categories: [], tags: [] };
+
+export const getCategory = (task) => task.category?.trim() || UNCATEGORIZED;
+
+// Sorted, with Uncategorized last
+export const getCategories = (tasks) =>
+  [...new Set(tasks.map(getCategory))].sort((a, b) =>
+    (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b)
+  );
+
+export const getTags = (tasks) => [...new Set(tasks.flatMap(task => task.tags || []))].sort();
+
+export const hasCategories = (tasks) => tasks.some(task => task.category?.trim());
+
+// Stable per category name, so a category keeps its color as others come and go
+export const getCategoryColor = (category) => {
+  if (category === UNCATEGORIZED) return '#9CA3AF';
+  const hash = [...category].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+};
+
+export const isValidFilter = (filter) =>
+  filter !== null &&
+  typeof filter === 'object' &&
+  ['categories', 'tags'].every(key => Array.isArray(filter[key]) && filter[key].every(value => typeof value === 'string'));
+
+export const isFilterActive = (filter) => filter.categories.length > 0 || filter.tags.length > 0;
+
+/**
+ * A task passes when it is in one of the selected categories (if any are
+ * selected) and has at least one of the selected tags (if any are selected).
+ */
+export const matchesFilter = (task, filter) =>
+  (filter.categories.length === 0 || filter.categories.includes(getCategory(task))) &&
+  (filter.tags.length === 0 || (task.tags || []).some(tag => filter.tags.includes(tag)));
+
+// Drops the selected categories and tags no habit has any more, keeping the
+// same object when nothing is dropped
+export const pruneFilter = (filter, tasks) => {
+  const categories = getCategories(tasks);
+  const tags = getTags(tasks);
+  const pruned = {
+    categories: filter.categories.filter(category => categories.includes(category)),
+    tags: filter.tags.filter(tag => tags.includes(tag)),
+  };
+  const unchanged = pruned.categories.length === filter.categories.length && pruned.tags.length === filter.tags.length;
+  return unchanged ? filter : pruned;
+};
+
+export const toggleInFilter = (filter, key, value) => ({
+  ...filter,
+  [key]: filter[key].includes(value) ? filter[key].filter(item => item !== value) : [...filter[key], value],
+});
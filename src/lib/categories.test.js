@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { EMPTY_FILTER, isFilterActive, matchesFilter, pruneFilter } from './categories';
+import { habit } from './testHelpers';
+
+describe('pruneFilter', () => {
+  const tasks = [habit(1, { category: 'Health', tags: ['morning'] }), habit(2, { tags: ['evening'] })];
+
+  it('keeps a filter whose categories and tags are all still in use', () => {
+    const filter = { categories: ['Health', 'Uncategorized'], tags: ['morning'] };
+    expect(pruneFilter(filter, tasks)).toBe(filter);
+    expect(pruneFilter(EMPTY_FILTER, [])).toBe(EMPTY_FILTER);
+  });
+
+  it('drops what no habit has any more, so the filter cannot hide every habit', () => {
+    const filter = { categories: ['Fitness'], tags: ['morning', 'weekend'] };
+    expect(pruneFilter(filter, tasks)).toEqual({ categories: [], tags: ['morning'] });
+
+    // One category left and no tags: the chips would hide, the filter must not linger
+    const remaining = [habit(1, { category: 'Health' })];
+    const stale = pruneFilter({ categories: ['Fitness'], tags: ['evening'] }, remaining);
+    expect(isFilterActive(stale)).toBe(false);
+    expect(remaining.filter(task => matchesFilter(task, stale))).toHaveLength(1);
+  });
+});
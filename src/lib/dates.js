@@ -0,0 +1,55 @@
+// Every day in the tracker is a local calendar date stored as a 'YYYY-MM-DD' key.
+// Dates are built from their year/month/day parts and never from UTC strings or
+// fixed 24h offsets, so a DST change can't shift a day onto its neighbour.
+
+// Hours after midnight that still count as the previous day
+export const DEFAULT_DAY_START_HOUR = 0;
+
+export const DAY_START_HOURS = [0, 1, 2, 3, 4, 5, 6];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Rounded so that a DST shift doesn't turn 1 day into 0.96
+export const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / 86400000);
+
+export const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+/**
+ * Every local day from `start` to `end` inclusive. Counted by index rather than by
+ * comparing timestamps, which can drop the last day when a DST gap moves midnight.
+ */
+export const getDatesBetween = (start, end) => {
+  const count = daysBetween(start, end) + 1;
+  return Array.from({ length: Math.max(count, 0) }, (_, index) => addDays(start, index));
+};
+
+/**
+ * The calendar day that `now` belongs to. Before `dayStartHour` it is still
+ * yesterday, so ticking off a habit at 1 AM counts for the evening before.
+ */
+export const getLogicalToday = (now = new Date(), dayStartHour = DEFAULT_DAY_START_HOUR) => {
+  const today = startOfDay(now);
+  return now.getHours() < dayStartHour ? addDays(today, -1) : today;
+};
+
+// Milliseconds until getLogicalToday() returns a different day
+export const msUntilNextDay = (now = new Date(), dayStartHour = DEFAULT_DAY_START_HOUR) => {
+  const today = getLogicalToday(now, dayStartHour);
+  const next = addDays(today, 1);
+  next.setHours(dayStartHour);
+  return Math.max(next - now, 1000);
+};
+
+export const formatDayStartHour = (hour) => (hour === 0 ? 'Midnight' : `${hour}:00 AM`);
@@ -0,0 +1,37 @@
+// Excused days neither break a streak nor count against the completion rate.
+// excusedDays[date][taskId] = reason, where taskId 'all' excuses every habit that day.
+
+export const ALL_TASKS = 'all';
+
+export const EXCUSE_REASONS = [
+  { value: 'skip', label: 'Skip', symbol: '⤼' },
+  { value: 'sick', label: 'Sick', symbol: '🤒' },
+  { value: 'vacation', label: 'Vacation', symbol: '🏖' },
+];
+
+export const getExcuse = (excusedDays, dateKey, taskId) => {
+  const day = excusedDays[dateKey];
+  if (!day) return null;
+  return day[taskId] || day[ALL_TASKS] || null;
+};
+
+export const getExcuseSymbol = (reason) => EXCUSE_REASONS.find(({ value }) => value === reason)?.symbol || '';
+
+export const getExcuseLabel = (reason) => EXCUSE_REASONS.find(({ value }) => value === reason)?.label || '';
+
+// Task ids are numbers everywhere except markers such as 'all' and 'journal'
+export const parseTaskKey = (key) => (Number.isNaN(Number(key)) ? key : Number(key));
+
+/**
+ * Returns a new excusedDays map with `reason` set (or cleared when falsy)
+ * for one habit or, with ALL_TASKS, the whole day.
+ */
+export const setExcuse = (excusedDays, dateKey, taskId, reason) => {
+  const { [taskId]: previous, ...rest } = excusedDays[dateKey] || {};
+  const day = reason ? { ...rest, [taskId]: reason } : rest;
+  if (Object.keys(day).length === 0) {
+    const { [dateKey]: removed, ...otherDays } = excusedDays;
+    return otherDays;
+  }
+  return { ...excusedDays, [dateKey]: day };
+};
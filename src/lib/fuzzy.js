@@ -0,0 +1,33 @@
+/**
+ * Scores how well `query` matches `text` as an in-order subsequence, or returns
+ * null when it doesn't. Consecutive letters and matches at word starts score
+ * higher, so "td med" ranks "Toggle today: Meditate" near the top.
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s:/-]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    position = index + 1;
+  }
+  // Prefer shorter labels when everything else is equal
+  return score - haystack.length * 0.01;
+};
+
+// Items matching `query`, best first; the original order when the query is empty
+export const fuzzyFilter = (items, query, getText) =>
+  items
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
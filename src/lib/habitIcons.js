@@ -0,0 +1,12 @@
+// Icons a habit can show instead of its color dot, by lucide-react name. The
+// components themselves are mapped in components/HabitIcon.jsx.
+export const HABIT_ICONS = [
+  'dumbbell', 'footprints', 'bike', 'heart', 'pill', 'droplet', 'glass-water', 'apple', 'utensils', 'coffee',
+  'bed', 'moon', 'sun', 'brain', 'sparkles', 'book-open', 'graduation-cap', 'languages', 'pencil', 'code',
+  'music', 'palette', 'briefcase', 'piggy-bank', 'users', 'home', 'leaf', 'sprout', 'flower-2', 'paw-print',
+  'smile', 'wind', 'flame', 'star', 'target', 'timer', 'cigarette-off', 'wine-off', 'monitor-off',
+];
+
+export const isValidHabitIcon = (icon) => HABIT_ICONS.includes(icon);
+
+export const getIconLabel = (icon) => icon.replace(/-\d+$/, '').replace(/-/g, ' ');
@@ -0,0 +1,177 @@
+import { addDays, daysBetween, getDatesBetween, toDateKey } from './dates';
+import { getExcuse } from './excusals';
+import { DEFAULT_WEEK_START, WEEKDAY_LABELS, getDayRatio, isDueOn } from './schedule';
+import { getPooledProgress } from './tracker';
+
+// Analytics over the dailyCompletion history. A habit's outcome on a day is its
+// day ratio (see getDayRatio, so avoidance habits score their clean days) on the
+// days it was due and not excused, and null on every other day.
+
+export const INSIGHT_WINDOWS = [30, 90, 180];
+export const DEFAULT_INSIGHT_WINDOW = 90;
+
+export const MOVING_AVERAGE_WINDOWS = [7, 30];
+
+// Fewer shared or rated days than this say more about chance than about the habit
+const MIN_WEEKDAY_DAYS = 2;
+const MIN_SHARED_DAYS = 10;
+const MIN_TREND_DAYS = 10;
+
+// A slope of at least this many points per week counts as a trend
+export const TREND_THRESHOLD = 2;
+
+// Slipping: every recent week at least SLIP_POINTS under the BASELINE_DAYS before them
+const SLIP_POINTS = 15;
+const BASELINE_DAYS = 28;
+const MAX_SLIP_WEEKS = 8;
+export const MIN_SLIP_WEEKS = 2;
+
+export const getOutcome = (state, task, date, weekStart = DEFAULT_WEEK_START) => {
+  if (getExcuse(state.excusedDays, toDateKey(date), task.id)) return null;
+  if (!isDueOn(task, date, state.dailyCompletion, weekStart)) return null;
+  return getDayRatio(state.dailyCompletion, task, date);
+};
+
+const toPercent = (done, due) => (due > 0 ? Math.round((done / due) * 100) : null);
+
+/**
+ * `{ day, label, due, rate }` for each weekday, starting on `weekStart`, where
+ * `due` counts the days the habit was due on that weekday.
+ */
+export const getWeekdayRates = (state, task, dates, weekStart = DEFAULT_WEEK_START) => {
+  const totals = WEEKDAY_LABELS.map(() => ({ due: 0, done: 0 }));
+  dates.forEach(date => {
+    const outcome = getOutcome(state, task, date, weekStart);
+    if (outcome === null) return;
+    totals[date.getDay()].due++;
+    totals[date.getDay()].done += outcome;
+  });
+  return WEEKDAY_LABELS.map((_, index) => {
+    const day = (weekStart + index) % 7;
+    return { day, label: WEEKDAY_LABELS[day], due: totals[day].due, rate: toPercent(totals[day].done, totals[day].due) };
+  });
+};
+
+// The weekdays with the highest and lowest rate, or nulls when they can't be told apart
+export const getBestAndWorstWeekdays = (weekdayRates) => {
+  const rated = weekdayRates.filter(({ due }) => due >= MIN_WEEKDAY_DAYS);
+  if (rated.length < 2) return { best: null, worst: null };
+  const sorted = [...rated].sort((a, b) => b.rate - a.rate);
+  const best = sorted[0];
+  const worst = sorted[sorted.length - 1];
+  return best.rate === worst.rate ? { best: null, worst: null } : { best, worst };
+};
+
+/**
+ * `{ a, b, days, together, correlation }` for every pair of `tasks` that were both
+ * due on at least MIN_SHARED_DAYS days, strongest first. `together` is the share
+ * of those days on which either was done that both were, and `correlation` the
+ * phi coefficient of the two done/not-done series, from -1 (one crowds the other
+ * out) to 1 (done together), or null when either habit never varied.
+ */
+export const getHabitCorrelations = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) => {
+  const outcomes = tasks.map(task => dates.map(date => getOutcome(state, task, date, weekStart)));
+  const pairs = [];
+
+  tasks.forEach((a, i) => {
+    tasks.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      const counts = { both: 0, onlyA: 0, onlyB: 0, neither: 0 };
+      dates.forEach((_, index) => {
+        const outcomeA = outcomes[i][index];
+        const outcomeB = outcomes[j][index];
+        if (outcomeA === null || outcomeB === null) return;
+        const doneA = outcomeA >= 1;
+        const doneB = outcomeB >= 1;
+        if (doneA && doneB) counts.both++;
+        else if (doneA) counts.onlyA++;
+        else if (doneB) counts.onlyB++;
+        else counts.neither++;
+      });
+
+      const { both, onlyA, onlyB, neither } = counts;
+      const days = both + onlyA + onlyB + neither;
+      if (days < MIN_SHARED_DAYS) return;
+      const spread = Math.sqrt((both + onlyA) * (onlyB + neither) * (both + onlyB) * (onlyA + neither));
+      pairs.push({
+        a,
+        b,
+        days,
+        together: toPercent(both, both + onlyA + onlyB),
+        correlation: spread > 0 ? Math.round(((both * neither - onlyA * onlyB) / spread) * 100) / 100 : null,
+      });
+    });
+  });
+
+  return pairs.sort((x, y) => Math.abs(y.correlation ?? 0) - Math.abs(x.correlation ?? 0));
+};
+
+/**
+ * `{ date, avg7, avg30 }` for each of `dates`: the completion of `tasks` over the
+ * 7 and 30 days ending on that date, null while nothing was due. Looks back past
+ * the first date so the averages are full from the start.
+ */
+export const getMovingAverages = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) =>
+  dates.map(date => {
+    const row = { date };
+    MOVING_AVERAGE_WINDOWS.forEach(days => {
+      row[`avg${days}`] = getPooledProgress(state, tasks, getDatesBetween(addDays(date, 1 - days), date), weekStart).rate;
+    });
+    return row;
+  });
+
+/**
+ * `{ label, slope }` for a habit over `dates`: the least-squares slope of its daily
+ * outcomes in percentage points per week, labelled 'improving', 'declining' or
+ * 'stable'. Null with fewer than MIN_TREND_DAYS rated days.
+ */
+export const getTrend = (state, task, dates, weekStart = DEFAULT_WEEK_START) => {
+  if (dates.length === 0) return null;
+  const points = dates
+    .map(date => ({ x: daysBetween(dates[0], date), y: getOutcome(state, task, date, weekStart) }))
+    .filter(({ y }) => y !== null)
+    .map(({ x, y }) => ({ x, y: y * 100 }));
+  if (points.length < MIN_TREND_DAYS) return null;
+
+  const meanX = points.reduce((sum, { x }) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+  const spreadX = points.reduce((sum, { x }) => sum + (x - meanX) ** 2, 0);
+  if (spreadX === 0) return null;
+  const perDay = points.reduce((sum, { x, y }) => sum + (x - meanX) * (y - meanY), 0) / spreadX;
+  // `|| 0` turns a rounded -0 into 0
+  const slope = Math.round(perDay * 7 * 10) / 10 || 0;
+
+  const label = slope >= TREND_THRESHOLD ? 'improving' : slope <= -TREND_THRESHOLD ? 'declining' : 'stable';
+  return { label, slope };
+};
+
+/**
+ * How long `task` has been slipping: `{ weeks, recent, baseline }`, where `weeks`
+ * counts the 7-day blocks before today that each scored at least SLIP_POINTS under
+ * `baseline`, its rate over the BASELINE_DAYS before them, and `recent` is the rate
+ * across those blocks. Today is left out since it isn't over yet.
+ */
+export const getSlip = (state, task, today, weekStart = DEFAULT_WEEK_START) => {
+  const lastDay = addDays(today, -1);
+  const rate = (start, end) => getPooledProgress(state, [task], getDatesBetween(start, end), weekStart).rate;
+  let slip = { weeks: 0, recent: null, baseline: null };
+
+  for (let weeks = 1; weeks <= MAX_SLIP_WEEKS; weeks++) {
+    const start = addDays(lastDay, 1 - 7 * weeks);
+    const baseline = rate(addDays(start, -BASELINE_DAYS), addDays(start, -1));
+    if (baseline === null) break;
+    const blocks = Array.from({ length: weeks }, (_, index) =>
+      rate(addDays(start, 7 * index), addDays(start, 7 * index + 6))
+    );
+    if (blocks.some(blockRate => blockRate === null || blockRate > baseline - SLIP_POINTS)) break;
+    slip = { weeks, recent: rate(start, lastDay), baseline };
+  }
+  return slip;
+};
+
+// `{ task, weeks, recent, baseline }` for the habits slipping for MIN_SLIP_WEEKS weeks or more, longest first
+export const getSlippingHabits = (state, tasks, today, weekStart = DEFAULT_WEEK_START) =>
+  tasks
+    .map(task => ({ task, ...getSlip(state, task, today, weekStart) }))
+    .filter(({ weeks }) => weeks >= MIN_SLIP_WEEKS)
+    .sort((a, b) => b.weeks - a.weeks);
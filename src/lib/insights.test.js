@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { addDays, getDatesBetween, toDateKey } from './dates';
+import {
+  getBestAndWorstWeekdays,
+  getHabitCorrelations,
+  getMovingAverages,
+  getSlippingHabits,
+  getTrend,
+  getWeekdayRates,
+} from './insights';
+import { habit } from './testHelpers';
+
+// Marks `task` done on every date for which `isDone(date, index)` holds
+const withHistory = (tasks, dates, isDone) => {
+  const dailyCompletion = {};
+  tasks.forEach(task => {
+    dates.forEach((date, index) => {
+      if (!isDone(task, date, index)) return;
+      const dateKey = toDateKey(date);
+      dailyCompletion[dateKey] = { ...(dailyCompletion[dateKey] || {}), [task.id]: true };
+    });
+  });
+  return { tasks, dailyCompletion, excusedDays: {} };
+};
+
+// 2024-03-04 is a Monday; eight full weeks from there
+const dates = getDatesBetween(new Date(2024, 2, 4), new Date(2024, 3, 28));
+
+describe('weekday patterns', () => {
+  it('finds the weekdays a habit succeeds and fails on most', () => {
+    const task = habit(1);
+    const state = withHistory([task], dates, (_, date) => date.getDay() !== 1 && (date.getDay() !== 5 || date.getDate() % 2 === 0));
+    const weekdays = getWeekdayRates(state, task, dates, 1);
+    expect(weekdays.map(({ label }) => label)).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    expect(weekdays[0].rate).toBe(0);
+    const { best, worst } = getBestAndWorstWeekdays(weekdays);
+    expect(best.rate).toBe(100);
+    expect(worst.label).toBe('Mon');
+  });
+});
+
+describe('correlations', () => {
+  it('tells habits done together from habits that crowd each other out', () => {
+    const [gym, protein, netflix] = [habit(1), habit(2), habit(3)];
+    const state = withHistory([gym, protein, netflix], dates, (task, _, index) =>
+      task === netflix ? index % 2 === 1 : index % 2 === 0
+    );
+    const pairs = getHabitCorrelations(state, state.tasks, dates);
+    const find = (a, b) => pairs.find(pair => pair.a === a && pair.b === b);
+    expect(find(gym, protein)).toMatchObject({ correlation: 1, together: 100 });
+    expect(find(gym, netflix)).toMatchObject({ correlation: -1, together: 0 });
+  });
+
+  it('leaves out pairs that were rarely due together', () => {
+    const state = withHistory([habit(1), habit(2, { startDate: '2024-04-25' })], dates, () => true);
+    expect(getHabitCorrelations(state, state.tasks, dates)).toEqual([]);
+  });
+});
+
+describe('trends', () => {
+  it('computes moving averages that look back before the first date', () => {
+    const task = habit(1);
+    const state = withHistory([task], dates, (_, date) => date.getDay() === 1);
+    const [first] = getMovingAverages(state, [task], dates.slice(14, 15));
+    // Mondays are done from March 4 on, so the 30 days to March 18 hold 3 of them
+    expect(first).toMatchObject({ avg7: 14, avg30: 10 });
+  });
+
+  it('labels a habit improving, declining or stable with its weekly slope', () => {
+    const task = habit(1);
+    const improving = withHistory([task], dates, (_, __, index) => index >= 28);
+    expect(getTrend(improving, task, dates)).toMatchObject({ label: 'improving' });
+    expect(getTrend(improving, task, dates).slope).toBeGreaterThan(10);
+
+    const steady = withHistory([task], dates, (_, __, index) => index % 2 === 0);
+    expect(getTrend(steady, task, dates).label).toBe('stable');
+    expect(getTrend(steady, task, dates.slice(0, 5))).toBeNull();
+  });
+
+  it('flags habits that have been slipping for two weeks or more', () => {
+    const today = dates[dates.length - 1];
+    const task = habit(1);
+    const slipping = (weeks) => withHistory([task], dates, (_, date) => date < addDays(today, -7 * weeks));
+    expect(getSlippingHabits(slipping(1), [task], today)).toEqual([]);
+    expect(getSlippingHabits(slipping(3), [task], today)).toEqual([
+      { task, weeks: 3, recent: 0, baseline: 100 },
+    ]);
+  });
+});
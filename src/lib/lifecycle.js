@@ -0,0 +1,90 @@
+import { parseDateKey, toDateKey } from './dates';
+
+// A habit only counts between its start date and its end date, if it has one,
+// and not during its pauses:
+//   task.startDate = 'YYYY-MM-DD'                 (defaults to the day it was created)
+//   task.endDate = 'YYYY-MM-DD'                   (optional, e.g. for a 30-day challenge)
+//   task.pauses = [{ start, end }]                (end is null while the pause is ongoing)
+// Archiving ends the window too, on the logical day the habit was archived:
+//   task.archivedOn = 'YYYY-MM-DD'                (older archives only have archivedAt)
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const getStartDate = (task) => task.startDate || (task.createdAt ? toDateKey(new Date(task.createdAt)) : null);
+
+// The last active day, from the end date or the archiving, whichever comes first
+export const getEndDate = (task) => {
+  const archivedOn = task.archivedOn || (task.archivedAt ? toDateKey(new Date(task.archivedAt)) : null);
+  if (task.endDate && archivedOn) return task.endDate < archivedOn ? task.endDate : archivedOn;
+  return task.endDate || archivedOn;
+};
+
+export const getPauseOn = (task, dateKey) =>
+  (task.pauses || []).find(pause => dateKey >= pause.start && (!pause.end || dateKey <= pause.end)) || null;
+
+export const isPausedOn = (task, dateKey) => Boolean(getPauseOn(task, dateKey));
+
+/**
+ * Why `task` doesn't count on `date`: 'not-started', 'ended' or 'paused', or null
+ * when the day is inside its active window.
+ */
+export const getInactiveReason = (task, date) => {
+  const dateKey = toDateKey(date);
+  const start = getStartDate(task);
+  const end = getEndDate(task);
+  if (start && dateKey < start) return 'not-started';
+  if (end && dateKey > end) return 'ended';
+  if (isPausedOn(task, dateKey)) return 'paused';
+  return null;
+};
+
+export const isActiveOn = (task, date) => getInactiveReason(task, date) === null;
+
+export const getActiveDates = (task, dates) => dates.filter(date => isActiveOn(task, date));
+
+const INACTIVE_LABELS = {
+  'not-started': 'Not started yet',
+  ended: 'Ended',
+  paused: 'Paused',
+};
+
+export const getInactiveLabel = (reason) => INACTIVE_LABELS[reason] || '';
+
+const formatDateKey = (dateKey) =>
+  parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// A short status for the habit list, or null for a habit running as usual
+export const describeLifecycle = (task, today) => {
+  const todayKey = toDateKey(today);
+  const start = getStartDate(task);
+  if (start && todayKey < start) return `Starts ${formatDateKey(start)}`;
+  const pause = getPauseOn(task, todayKey);
+  if (pause) return pause.end ? `Paused until ${formatDateKey(pause.end)}` : 'Paused';
+  const end = task.endDate;
+  if (end && todayKey > end) return `Ended ${formatDateKey(end)}`;
+  if (end) return `Until ${formatDateKey(end)}`;
+  return null;
+};
+
+const isDateKey = (value) => typeof value === 'string' && DATE_KEY.test(value);
+
+export const isValidPause = (pause) =>
+  pause !== null &&
+  typeof pause === 'object' &&
+  isDateKey(pause.start) &&
+  (pause.end === null || pause.end === undefined || (isDateKey(pause.end) && pause.end >= pause.start));
+
+// Checks imported start/end dates and pauses; missing fields are fine
+export const getLifecycleErrors = (task) => {
+  const errors = [];
+  if (task.startDate !== undefined && !isDateKey(task.startDate)) errors.push('an invalid start date');
+  if (task.endDate != null && !isDateKey(task.endDate)) errors.push('an invalid end date');
+  if (task.archivedOn !== undefined && !isDateKey(task.archivedOn)) errors.push('an invalid archive date');
+  if (isDateKey(task.startDate) && isDateKey(task.endDate) && task.endDate < task.startDate) {
+    errors.push('an end date before its start date');
+  }
+  if (task.pauses !== undefined && !(Array.isArray(task.pauses) && task.pauses.every(isValidPause))) {
+    errors.push('invalid pauses');
+  }
+  return errors;
+};
@@ -0,0 +1,75 @@
+// A task's measurement decides what gets stored in dailyCompletion[date][taskId].
+//   { type: 'checkbox' }                                 true / absent
+//   { type: 'count', target: 8, unit: 'glasses' }        number of times
+//   { type: 'duration', target: 30 }                     minutes
+//   { type: 'numeric', target: 10000, unit: 'steps' }    any amount
+
+export const DEFAULT_MEASUREMENT = { type: 'checkbox' };
+
+export const MEASUREMENT_TYPES = [
+  { value: 'checkbox', label: 'Done / not done' },
+  { value: 'count', label: 'Count' },
+  { value: 'duration', label: 'Duration (min)' },
+  { value: 'numeric', label: 'Amount' },
+];
+
+export const getMeasurement = (task) => task.measurement || DEFAULT_MEASUREMENT;
+
+export const isQuantitative = (task) => getMeasurement(task).type !== 'checkbox';
+
+export const getUnit = (task) => {
+  const measurement = getMeasurement(task);
+  if (measurement.type === 'duration') return 'min';
+  return measurement.unit || '';
+};
+
+// How much one press of "+" adds
+export const getStep = (task) => {
+  const measurement = getMeasurement(task);
+  if (measurement.type === 'duration') return 5;
+  if (measurement.type === 'numeric') {
+    return Math.max(1, 10 ** Math.floor(Math.log10(measurement.target || 1)) / 10);
+  }
+  return 1;
+};
+
+/**
+ * Share of the daily target reached by a stored value, between 0 and 1.
+ * Booleans saved before measurements existed count as 0 or 1.
+ */
+export const getCompletionRatio = (task, value) => {
+  if (!value) return 0;
+  const measurement = getMeasurement(task);
+  if (measurement.type === 'checkbox' || typeof value === 'boolean') return 1;
+  return Math.min(value / measurement.target, 1);
+};
+
+export const isGoalMet = (task, value) => getCompletionRatio(task, value) >= 1;
+
+// The raw amount behind a stored value, for charts
+export const getNumericValue = (value) => {
+  if (typeof value === 'number') return value;
+  return value ? 1 : 0;
+};
+
+export const formatValue = (task, value) => {
+  const measurement = getMeasurement(task);
+  if (measurement.type === 'checkbox') {
+    return value ? 'Done' : 'Not done';
+  }
+  const unit = getUnit(task);
+  return `${getNumericValue(value)}/${measurement.target}${unit ? ` ${unit}` : ''}`;
+};
+
+export const createMeasurement = (type) => {
+  switch (type) {
+    case 'count':
+      return { type, target: 8, unit: '' };
+    case 'duration':
+      return { type, target: 30 };
+    case 'numeric':
+      return { type, target: 10000, unit: 'steps' };
+    default:
+      return { type: 'checkbox' };
+  }
+};
@@ -0,0 +1,71 @@
+import { parseTaskKey } from './excusals';
+
+// Free-form context for a day: dayNotes[date][taskId] = { text, mood, tags } for a
+// habit, and dayNotes[date]['journal'] for the day's journal entry.
+
+export const JOURNAL = 'journal';
+
+export const MOODS = [
+  { value: 1, label: 'Awful', symbol: '😞' },
+  { value: 2, label: 'Bad', symbol: '🙁' },
+  { value: 3, label: 'Okay', symbol: '😐' },
+  { value: 4, label: 'Good', symbol: '🙂' },
+  { value: 5, label: 'Great', symbol: '😄' },
+];
+
+export const getMoodSymbol = (mood) => MOODS.find(({ value }) => value === mood)?.symbol || '';
+
+export const getNote = (dayNotes, dateKey, taskId) => dayNotes[dateKey]?.[taskId] || null;
+
+export const isEmptyNote = (note) => !note || (!note.text?.trim() && !note.mood && !note.tags?.length);
+
+// "knee, #Running  knee" -> ['knee', 'running']
+export const parseTags = (input) => [
+  ...new Set(input.split(/[\s,]+/).map(tag => tag.replace(/^#+/, '').toLowerCase()).filter(Boolean)),
+];
+
+export const formatTags = (tags = []) => tags.map(tag => `#${tag}`).join(' ');
+
+// One line for tooltips: mood, text and tags
+export const describeNote = (note) =>
+  isEmptyNote(note) ? '' : [getMoodSymbol(note.mood), note.text?.trim(), formatTags(note.tags)].filter(Boolean).join(' ');
+
+/**
+ * Returns a new dayNotes map with the note for one habit (or JOURNAL) on
+ * `dateKey` replaced, or removed when it's empty.
+ */
+export const setNote = (dayNotes, dateKey, taskId, note) => {
+  const { [taskId]: previous, ...rest } = dayNotes[dateKey] || {};
+  const day = isEmptyNote(note)
+    ? rest
+    : { ...rest, [taskId]: { text: note.text?.trim() || '', mood: note.mood || null, tags: note.tags || [] } };
+  if (Object.keys(day).length === 0) {
+    const { [dateKey]: removed, ...otherDays } = dayNotes;
+    return otherDays;
+  }
+  return { ...dayNotes, [dateKey]: day };
+};
+
+/**
+ * Every note matching `query`, newest first, as `{ date, taskId, note }`.
+ * Words must all appear in the text, tags or habit name; `#tag` only matches tags.
+ */
+export const searchNotes = (dayNotes, query, tasks = []) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const names = new Map(tasks.map(task => [String(task.id), task.name.toLowerCase()]));
+  const results = [];
+
+  Object.keys(dayNotes).sort().reverse().forEach(date => {
+    Object.entries(dayNotes[date]).forEach(([taskId, note]) => {
+      const tags = note.tags || [];
+      const haystack = `${note.text || ''} ${names.get(taskId) || (taskId === JOURNAL ? 'journal' : '')}`.toLowerCase();
+      const matches = words.every(word => (word.startsWith('#')
+        ? tags.includes(word.slice(1))
+        : haystack.includes(word) || tags.some(tag => tag.includes(word))));
+      if (matches) {
+        results.push({ date, taskId: parseTaskKey(taskId), note });
+      }
+    });
+  });
+  return results;
+};
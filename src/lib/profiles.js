@@ -0,0 +1,15 @@
+// Profiles are { id, name, color }; their data is stored separately (see storage.js)
+
+export const PROFILE_COLORS = ['#8B5CF6', '#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#EC4899', '#14B8A6', '#6366F1'];
+
+export const createProfile = (name, profiles) => ({
+  id: `profile-${Date.now()}`,
+  name: name.trim(),
+  color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length],
+});
+
+export const renameProfile = (profiles, profileId, name) =>
+  profiles.map(profile => (profile.id === profileId ? { ...profile, name: name.trim() } : profile));
+
+export const isProfileNameTaken = (profiles, name, exceptId) =>
+  profiles.some(profile => profile.id !== exceptId && profile.name.trim().toLowerCase() === name.trim().toLowerCase());
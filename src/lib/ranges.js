@@ -0,0 +1,133 @@
+import { addDays, daysBetween, parseDateKey, startOfDay, toDateKey } from './dates';
+import { getPeriodBounds } from './schedule';
+
+export const RANGE_PRESETS = [
+  { value: 'today', label: 'Today only' },
+  { value: 'last7', label: 'Last 7 days' },
+  { value: 'last14', label: 'Last 14 days' },
+  { value: 'last30', label: 'Last 30 days' },
+  { value: 'thisWeek', label: 'This week' },
+  { value: 'lastWeek', label: 'Last week' },
+  { value: 'thisMonth', label: 'This month' },
+  { value: 'lastMonth', label: 'Last month' },
+  { value: 'thisQuarter', label: 'This quarter' },
+  { value: 'yearToDate', label: 'Year to date' },
+  { value: 'custom', label: 'Custom range' },
+];
+
+export const DEFAULT_RANGE = { preset: 'today' };
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Checks imported ranges: a known preset, and a custom one needs both of its dates
+export const isValidRange = (range) =>
+  range !== null &&
+  typeof range === 'object' &&
+  RANGE_PRESETS.some(({ value }) => value === range.preset) &&
+  (range.preset !== 'custom' || [range.start, range.end].every(date => typeof date === 'string' && DATE_KEY_PATTERN.test(date)));
+
+const WEEKLY = { type: 'weekly' };
+
+const minDate = (a, b) => (a < b ? a : b);
+
+// Settings saved before ranges existed only had a day count
+export const rangeFromTotalDays = (totalDays, now = new Date()) => {
+  const preset = { 1: 'today', 7: 'last7', 14: 'last14', 30: 'last30' }[totalDays];
+  if (preset) return { preset };
+  const end = startOfDay(now);
+  return { preset: 'custom', start: toDateKey(addDays(end, 1 - totalDays)), end: toDateKey(end) };
+};
+
+/**
+ * Turns a saved range into `{ start, end }` local-midnight dates. The end is never
+ * later than today, so future days don't count as missed.
+ */
+export const resolveRange = (range, weekStart, now = new Date()) => {
+  const today = startOfDay(now);
+  switch (range.preset) {
+    case 'last7':
+    case 'last14':
+    case 'last30': {
+      const days = Number(range.preset.slice(4));
+      return { start: addDays(today, 1 - days), end: today };
+    }
+    case 'thisWeek':
+      return { start: getPeriodBounds(WEEKLY, today, weekStart).start, end: today };
+    case 'lastWeek':
+      return getPeriodBounds(WEEKLY, addDays(today, -7), weekStart);
+    case 'thisMonth':
+      return { start: new Date(today.getFullYear(), today.getMonth(), 1), end: today };
+    case 'lastMonth':
+      return {
+        start: new Date(today.getFullYear(), today.getMonth() - 1, 1),
+        end: new Date(today.getFullYear(), today.getMonth(), 0),
+      };
+    case 'thisQuarter':
+      return { start: new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1), end: today };
+    case 'yearToDate':
+      return { start: new Date(today.getFullYear(), 0, 1), end: today };
+    case 'custom': {
+      const start = parseDateKey(range.start);
+      const end = minDate(parseDateKey(range.end), today);
+      return start <= end ? { start, end } : { start: end, end };
+    }
+    default:
+      return { start: today, end: today };
+  }
+};
+
+// The stretch of as many days just before `{ start, end }`, to compare a range with
+export const getPreviousPeriod = ({ start, end }) => {
+  const days = daysBetween(start, end) + 1;
+  return { start: addDays(start, -days), end: addDays(start, -1) };
+};
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+export const getRangeLabel = (range, weekStart, now = new Date()) => {
+  if (range.preset !== 'custom') {
+    return RANGE_PRESETS.find(({ value }) => value === range.preset)?.label || 'Today';
+  }
+  const { start, end } = resolveRange(range, weekStart, now);
+  return toDateKey(start) === toDateKey(end)
+    ? formatShortDate(start)
+    : `${formatShortDate(start)} – ${formatShortDate(end)}`;
+};
+
+/**
+ * The `count` calendar weeks ending with the week that contains `endDate`,
+ * oldest first, each clipped to today.
+ */
+export const getCalendarWeeks = (count, endDate, weekStart, now = new Date()) => {
+  const today = startOfDay(now);
+  const weeks = [];
+  let { start, end } = getPeriodBounds(WEEKLY, endDate, weekStart);
+  for (let i = 0; i < count; i++) {
+    weeks.unshift({
+      start,
+      end: minDate(end, today),
+      label: `${formatShortDate(start)} – ${formatShortDate(end)}`,
+    });
+    ({ start, end } = getPeriodBounds(WEEKLY, addDays(start, -1), weekStart));
+  }
+  return weeks;
+};
+
+/**
+ * The `count` calendar months ending with the month that contains `endDate`,
+ * oldest first, each clipped to today.
+ */
+export const getCalendarMonths = (count, endDate, now = new Date()) => {
+  const today = startOfDay(now);
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const start = new Date(endDate.getFullYear(), endDate.getMonth() - i, 1);
+    const end = new Date(endDate.getFullYear(), endDate.getMonth() - i + 1, 0);
+    months.push({
+      start,
+      end: minDate(end, today),
+      label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+    });
+  }
+  return months;
+};
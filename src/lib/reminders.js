@@ -0,0 +1,72 @@
+import { isAvoidance } from './avoidance';
+import { toDateKey } from './dates';
+import { getExcuse } from './excusals';
+import { isGoalMet } from './measurement';
+import { isDueOn } from './schedule';
+
+// A task's reminder is a local 'HH:MM' time in task.reminder, or absent.
+
+export const SNOOZE_MINUTES = 10;
+
+const REMINDER_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidReminder = (reminder) => typeof reminder === 'string' && REMINDER_PATTERN.test(reminder);
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// The reminder time on the calendar day of `today`
+export const getReminderTime = (reminder, today) => {
+  const [hours, minutes] = reminder.split(':').map(Number);
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes);
+};
+
+/**
+ * Tasks whose reminder should fire at `now`: the time has passed, it hasn't been
+ * sent today (or a snooze has run out), and the habit is due, not excused and not
+ * yet done. Avoidance habits have nothing to be reminded of. `sent[taskId]` is the
+ * date key it was last sent for and `snoozedUntil[taskId]` a timestamp.
+ */
+export const getPendingReminders = ({ tasks, dailyCompletion, excusedDays, today, now, weekStart, sent, snoozedUntil }) => {
+  const todayKey = toDateKey(today);
+  return tasks.filter(task => {
+    if (task.archivedAt || isAvoidance(task) || !isValidReminder(task.reminder)) return false;
+    if (isGoalMet(task, dailyCompletion[todayKey]?.[task.id])) return false;
+    if (getExcuse(excusedDays, todayKey, task.id) || !isDueOn(task, today, dailyCompletion, weekStart)) return false;
+
+    const snooze = snoozedUntil[task.id];
+    if (snooze) return now >= snooze;
+    return sent[task.id] !== todayKey && now >= getReminderTime(task.reminder, today);
+  });
+};
+
+/**
+ * Shows the reminder through the service worker when there is one, so the
+ * notification can carry Snooze / Mark done buttons; plain Notification otherwise.
+ */
+export const showReminder = async (task) => {
+  const title = `Time for ${task.name}`;
+  const options = {
+    body: `You wanted a reminder at ${task.reminder}. It isn't done yet today.`,
+    icon: '/icon-192.png',
+    tag: `reminder-${task.id}`,
+    renotify: true,
+    data: { taskId: task.id, snoozeMinutes: SNOOZE_MINUTES },
+  };
+
+  const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, {
+      ...options,
+      actions: [
+        { action: 'done', title: 'Mark done' },
+        { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+      ],
+    });
+    return;
+  }
+  const notification = new Notification(title, options);
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+};
@@ -0,0 +1,398 @@
+import { isAvoidance } from './avoidance';
+import { getDatesBetween, toDateKey } from './dates';
+import { getOutcome } from './insights';
+import { JOURNAL, describeNote } from './notes';
+import { getCalendarMonths, getCalendarWeeks } from './ranges';
+import { DEFAULT_WEEK_START } from './schedule';
+import { averageRate, getChange, getPooledProgress, getRatedTasks, getStreak } from './tracker';
+
+// Weekly and monthly progress reports to share with someone else. The report is
+// drawn as one standalone SVG (no fonts, images or scripts from elsewhere), which
+// the browser can also turn into a PNG or print on its own.
+
+export const REPORT_PERIODS = [
+  { value: 'week', label: 'Weekly', noun: 'week' },
+  { value: 'month', label: 'Monthly', noun: 'month' },
+];
+
+export const REPORT_WIDTH = 800;
+
+// Long months of daily journaling would otherwise run over several pages
+export const MAX_REPORT_NOTES = 40;
+
+const MIN_RADAR_HABITS = 3;
+
+const COLORS = {
+  background: '#FFFFFF',
+  card: '#F9FAFB',
+  text: '#1F2937',
+  muted: '#6B7280',
+  faint: '#9CA3AF',
+  grid: '#E5E7EB',
+  accent: '#3B82F6',
+  up: '#16A34A',
+  down: '#DC2626',
+};
+
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+const PADDING = 40;
+const CONTENT_WIDTH = REPORT_WIDTH - 2 * PADDING;
+
+const formatDate = (date, options = { month: 'short', day: 'numeric' }) => date.toLocaleDateString('en-US', options);
+
+const formatCount = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+/**
+ * `{ start, end, label }` for the calendar week or month `offset` periods before
+ * the one containing `today`, its end clipped to today.
+ */
+export const getReportPeriod = (period, today, weekStart = DEFAULT_WEEK_START, offset = 0) =>
+  period === 'month'
+    ? getCalendarMonths(offset + 1, today, today)[0]
+    : getCalendarWeeks(offset + 1, today, weekStart, today)[0];
+
+// How the due habits did on one day, or null when nothing was due
+const getDay = (state, tasks, date, weekStart) => {
+  const outcomes = tasks.map(task => getOutcome(state, task, date, weekStart)).filter(outcome => outcome !== null);
+  if (outcomes.length === 0) return { date, completion: null, perfect: false };
+  return {
+    date,
+    completion: Math.round((outcomes.reduce((sum, outcome) => sum + outcome, 0) / outcomes.length) * 100),
+    perfect: outcomes.every(outcome => outcome >= 1),
+  };
+};
+
+/**
+ * Everything a report shows for `tasks` over one calendar week or month (see
+ * getReportPeriod), compared with the period before it. Streaks are as of the
+ * period's last day, and notes cover the habits in `tasks` plus the journal.
+ */
+export const buildReport = (state, {
+  tasks,
+  period = 'week',
+  offset = 0,
+  today,
+  weekStart = DEFAULT_WEEK_START,
+  title = null,
+}) => {
+  const current = getReportPeriod(period, today, weekStart, offset);
+  const previous = getReportPeriod(period, today, weekStart, offset + 1);
+  const dates = getDatesBetween(current.start, current.end);
+  const previousDates = getDatesBetween(previous.start, previous.end);
+
+  const score = (periodDates) => averageRate(getRatedTasks(state, tasks, periodDates, weekStart));
+  const progress = getPooledProgress(state, tasks, dates, weekStart);
+  const previousProgress = getPooledProgress(state, tasks, previousDates, weekStart);
+  const days = dates.map(date => getDay(state, tasks, date, weekStart));
+
+  const habits = tasks.map(task => {
+    const { due, done, rate } = getPooledProgress(state, [task], dates, weekStart);
+    return {
+      task,
+      rate,
+      change: getChange(rate, getPooledProgress(state, [task], previousDates, weekStart).rate),
+      due,
+      done,
+      streak: getStreak(state, task, current.end, weekStart),
+    };
+  });
+  const bestStreak = habits.reduce((best, habit) => (habit.streak.current > (best?.streak.current ?? 0) ? habit : best), null);
+
+  const names = new Map([[JOURNAL, 'Journal'], ...tasks.map(task => [String(task.id), task.name])]);
+  const notes = dates.flatMap(date => Object.entries(state.dayNotes?.[toDateKey(date)] || {})
+    .filter(([taskId]) => names.has(taskId))
+    .map(([taskId, note]) => ({ date, name: names.get(taskId), text: describeNote(note) }))
+    .filter(({ text }) => text));
+
+  return {
+    period,
+    title,
+    label: period === 'week' ? `${current.label}, ${current.end.getFullYear()}` : current.label,
+    start: current.start,
+    end: current.end,
+    inProgress: offset === 0,
+    generatedOn: today,
+    overallScore: score(dates),
+    overallChange: getChange(score(dates), score(previousDates)),
+    completion: progress.rate,
+    completionChange: getChange(progress.rate, previousProgress.rate),
+    due: progress.due,
+    done: progress.done,
+    perfectDays: days.filter(({ perfect }) => perfect).length,
+    ratedDays: days.filter(({ completion }) => completion !== null).length,
+    bestStreak,
+    days,
+    habits,
+    notes,
+  };
+};
+
+// SVG drawing
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+export const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+const truncate = (value, length) => (value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+// Splits `value` into lines of at most `length` characters, breaking between words where it can
+export const wrapText = (value, length) => {
+  const lines = [];
+  let current = '';
+  value.split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > length) {
+      if (current) lines.push(current);
+      lines.push(word.slice(0, length));
+      word = word.slice(length);
+      current = '';
+    }
+    if (current && current.length + 1 + word.length <= length) {
+      current = `${current} ${word}`;
+    } else {
+      if (current) lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+};
+
+const attributes = (attrs) =>
+  Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+
+const text = (x, y, content, attrs = {}) =>
+  `<text x="${x}" y="${y}"${attributes({ fill: COLORS.text, 'font-size': 13, ...attrs })}>${escapeXml(content)}</text>`;
+
+const rect = (x, y, width, height, attrs = {}) =>
+  `<rect x="${x}" y="${y}" width="${width}" height="${height}"${attributes(attrs)}/>`;
+
+const line = (x1, y1, x2, y2, attrs = {}) =>
+  `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"${attributes({ stroke: COLORS.grid, ...attrs })}/>`;
+
+const formatPercent = (value) => (value === null ? '–' : `${value}%`);
+
+const formatChange = (change) => (change === null ? '' : `${change > 0 ? '+' : ''}${change}%`);
+
+const getChangeColor = (change) => (change > 0 ? COLORS.up : change < 0 ? COLORS.down : COLORS.muted);
+
+const sectionTitle = (y, title) => text(PADDING, y, title, { 'font-size': 16, 'font-weight': 600 });
+
+const drawCards = (report, y) => {
+  const noun = REPORT_PERIODS.find(({ value }) => value === report.period).noun;
+  const changeLine = (change) => change === null
+    ? { value: 'nothing to compare with', color: COLORS.faint }
+    : { value: `${formatChange(change)} vs previous ${noun}`, color: getChangeColor(change) };
+  const streak = report.bestStreak?.streak;
+  const cards = [
+    { label: 'Overall score', value: formatPercent(report.overallScore), sub: changeLine(report.overallChange) },
+    { label: 'Completion', value: formatPercent(report.completion), sub: changeLine(report.completionChange) },
+    {
+      label: 'Perfect days',
+      value: `${report.perfectDays}/${report.ratedDays}`,
+      sub: { value: 'every due habit done', color: COLORS.muted },
+    },
+    {
+      label: 'Best current streak',
+      value: streak ? formatCount(streak.current, streak.unit) : '–',
+      sub: { value: streak ? truncate(report.bestStreak.task.name, 24) : 'no streak going', color: COLORS.muted },
+    },
+  ];
+  const gap = 16;
+  const width = (CONTENT_WIDTH - gap * (cards.length - 1)) / cards.length;
+  return cards.map(({ label, value, sub }, index) => {
+    const x = PADDING + index * (width + gap);
+    return [
+      rect(x, y, width, 84, { rx: 8, fill: COLORS.card, stroke: COLORS.grid }),
+      text(x + 14, y + 22, label, { fill: COLORS.muted, 'font-size': 12 }),
+      text(x + 14, y + 52, value, { 'font-size': 26, 'font-weight': 700 }),
+      text(x + 14, y + 72, sub.value, { fill: sub.color, 'font-size': 11 }),
+    ].join('');
+  }).join('');
+};
+
+const drawDailyChart = (report, y) => {
+  const height = 140;
+  const left = PADDING + 36;
+  const width = REPORT_WIDTH - PADDING - left;
+  const slot = width / report.days.length;
+  const parts = [0, 50, 100].map(value => {
+    const lineY = y + height - (height * value) / 100;
+    return line(left, lineY, left + width, lineY) +
+      text(left - 8, lineY + 4, `${value}%`, { fill: COLORS.faint, 'font-size': 10, 'text-anchor': 'end' });
+  });
+  report.days.forEach(({ date, completion }, index) => {
+    const x = left + index * slot;
+    const center = x + slot / 2;
+    const label = report.period === 'week' ? formatDate(date, { weekday: 'short', day: 'numeric' }) : String(date.getDate());
+    parts.push(text(center, y + height + 16, label, { fill: COLORS.muted, 'font-size': 10, 'text-anchor': 'middle' }));
+    if (completion === null) return;
+    const barHeight = Math.max((height * completion) / 100, 1);
+    parts.push(rect((x + slot * 0.2).toFixed(1), (y + height - barHeight).toFixed(1), (slot * 0.6).toFixed(1), barHeight.toFixed(1), {
+      rx: 2,
+      fill: COLORS.accent,
+    }));
+  });
+  return parts.join('');
+};
+
+const drawRadar = (habits, y) => {
+  const radius = 110;
+  const cx = REPORT_WIDTH / 2;
+  const cy = y + radius + 30;
+  const point = (index, value) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * index) / habits.length;
+    return [cx + Math.cos(angle) * radius * value, cy + Math.sin(angle) * radius * value];
+  };
+  const polygon = (values, attrs) =>
+    `<polygon points="${values.map((value, index) => point(index, value).map(n => n.toFixed(1)).join(',')).join(' ')}"${attributes(attrs)}/>`;
+
+  const parts = [0.25, 0.5, 0.75, 1].map(ring => polygon(habits.map(() => ring), { fill: 'none', stroke: COLORS.grid }));
+  habits.forEach(({ task, rate }, index) => {
+    const [x, y2] = point(index, 1);
+    const [labelX, labelY] = point(index, 1.12);
+    const cos = (labelX - cx) / radius;
+    parts.push(line(cx, cy, x.toFixed(1), y2.toFixed(1)));
+    parts.push(text(labelX.toFixed(1), (labelY + 4).toFixed(1), `${truncate(task.name, 18)} ${rate}%`, {
+      fill: COLORS.muted,
+      'font-size': 11,
+      'text-anchor': cos > 0.3 ? 'start' : cos < -0.3 ? 'end' : 'middle',
+    }));
+  });
+  parts.push(polygon(habits.map(({ rate }) => rate / 100), {
+    fill: COLORS.accent,
+    'fill-opacity': 0.3,
+    stroke: COLORS.accent,
+    'stroke-width': 2,
+  }));
+  return { svg: parts.join(''), height: 2 * radius + 60 };
+};
+
+const TABLE_COLUMNS = [
+  { label: 'Habit', x: PADDING },
+  { label: 'Rate', x: 270 },
+  { label: 'Change', x: 470 },
+  { label: 'Done', x: 540 },
+  { label: 'Streak', x: 620 },
+  { label: 'Best', x: 700 },
+];
+
+const drawHabitTable = (habits, y) => {
+  const rowHeight = 28;
+  const parts = TABLE_COLUMNS.map(({ label, x }) => text(x, y, label.toUpperCase(), { fill: COLORS.faint, 'font-size': 10, 'font-weight': 600 }));
+  habits.forEach(({ task, rate, change, due, done, streak }, index) => {
+    const rowY = y + 12 + index * rowHeight;
+    const textY = rowY + 18;
+    const [name, rateColumn, changeColumn, doneColumn, streakColumn, bestColumn] = TABLE_COLUMNS.map(({ x }) => x);
+    parts.push(line(PADDING, rowY, REPORT_WIDTH - PADDING, rowY));
+    parts.push(`<circle cx="${name + 5}" cy="${textY - 4}" r="5"${attributes({ fill: task.color || COLORS.accent })}/>`);
+    parts.push(text(name + 16, textY, truncate(task.name, 28)));
+    parts.push(rect(rateColumn, textY - 10, 140, 10, { rx: 5, fill: COLORS.grid }));
+    if (rate) parts.push(rect(rateColumn, textY - 10, (140 * rate) / 100, 10, { rx: 5, fill: task.color || COLORS.accent }));
+    parts.push(text(rateColumn + 150, textY, formatPercent(rate), { 'font-weight': 600 }));
+    parts.push(text(changeColumn, textY, formatChange(change), { fill: getChangeColor(change) }));
+    parts.push(text(doneColumn, textY, `${done}/${due}${isAvoidance(task) ? ' clean' : ''}`, { fill: COLORS.muted }));
+    parts.push(text(streakColumn, textY, formatCount(streak.current, streak.unit)));
+    parts.push(text(bestColumn, textY, formatCount(streak.longest, streak.unit), { fill: COLORS.muted }));
+  });
+  return { svg: parts.join(''), height: 12 + habits.length * rowHeight };
+};
+
+const drawNotes = (notes, y) => {
+  if (notes.length === 0) {
+    return { svg: text(PADDING, y + 4, 'No notes this period.', { fill: COLORS.muted }), height: 12 };
+  }
+  const parts = [];
+  let offset = 0;
+  notes.slice(0, MAX_REPORT_NOTES).forEach(({ date, name, text: content }) => {
+    parts.push(text(PADDING, y + offset + 4, `${formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' })} · ${name}`, {
+      fill: COLORS.muted,
+      'font-size': 11,
+      'font-weight': 600,
+    }));
+    offset += 18;
+    wrapText(content, 105).forEach(contentLine => {
+      parts.push(text(PADDING, y + offset + 4, contentLine));
+      offset += 18;
+    });
+    offset += 6;
+  });
+  if (notes.length > MAX_REPORT_NOTES) {
+    parts.push(text(PADDING, y + offset + 4, `…and ${notes.length - MAX_REPORT_NOTES} more notes`, { fill: COLORS.muted }));
+    offset += 18;
+  }
+  return { svg: parts.join(''), height: offset };
+};
+
+/**
+ * Draws a report from buildReport as a standalone SVG document. Returns
+ * `{ svg, width, height }`, the size being in CSS pixels.
+ */
+export const renderReportSvg = (report) => {
+  const period = REPORT_PERIODS.find(({ value }) => value === report.period);
+  const parts = [];
+  let y = PADDING;
+
+  parts.push(text(PADDING, y + 22, `${period.label} report${report.title ? ` · ${report.title}` : ''}`, { 'font-size': 24, 'font-weight': 700 }));
+  parts.push(text(PADDING, y + 46, `${report.label}${report.inProgress ? ' (so far)' : ''}`, { fill: COLORS.muted, 'font-size': 14 }));
+  parts.push(text(REPORT_WIDTH - PADDING, y + 22, `Generated ${formatDate(report.generatedOn, { month: 'short', day: 'numeric', year: 'numeric' })}`, {
+    fill: COLORS.faint,
+    'font-size': 12,
+    'text-anchor': 'end',
+  }));
+  y += 76;
+
+  parts.push(drawCards(report, y));
+  y += 84 + 40;
+
+  parts.push(sectionTitle(y, 'Daily completion'));
+  parts.push(drawDailyChart(report, y + 20));
+  y += 20 + 140 + 40;
+
+  const rated = report.habits.filter(({ rate }) => rate !== null);
+  if (rated.length >= MIN_RADAR_HABITS) {
+    parts.push(sectionTitle(y, 'Habits at a glance'));
+    const radar = drawRadar(rated, y);
+    parts.push(radar.svg);
+    y += radar.height + 24;
+  }
+
+  parts.push(sectionTitle(y, 'Habits and streaks'));
+  if (report.habits.length === 0) {
+    parts.push(text(PADDING, y + 26, 'No habits to report on.', { fill: COLORS.muted }));
+    y += 26 + 32;
+  } else {
+    const table = drawHabitTable(report.habits, y + 26);
+    parts.push(table.svg);
+    y += 26 + table.height + 32;
+  }
+
+  parts.push(sectionTitle(y, 'Notes'));
+  const notes = drawNotes(report.notes, y + 20);
+  parts.push(notes.svg);
+  y += 20 + notes.height + 24;
+
+  parts.push(line(PADDING, y, REPORT_WIDTH - PADDING, y));
+  parts.push(text(PADDING, y + 20, 'Daily Progress Tracker', { fill: COLORS.faint, 'font-size': 11 }));
+  const height = Math.ceil(y + 20 + PADDING);
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${REPORT_WIDTH}" height="${height}" viewBox="0 0 ${REPORT_WIDTH} ${height}"` +
+    ` font-family="${escapeXml(FONT)}">${rect(0, 0, REPORT_WIDTH, height, { fill: COLORS.background })}${parts.join('')}</svg>`;
+  return { svg, width: REPORT_WIDTH, height };
+};
+
+/**
+ * Rasterizes a rendered report into a PNG blob by drawing it onto a canvas,
+ * `scale` times its size so it stays sharp on high-density screens.
+ */
+export const renderReportPng = ({ svg, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be created'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The report could not be drawn'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { toDateKey } from './dates';
+import { buildReport, escapeXml, getReportPeriod, renderReportSvg, wrapText } from './report';
+import { habit, note } from './testHelpers';
+
+// Sunday 2024-06-16 closes the week that starts Monday 2024-06-10
+const today = new Date(2024, 5, 16);
+
+const done = (...entries) => Object.fromEntries(entries.map(([date, ...ids]) => [date, Object.fromEntries(ids.map(id => [id, true]))]));
+
+describe('progress reports', () => {
+  it('picks calendar weeks and months counting back from today', () => {
+    const week = getReportPeriod('week', today, 1);
+    expect([toDateKey(week.start), toDateKey(week.end)]).toEqual(['2024-06-10', '2024-06-16']);
+    const lastWeek = getReportPeriod('week', today, 1, 1);
+    expect([toDateKey(lastWeek.start), toDateKey(lastWeek.end)]).toEqual(['2024-06-03', '2024-06-09']);
+    const month = getReportPeriod('month', today, 1);
+    expect([toDateKey(month.start), toDateKey(month.end), month.label]).toEqual(['2024-06-01', '2024-06-16', 'June 2024']);
+  });
+
+  it('sums up the period and compares it with the one before', () => {
+    const tasks = [habit(1), habit(2)];
+    const state = {
+      tasks,
+      // Habit 1 every day this week and on two days last week; habit 2 on Monday and Tuesday only
+      dailyCompletion: done(
+        ['2024-06-03', 1], ['2024-06-04', 1],
+        ['2024-06-10', 1, 2], ['2024-06-11', 1, 2], ['2024-06-12', 1], ['2024-06-13', 1],
+        ['2024-06-14', 1], ['2024-06-15', 1], ['2024-06-16', 1],
+      ),
+      excusedDays: {},
+      dayNotes: { '2024-06-12': { 1: note('Felt great'), journal: note('Busy day') } },
+    };
+    const report = buildReport(state, { tasks, period: 'week', today, weekStart: 1 });
+
+    expect(report.habits.map(({ rate, change }) => [rate, change])).toEqual([[100, 71], [29, 29]]);
+    expect(report.overallScore).toBe(65);
+    expect(report.overallChange).toBe(50);
+    expect([report.done, report.due, report.completion]).toEqual([9, 14, 64]);
+    expect([report.perfectDays, report.ratedDays]).toEqual([2, 7]);
+    expect(report.bestStreak.task).toBe(tasks[0]);
+    expect(report.bestStreak.streak.current).toBe(7);
+    expect(report.notes.map(({ name, text }) => `${name}: ${text}`)).toEqual(['Habit 1: Felt great', 'Journal: Busy day']);
+  });
+
+  it('draws a standalone SVG with every habit and escaped text', () => {
+    const tasks = [habit(1, { name: 'Read <b>&</b> "write"', color: '#FF6B6B' })];
+    const state = {
+      tasks,
+      dailyCompletion: done(['2024-06-10', 1]),
+      excusedDays: {},
+      dayNotes: { '2024-06-10': { journal: note('<script>alert(1)</script>') } },
+    };
+    const { svg, width, height } = renderReportSvg(buildReport(state, { tasks, today, weekStart: 1, title: 'Sam' }));
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain(`viewBox="0 0 ${width} ${height}"`);
+    expect(svg).toContain('Weekly report · Sam');
+    expect(svg).toContain('Read &lt;b&gt;&amp;&lt;/b&gt; &quot;write&quot;');
+    expect(svg).not.toContain('<script>');
+    expect(svg).not.toMatch(/href=|url\(/);
+  });
+
+  it('escapes XML and wraps long notes between words', () => {
+    expect(escapeXml(`a < b && "c" > 'd'`)).toBe('a &lt; b &amp;&amp; &quot;c&quot; &gt; &apos;d&apos;');
+    expect(wrapText('one two three four', 9)).toEqual(['one two', 'three', 'four']);
+    expect(wrapText('abcdefghij kl', 4)).toEqual(['abcd', 'efgh', 'ij', 'kl']);
+  });
+});
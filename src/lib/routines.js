@@ -0,0 +1,54 @@
+// A habit can belong to a time-of-day routine (task.routine). Habits without one
+// are "Anytime", and the task list only splits into sections once some habit has one.
+
+export const DEFAULT_ROUTINE = 'anytime';
+
+// Routines with a start hour begin then and last until the next one starts
+export const ROUTINES = [
+  { value: 'morning', label: 'Morning', startHour: 4 },
+  { value: 'afternoon', label: 'Afternoon', startHour: 12 },
+  { value: 'evening', label: 'Evening', startHour: 17 },
+  { value: DEFAULT_ROUTINE, label: 'Anytime' },
+];
+
+const TIMED_ROUTINES = ROUTINES.filter(routine => routine.startHour !== undefined);
+
+export const getRoutine = (task) => task.routine || DEFAULT_ROUTINE;
+
+export const getRoutineLabel = (value) => ROUTINES.find(routine => routine.value === value)?.label || 'Anytime';
+
+export const hasRoutines = (tasks) => tasks.some(task => getRoutine(task) !== DEFAULT_ROUTINE);
+
+// The routine whose hours `now` falls in; evening runs on past midnight until morning
+export const getCurrentRoutine = (now = new Date()) => {
+  const hour = now.getHours();
+  const current = [...TIMED_ROUTINES].reverse().find(routine => hour >= routine.startHour);
+  return (current || TIMED_ROUTINES[TIMED_ROUTINES.length - 1]).value;
+};
+
+export const msUntilNextRoutine = (now = new Date()) => {
+  const next = new Date(now);
+  const hour = TIMED_ROUTINES.map(routine => routine.startHour).find(startHour => startHour > now.getHours());
+  if (hour === undefined) next.setDate(next.getDate() + 1);
+  next.setHours(hour ?? TIMED_ROUTINES[0].startHour, 0, 0, 0);
+  return Math.max(next - now, 1000);
+};
+
+// Stable, so each routine keeps the habits' manual order
+export const sortByRoutine = (tasks) => {
+  const rank = (task) => ROUTINES.findIndex(routine => routine.value === getRoutine(task));
+  return [...tasks].sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * `[{ routine, tasks }]` for each routine that has habits, in ROUTINES order, or a
+ * single group with a null routine when no habit has one.
+ */
+export const getRoutineGroups = (tasks) => {
+  if (!hasRoutines(tasks)) return [{ routine: null, tasks }];
+  return ROUTINES
+    .map(({ value }) => ({ routine: value, tasks: tasks.filter(task => getRoutine(task) === value) }))
+    .filter(group => group.tasks.length > 0);
+};
+
+export const isValidRoutine = (value) => ROUTINES.some(routine => routine.value === value);
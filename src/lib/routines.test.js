@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { getCurrentRoutine, getRoutineGroups, msUntilNextRoutine, sortByRoutine } from './routines';
+
+const at = (hour, minute = 0) => new Date(2024, 4, 15, hour, minute);
+
+describe('routines', () => {
+  it('picks the routine for the time of day, with evening running past midnight', () => {
+    expect(getCurrentRoutine(at(4))).toBe('morning');
+    expect(getCurrentRoutine(at(11, 59))).toBe('morning');
+    expect(getCurrentRoutine(at(12))).toBe('afternoon');
+    expect(getCurrentRoutine(at(17))).toBe('evening');
+    expect(getCurrentRoutine(at(0, 30))).toBe('evening');
+    expect(getCurrentRoutine(at(3, 59))).toBe('evening');
+  });
+
+  it('waits until the next routine starts', () => {
+    expect(msUntilNextRoutine(at(11, 30))).toBe(30 * 60 * 1000);
+    expect(msUntilNextRoutine(at(22))).toBe(6 * 60 * 60 * 1000);
+    expect(msUntilNextRoutine(at(2))).toBe(2 * 60 * 60 * 1000);
+  });
+
+  it('sorts by routine and keeps the order within each', () => {
+    const tasks = [{ id: 1 }, { id: 2, routine: 'evening' }, { id: 3, routine: 'morning' }, { id: 4, routine: 'morning' }];
+    expect(sortByRoutine(tasks).map(task => task.id)).toEqual([3, 4, 2, 1]);
+  });
+
+  it('only splits into groups once some habit has a routine', () => {
+    const plain = [{ id: 1 }, { id: 2 }];
+    expect(getRoutineGroups(plain)).toEqual([{ routine: null, tasks: plain }]);
+
+    const groups = getRoutineGroups([{ id: 1 }, { id: 2, routine: 'evening' }]);
+    expect(groups.map(({ routine, tasks }) => [routine, tasks.map(task => task.id)])).toEqual([['evening', [2]], ['anytime', [1]]]);
+  });
+});
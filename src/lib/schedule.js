@@ -0,0 +1,180 @@
+import { getSuccessRatio } from './avoidance';
+import { addDays, daysBetween, daysInMonth, getDatesBetween, parseDateKey, startOfDay, toDateKey } from './dates';
+import { getExcuse } from './excusals';
+import { isActiveOn } from './lifecycle';
+
+// A task's schedule decides which days it is expected to be done on.
+//   { type: 'daily' }
+//   { type: 'weekdays', days: [1, 3, 5] }      (0 = Sunday)
+//   { type: 'weekly', times: 2 }               X times per calendar week
+//   { type: 'monthly', times: 4 }              X times per calendar month
+//   { type: 'interval', every: 3, anchor: '2024-01-01' }
+
+export const DEFAULT_SCHEDULE = { type: 'daily' };
+
+export const SCHEDULE_TYPES = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekdays', label: 'Specific weekdays' },
+  { value: 'weekly', label: 'Times per week' },
+  { value: 'monthly', label: 'Times per month' },
+  { value: 'interval', label: 'Every N days' },
+];
+
+// A quota makes no sense for a habit being broken, so those only get fixed days
+export const AVOIDANCE_SCHEDULE_TYPES = SCHEDULE_TYPES.filter(({ value }) => value !== 'weekly' && value !== 'monthly');
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar weeks start on Monday unless the user picks another day
+export const DEFAULT_WEEK_START = 1;
+
+export const getSchedule = (task) => task.schedule || DEFAULT_SCHEDULE;
+
+export const isFrequencySchedule = (schedule) => schedule.type === 'weekly' || schedule.type === 'monthly';
+
+const getIntervalAnchor = (task) => {
+  const { anchor } = getSchedule(task);
+  if (anchor) return parseDateKey(anchor);
+  return task.createdAt ? startOfDay(new Date(task.createdAt)) : new Date(0);
+};
+
+export const getPeriodBounds = (schedule, date, weekStart = DEFAULT_WEEK_START) => {
+  if (schedule.type === 'weekly') {
+    const start = addDays(date, -((date.getDay() - weekStart + 7) % 7));
+    return { start, end: addDays(start, 6) };
+  }
+  return {
+    start: new Date(date.getFullYear(), date.getMonth(), 1),
+    end: new Date(date.getFullYear(), date.getMonth() + 1, 0),
+  };
+};
+
+// How well `task` went on `date`, from 0 to 1; avoidance habits score the days without a slip
+export const getDayRatio = (dailyCompletion, task, date) =>
+  getSuccessRatio(task, dailyCompletion[toDateKey(date)]?.[task.id]);
+
+// Days in [start, end] on which the task's daily target was fully met
+export const countCompletions = (dailyCompletion, task, start, end, exceptKey) => {
+  return getDatesBetween(start, end).filter(date => {
+    const dateKey = toDateKey(date);
+    return dateKey !== exceptKey && getSuccessRatio(task, dailyCompletion[dateKey]?.[task.id]) >= 1;
+  }).length;
+};
+
+/**
+ * Whether `task` is expected on `date`. Never outside the habit's active window
+ * (see lifecycle.js). Frequency habits stay due until their quota for that
+ * week/month has been met on other days.
+ */
+export const isDueOn = (task, date, dailyCompletion, weekStart = DEFAULT_WEEK_START) => {
+  if (!isActiveOn(task, date)) return false;
+  const schedule = getSchedule(task);
+  switch (schedule.type) {
+    case 'weekdays':
+      return schedule.days.includes(date.getDay());
+    case 'interval': {
+      const offset = daysBetween(getIntervalAnchor(task), date);
+      return offset >= 0 && offset % schedule.every === 0;
+    }
+    case 'weekly':
+    case 'monthly': {
+      const { start, end } = getPeriodBounds(schedule, date, weekStart);
+      return countCompletions(dailyCompletion, task, start, end, toDateKey(date)) < schedule.times;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Returns `{ due, done }` for `task` across `dates`.
+ * Fixed-day schedules count due days and the completions on them. Frequency
+ * schedules spread their quota over the period (2x/week is 2/7 per day) and cap
+ * the completions at that expectation. Each day contributes its share of the
+ * daily target, so 5 of 8 glasses is worth 0.625 of a completion, and an
+ * avoidance habit's day is worth 1 without a slip. Excused days
+ * and days outside the habit's active window are left out entirely.
+ */
+export const getScheduleProgress = (task, allDates, dailyCompletion, excusedDays = {}, weekStart = DEFAULT_WEEK_START) => {
+  const schedule = getSchedule(task);
+  const dates = allDates.filter(date => isActiveOn(task, date) && !getExcuse(excusedDays, toDateKey(date), task.id));
+  let due = 0;
+  let done = 0;
+
+  if (isFrequencySchedule(schedule)) {
+    dates.forEach(date => {
+      const periodLength = schedule.type === 'weekly' ? 7 : daysInMonth(date);
+      due += schedule.times / periodLength;
+      done += getDayRatio(dailyCompletion, task, date);
+    });
+    due = Math.round(due * 1000) / 1000;
+    return { due, done: Math.min(done, due) };
+  }
+
+  dates.forEach(date => {
+    if (isDueOn(task, date, dailyCompletion, weekStart)) {
+      due++;
+      done += getDayRatio(dailyCompletion, task, date);
+    }
+  });
+  return { due, done };
+};
+
+export const getStreakUnit = (task) => {
+  const schedule = getSchedule(task);
+  if (schedule.type === 'weekly') return 'week';
+  if (schedule.type === 'monthly') return 'month';
+  return 'day';
+};
+
+export const describeSchedule = (schedule = DEFAULT_SCHEDULE) => {
+  switch (schedule.type) {
+    case 'weekdays':
+      return [...schedule.days].sort().map(day => WEEKDAY_LABELS[day]).join(', ');
+    case 'weekly':
+      return `${schedule.times}x per week`;
+    case 'monthly':
+      return `${schedule.times}x per month`;
+    case 'interval':
+      return schedule.every === 1 ? 'Daily' : `Every ${schedule.every} days`;
+    default:
+      return 'Daily';
+  }
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Checks imported schedules, down to the fields each type relies on
+export const isValidSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') return false;
+  switch (schedule.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return Array.isArray(schedule.days) && schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    case 'weekly':
+    case 'monthly':
+      return isPositiveInteger(schedule.times);
+    case 'interval':
+      return isPositiveInteger(schedule.every) &&
+        (schedule.anchor === undefined || (typeof schedule.anchor === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(schedule.anchor)));
+    default:
+      return false;
+  }
+};
+
+// Fills in the fields a schedule type needs when the user switches to it
+export const createSchedule = (type, today = new Date()) => {
+  switch (type) {
+    case 'weekdays':
+      return { type, days: [1, 3, 5] };
+    case 'weekly':
+      return { type, times: 3 };
+    case 'monthly':
+      return { type, times: 4 };
+    case 'interval':
+      return { type, every: 2, anchor: toDateKey(today) };
+    default:
+      return { type: 'daily' };
+  }
+};
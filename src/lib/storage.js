@@ -0,0 +1,406 @@
+import { deleteDB, openDB } from 'idb';
+import { parseTaskKey } from './excusals';
+
+const DB_NAME = 'daily-progress-tracker';
+// Lists the profiles; each profile's data lives in a database of its own
+const PROFILES_DB_NAME = `${DB_NAME}-profiles`;
+
+// The profile that existed before profiles did keeps the original database
+export const DEFAULT_PROFILE = { id: 'default', name: 'Personal', color: '#8B5CF6' };
+
+// Keys used by the pre-IndexedDB versions of the app
+const LEGACY_TASKS_KEY = 'progressTrackerTasks';
+const LEGACY_COMPLETIONS_KEY = 'progressTrackerCompletions';
+
+// One entry per schema version. Never edit a released step, append a new one.
+const upgrades = [
+  // v1: habits, one record per (date, habit) completion, and a key/value meta store
+  (db) => {
+    db.createObjectStore('habits', { keyPath: 'id' });
+    const completions = db.createObjectStore('completions', { keyPath: ['date', 'taskId'] });
+    completions.createIndex('by-task', 'taskId');
+    completions.createIndex('by-date', 'date');
+    db.createObjectStore('meta');
+  },
+  // v2: skip / sick / vacation marks, per habit or for every habit ('all')
+  (db) => {
+    db.createObjectStore('excusals', { keyPath: ['date', 'taskId'] });
+  },
+  // v3: per-habit notes and the daily journal ('journal')
+  (db) => {
+    db.createObjectStore('notes', { keyPath: ['date', 'taskId'] });
+  },
+  // v4: changes waiting to be sent to the sync server, one per record key
+  (db) => {
+    db.createObjectStore('outbox', { keyPath: 'key' });
+  },
+];
+
+export const DB_VERSION = upgrades.length;
+
+const dbPromises = new Map();
+
+const getDatabaseName = (profileId) => (profileId === DEFAULT_PROFILE.id ? DB_NAME : `${DB_NAME}-${profileId}`);
+
+const getDB = (profileId = DEFAULT_PROFILE.id) => {
+  if (!dbPromises.has(profileId)) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const dbPromise = openDB(getDatabaseName(profileId), DB_VERSION, {
+      upgrade(db, oldVersion, newVersion, transaction) {
+        for (let version = oldVersion; version < newVersion; version++) {
+          upgrades[version](db, transaction);
+        }
+      },
+      blocking() {
+        // A newer version was opened in another tab; let it upgrade
+        dbPromise.then(db => db.close());
+        dbPromises.delete(profileId);
+      },
+    });
+    dbPromise.catch(() => {
+      dbPromises.delete(profileId);
+    });
+    dbPromises.set(profileId, dbPromise);
+  }
+  return dbPromises.get(profileId);
+};
+
+export const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' || error?.inner?.name === 'QuotaExceededError';
+
+// Throws a SyntaxError when the saved JSON is unreadable
+const parseLegacyData = () => {
+  const savedTasks = localStorage.getItem(LEGACY_TASKS_KEY);
+  const savedCompletions = localStorage.getItem(LEGACY_COMPLETIONS_KEY);
+  return {
+    tasks: savedTasks ? JSON.parse(savedTasks) : [],
+    dailyCompletion: savedCompletions ? JSON.parse(savedCompletions) : {},
+  };
+};
+
+const readLegacyData = () => {
+  try {
+    return parseLegacyData();
+  } catch (error) {
+    console.error('Failed to read legacy localStorage data:', error);
+    return { tasks: [], dailyCompletion: {} };
+  }
+};
+
+// dailyCompletion, excusedDays and dayNotes are all { [date]: { [taskId]: value } } maps,
+// stored as one { date, taskId, value } record per entry
+const dateMapToRecords = (dateMap) => {
+  const records = [];
+  Object.entries(dateMap).forEach(([date, day]) => {
+    Object.entries(day || {}).forEach(([taskId, value]) => {
+      if (value) {
+        records.push({ date, taskId: parseTaskKey(taskId), value });
+      }
+    });
+  });
+  return records;
+};
+
+const recordsToDateMap = (records) => {
+  const dateMap = {};
+  records.forEach(({ date, taskId, value }) => {
+    if (!dateMap[date]) {
+      dateMap[date] = {};
+    }
+    dateMap[date][taskId] = value;
+  });
+  return dateMap;
+};
+
+// Imports the old localStorage blobs once, then removes them. Blobs that don't
+// parse are left where they are, and the migration is tried again next time.
+const migrateLegacyData = async (db) => {
+  if (await db.get('meta', 'legacyMigrated')) return;
+
+  const { tasks, dailyCompletion } = parseLegacyData();
+  const tx = db.transaction(['habits', 'completions', 'meta'], 'readwrite');
+  const habitStore = tx.objectStore('habits');
+  const completionStore = tx.objectStore('completions');
+  tasks.forEach(task => habitStore.put(task));
+  dateMapToRecords(dailyCompletion).forEach(record => completionStore.put(record));
+  tx.objectStore('meta').put(new Date().toISOString(), 'legacyMigrated');
+  await tx.done;
+
+  localStorage.removeItem(LEGACY_TASKS_KEY);
+  localStorage.removeItem(LEGACY_COMPLETIONS_KEY);
+};
+
+/**
+ * Loads every habit, completion record, excused day and note of a profile, plus its saved settings.
+ * Resolves to `{ tasks, dailyCompletion, excusedDays, dayNotes, settings, status }` and never rejects: when IndexedDB
+ * can't be opened (private mode, disabled storage) it falls back to a read-only copy
+ * of the legacy localStorage data with status `'unavailable'`, and when it can't be
+ * read, to the same copy with status `'error'`. Legacy data too damaged to migrate
+ * gives status `'legacy-unreadable'`, with everything else loaded as usual.
+ */
+export const loadTrackerData = async (profileId = DEFAULT_PROFILE.id) => {
+  // Only the original profile ever had localStorage data
+  const readFallback = () => (profileId === DEFAULT_PROFILE.id ? readLegacyData() : { tasks: [], dailyCompletion: {} });
+
+  let db;
+  try {
+    db = await getDB(profileId);
+  } catch (error) {
+    console.error('IndexedDB unavailable, changes will not be saved:', error);
+    return { ...readFallback(), excusedDays: {}, dayNotes: {}, settings: {}, status: 'unavailable' };
+  }
+
+  let status = 'ready';
+  try {
+    if (profileId === DEFAULT_PROFILE.id) await migrateLegacyData(db);
+  } catch (error) {
+    console.error('Failed to migrate localStorage data:', error);
+    if (!(error instanceof SyntaxError)) {
+      return { ...readFallback(), excusedDays: {}, dayNotes: {}, settings: {}, status: isQuotaError(error) ? 'quota-exceeded' : 'error' };
+    }
+    status = 'legacy-unreadable';
+  }
+
+  let stored;
+  try {
+    stored = await Promise.all([
+      db.getAll('habits'),
+      db.getAll('completions'),
+      db.getAll('excusals'),
+      db.getAll('notes'),
+      db.get('meta', 'settings'),
+    ]);
+  } catch (error) {
+    console.error('Failed to read saved progress:', error);
+    return { ...readFallback(), excusedDays: {}, dayNotes: {}, settings: {}, status: 'error' };
+  }
+  const [tasks, records, excusals, notes, settings] = stored;
+  return {
+    tasks,
+    dailyCompletion: recordsToDateMap(records),
+    excusedDays: recordsToDateMap(excusals),
+    dayNotes: recordsToDateMap(notes),
+    settings: settings || {},
+    status,
+  };
+};
+
+const diffDateMap = (prevMap, nextMap, puts, deletes) => {
+  const dates = new Set([...Object.keys(prevMap), ...Object.keys(nextMap)]);
+  dates.forEach(date => {
+    const before = prevMap[date] || {};
+    const after = nextMap[date] || {};
+    if (before === after) return;
+
+    const taskIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+    taskIds.forEach(taskId => {
+      if (before[taskId] === after[taskId]) return;
+      if (after[taskId]) {
+        puts.push({ date, taskId: parseTaskKey(taskId), value: after[taskId] });
+      } else {
+        deletes.push([date, parseTaskKey(taskId)]);
+      }
+    });
+  });
+};
+
+/**
+ * Computes the minimal set of writes between two snapshots of the app state.
+ * Relies on unchanged tasks and unchanged dates keeping their object identity.
+ */
+export const diffTrackerData = (prev, next) => {
+  const changes = {
+    putHabits: [],
+    deleteHabits: [],
+    putCompletions: [],
+    deleteCompletions: [],
+    putExcusals: [],
+    deleteExcusals: [],
+    putNotes: [],
+    deleteNotes: [],
+  };
+
+  const prevTasks = new Map(prev.tasks.map(task => [task.id, task]));
+  next.tasks.forEach(task => {
+    if (prevTasks.get(task.id) !== task) {
+      changes.putHabits.push(task);
+    }
+    prevTasks.delete(task.id);
+  });
+  changes.deleteHabits = [...prevTasks.keys()];
+
+  diffDateMap(prev.dailyCompletion, next.dailyCompletion, changes.putCompletions, changes.deleteCompletions);
+  diffDateMap(prev.excusedDays, next.excusedDays, changes.putExcusals, changes.deleteExcusals);
+  diffDateMap(prev.dayNotes, next.dayNotes, changes.putNotes, changes.deleteNotes);
+
+  return changes;
+};
+
+export const hasChanges = (changes) => Object.values(changes).some(list => list.length > 0);
+
+/**
+ * Writes a diff produced by `diffTrackerData` in a single transaction, along
+ * with the sync records queued for it, if any.
+ * Resolves to the resulting storage status instead of throwing.
+ */
+export const saveTrackerChanges = async (changes, profileId = DEFAULT_PROFILE.id, syncRecords = []) => {
+  try {
+    const db = await getDB(profileId);
+    const stores = ['habits', 'completions', 'excusals', 'notes'];
+    const tx = db.transaction(syncRecords.length > 0 ? [...stores, 'outbox'] : stores, 'readwrite');
+    const habitStore = tx.objectStore('habits');
+    const completionStore = tx.objectStore('completions');
+    const excusalStore = tx.objectStore('excusals');
+    const noteStore = tx.objectStore('notes');
+    changes.putHabits.forEach(task => habitStore.put(task));
+    changes.deleteHabits.forEach(id => habitStore.delete(id));
+    changes.putCompletions.forEach(record => completionStore.put(record));
+    changes.deleteCompletions.forEach(key => completionStore.delete(key));
+    changes.putExcusals.forEach(record => excusalStore.put(record));
+    changes.deleteExcusals.forEach(key => excusalStore.delete(key));
+    changes.putNotes.forEach(record => noteStore.put(record));
+    changes.deleteNotes.forEach(key => noteStore.delete(key));
+    syncRecords.forEach(record => tx.objectStore('outbox').put(record));
+    await tx.done;
+    return 'ready';
+  } catch (error) {
+    console.error('Failed to save progress:', error);
+    return isQuotaError(error) ? 'quota-exceeded' : 'error';
+  }
+};
+
+/**
+ * Resolves to `{ outbox, revision }`: the records not yet sent to the sync server
+ * and the server revision last pulled, null before the profile's first sync.
+ */
+export const loadSyncState = async (profileId = DEFAULT_PROFILE.id) => {
+  const db = await getDB(profileId);
+  const [outbox, revision] = await Promise.all([db.getAll('outbox'), db.get('meta', 'syncRevision')]);
+  return { outbox, revision: revision ?? null };
+};
+
+/**
+ * Drops the `sent` records from the outbox, except those edited again since,
+ * and remembers the server `revision` pulled.
+ */
+export const saveSyncProgress = async (profileId, sent, revision) => {
+  const db = await getDB(profileId);
+  const tx = db.transaction(['outbox', 'meta'], 'readwrite');
+  const outbox = tx.objectStore('outbox');
+  await Promise.all(sent.map(async record => {
+    const queued = await outbox.get(record.key);
+    if (queued && queued.updatedAt === record.updatedAt) await outbox.delete(record.key);
+  }));
+  if (revision !== undefined) tx.objectStore('meta').put(revision, 'syncRevision');
+  await tx.done;
+};
+
+// Forgets the outbox and revision, so the next sync starts over from a full snapshot
+export const resetSyncState = async (profileId = DEFAULT_PROFILE.id) => {
+  try {
+    const db = await getDB(profileId);
+    const tx = db.transaction(['outbox', 'meta'], 'readwrite');
+    tx.objectStore('outbox').clear();
+    tx.objectStore('meta').delete('syncRevision');
+    await tx.done;
+  } catch (error) {
+    console.error('Failed to reset sync state:', error);
+  }
+};
+
+export const saveSettings = async (settings, profileId = DEFAULT_PROFILE.id) => {
+  try {
+    const db = await getDB(profileId);
+    await db.put('meta', settings, 'settings');
+    return 'ready';
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    return isQuotaError(error) ? 'quota-exceeded' : 'error';
+  }
+};
+
+let profilesDbPromise = null;
+
+const getProfilesDB = () => {
+  if (!profilesDbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    profilesDbPromise = openDB(PROFILES_DB_NAME, 1, {
+      upgrade(db) {
+        db.createObjectStore('meta');
+      },
+    });
+    profilesDbPromise.catch(() => {
+      profilesDbPromise = null;
+    });
+  }
+  return profilesDbPromise;
+};
+
+/**
+ * Resolves to `{ profiles, activeProfileId }`. Before any profile was created
+ * there is just the default one.
+ */
+export const loadProfiles = async () => {
+  try {
+    const db = await getProfilesDB();
+    const [profiles, activeProfileId] = await Promise.all([db.get('meta', 'profiles'), db.get('meta', 'activeProfile')]);
+    const list = profiles?.length ? profiles : [DEFAULT_PROFILE];
+    return {
+      profiles: list,
+      activeProfileId: list.some(profile => profile.id === activeProfileId) ? activeProfileId : list[0].id,
+    };
+  } catch (error) {
+    console.error('Failed to load profiles:', error);
+    return { profiles: [DEFAULT_PROFILE], activeProfileId: DEFAULT_PROFILE.id };
+  }
+};
+
+export const saveProfiles = async (profiles, activeProfileId) => {
+  try {
+    const db = await getProfilesDB();
+    const tx = db.transaction('meta', 'readwrite');
+    tx.store.put(profiles, 'profiles');
+    tx.store.put(activeProfileId, 'activeProfile');
+    await tx.done;
+    return 'ready';
+  } catch (error) {
+    console.error('Failed to save profiles:', error);
+    return isQuotaError(error) ? 'quota-exceeded' : 'error';
+  }
+};
+
+// The sync server settings, `{ url, token }`, shared by every profile
+export const loadSyncSettings = async () => {
+  try {
+    const db = await getProfilesDB();
+    return (await db.get('meta', 'sync')) || { url: '', token: '' };
+  } catch (error) {
+    console.error('Failed to load sync settings:', error);
+    return { url: '', token: '' };
+  }
+};
+
+export const saveSyncSettings = async (settings) => {
+  try {
+    const db = await getProfilesDB();
+    await db.put('meta', settings, 'sync');
+  } catch (error) {
+    console.error('Failed to save sync settings:', error);
+  }
+};
+
+// Removes a profile's database along with all of its habits and history
+export const deleteProfileData = async (profileId) => {
+  const dbPromise = dbPromises.get(profileId);
+  dbPromises.delete(profileId);
+  try {
+    if (dbPromise) (await dbPromise).close();
+    await deleteDB(getDatabaseName(profileId));
+  } catch (error) {
+    console.error('Failed to delete profile data:', error);
+  }
+};
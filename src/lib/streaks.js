@@ -0,0 +1,100 @@
+import { addDays, getDatesBetween, parseDateKey, startOfDay, toDateKey } from './dates';
+import { getExcuse } from './excusals';
+import { getStartDate, isActiveOn } from './lifecycle';
+import {
+  DEFAULT_WEEK_START,
+  countCompletions,
+  getDayRatio,
+  getPeriodBounds,
+  getSchedule,
+  getStreakUnit,
+  isDueOn,
+  isFrequencySchedule,
+} from './schedule';
+
+// The earliest day that can matter: the start date, or an older logged completion
+const getHistoryStart = (task, dailyCompletion, today) => {
+  const startDate = getStartDate(task);
+  let start = startDate ? parseDateKey(startDate) : startOfDay(today);
+  Object.keys(dailyCompletion).forEach(dateKey => {
+    if (dailyCompletion[dateKey][task.id]) {
+      const date = parseDateKey(dateKey);
+      if (date < start) start = date;
+    }
+  });
+  return start;
+};
+
+// Days in [start, end] the habit could have been done on: active and not excused
+const countAvailableDays = (excusedDays, task, start, end) =>
+  getDatesBetween(start, end).filter(date => isActiveOn(task, date) && !getExcuse(excusedDays, toDateKey(date), task.id)).length;
+
+/**
+ * Walks the whole history of a task and returns
+ * `{ current, longest, longestStart, longestEnd, totalCompletions, unit, reachedOn }`,
+ * where `reachedOn[n - 1]` is the date key on which a streak of n was first reached.
+ *
+ * Streaks count due days (or weeks/months for frequency schedules) whose target was
+ * met; for avoidance habits those are the days without a slip, so `current` is the
+ * days clean. Days that aren't due, excused days and days outside the habit's active
+ * window (before it starts, after it ends, while paused) are neutral. Today, or the current
+ * week/month, only extends a streak once it's met and never breaks one.
+ */
+export const getStreakStats = (task, dailyCompletion, excusedDays = {}, today = new Date(), weekStart = DEFAULT_WEEK_START) => {
+  const schedule = getSchedule(task);
+  const lastDay = startOfDay(today);
+  const firstDay = getHistoryStart(task, dailyCompletion, lastDay);
+  const stats = {
+    current: 0,
+    longest: 0,
+    longestStart: null,
+    longestEnd: null,
+    totalCompletions: 0,
+    unit: getStreakUnit(task),
+    reachedOn: [],
+  };
+  let runStart = null;
+
+  const extendRun = (start, end) => {
+    if (stats.current === 0) runStart = start;
+    stats.current++;
+    if (stats.current > stats.longest) {
+      stats.longest = stats.current;
+      stats.longestStart = toDateKey(runStart);
+      stats.longestEnd = toDateKey(end);
+      stats.reachedOn.push(stats.longestEnd);
+    }
+  };
+
+  const history = getDatesBetween(firstDay, lastDay);
+  stats.totalCompletions = history.filter(date => getDayRatio(dailyCompletion, task, date) >= 1).length;
+
+  if (isFrequencySchedule(schedule)) {
+    let { start, end } = getPeriodBounds(schedule, firstDay, weekStart);
+    while (start <= lastDay) {
+      const required = Math.min(schedule.times, countAvailableDays(excusedDays, task, start, end));
+      const met = countCompletions(dailyCompletion, task, start, end) >= required;
+
+      if (required > 0) {
+        if (met) {
+          extendRun(start, end < lastDay ? end : lastDay);
+        } else if (end < lastDay) {
+          stats.current = 0;
+        }
+      }
+
+      ({ start, end } = getPeriodBounds(schedule, addDays(end, 1), weekStart));
+    }
+    return stats;
+  }
+
+  history.forEach(date => {
+    if (getExcuse(excusedDays, toDateKey(date), task.id) || !isDueOn(task, date, dailyCompletion, weekStart)) return;
+    if (getDayRatio(dailyCompletion, task, date) >= 1) {
+      extendRun(date, date);
+    } else if (date < lastDay) {
+      stats.current = 0;
+    }
+  });
+  return stats;
+};
@@ -0,0 +1,169 @@
+import { diffTrackerData, hasChanges, loadSyncState, saveSyncProgress, saveTrackerChanges } from './storage';
+
+// Optional sync with a self-hosted server (see server/README.md for the API).
+// Every habit and every per-day completion, excusal and note is a record of its
+// own, stamped with when and on which device it last changed. Conflicts are
+// settled per record, newest edit wins, so edits to different habits or days on
+// two devices both survive. Deletions are records too, so they sync like edits.
+
+const DEVICE_ID_KEY = 'daily-progress-tracker-device';
+
+const DAY_RECORD_TYPES = [
+  { type: 'completion', puts: 'putCompletions', deletes: 'deleteCompletions' },
+  { type: 'excusal', puts: 'putExcusals', deletes: 'deleteExcusals' },
+  { type: 'note', puts: 'putNotes', deletes: 'deleteNotes' },
+];
+
+// A random id per browser, used to break timestamp ties the same way everywhere
+export const getDeviceId = () => {
+  try {
+    let id = localStorage.getItem(DEVICE_ID_KEY);
+    if (!id) {
+      id = Math.random().toString(36).slice(2, 12);
+      localStorage.setItem(DEVICE_ID_KEY, id);
+    }
+    return id;
+  } catch {
+    return 'unknown';
+  }
+};
+
+const habitKey = (id) => `habit:${id}`;
+const dayKey = (type, date, taskId) => `${type}:${date}:${taskId}`;
+
+/**
+ * Turns a diff from `diffTrackerData` into sync records
+ * `{ key, type, data, deleted, updatedAt, deviceId }`.
+ */
+export const toSyncRecords = (changes, updatedAt, deviceId) => {
+  const record = (key, type, data, deleted) => ({ key, type, data, deleted, updatedAt, deviceId });
+  return [
+    ...changes.putHabits.map(task => record(habitKey(task.id), 'habit', task, false)),
+    ...changes.deleteHabits.map(id => record(habitKey(id), 'habit', { id }, true)),
+    ...DAY_RECORD_TYPES.flatMap(({ type, puts, deletes }) => [
+      ...changes[puts].map(data => record(dayKey(type, data.date, data.taskId), type, data, false)),
+      ...changes[deletes].map(([date, taskId]) => record(dayKey(type, date, taskId), type, { date, taskId }, true)),
+    ]),
+  ];
+};
+
+/**
+ * Everything in `state` as records dated to the epoch, for a profile's first
+ * sync: they fill in whatever the server lacks but lose to any real edit.
+ */
+export const getSnapshotRecords = (state, deviceId) => {
+  const empty = { tasks: [], dailyCompletion: {}, excusedDays: {}, dayNotes: {} };
+  return toSyncRecords(diffTrackerData(empty, state), 0, deviceId);
+};
+
+// Whether `a` supersedes `b`; the device id settles edits made in the same millisecond
+export const isNewerRecord = (a, b) =>
+  a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+
+/**
+ * The records from the server that should replace local data: not this device's
+ * own, and not older than a local edit still waiting in `pending`.
+ */
+export const getRemoteWinners = (records, pending, deviceId) => {
+  const pendingByKey = new Map(pending.map(record => [record.key, record]));
+  return records.filter(record => {
+    if (record.deviceId === deviceId) return false;
+    const local = pendingByKey.get(record.key);
+    return !local || isNewerRecord(record, local);
+  });
+};
+
+/**
+ * Turns sync records back into the diff shape `saveTrackerChanges` and
+ * `applyTrackerChanges` take. A later record for the same key replaces an earlier one.
+ */
+export const toTrackerChanges = (records) => {
+  const latest = new Map(records.map(record => [record.key, record]));
+  const changes = { putHabits: [], deleteHabits: [] };
+  DAY_RECORD_TYPES.forEach(({ puts, deletes }) => {
+    changes[puts] = [];
+    changes[deletes] = [];
+  });
+  latest.forEach(({ type, data, deleted }) => {
+    if (type === 'habit') {
+      if (deleted) changes.deleteHabits.push(data.id);
+      else changes.putHabits.push(data);
+      return;
+    }
+    const kind = DAY_RECORD_TYPES.find(entry => entry.type === type);
+    if (!kind) return;
+    if (deleted) changes[kind.deletes].push([data.date, data.taskId]);
+    else changes[kind.puts].push(data);
+  });
+  return changes;
+};
+
+/**
+ * A client for the sync server at `baseUrl`. Requests reject with an error
+ * flagged `offline` when the server couldn't be reached at all.
+ */
+export const createSyncClient = (baseUrl, token = '', fetchImpl = (...args) => fetch(...args)) => {
+  const request = async (path, options = {}) => {
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+      });
+    } catch (error) {
+      throw Object.assign(new Error('The sync server could not be reached', { cause: error }), { offline: true });
+    }
+    if (!response.ok) {
+      throw new Error(`The sync server answered ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const profilePath = (profileId) => `/api/profiles/${encodeURIComponent(profileId)}/records`;
+
+  return {
+    // Resolves to `{ rejected }`: the server's copies of records it already had newer versions of
+    push: (profileId, records) =>
+      request(profilePath(profileId), { method: 'POST', body: JSON.stringify({ records }) }),
+    // Resolves to `{ revision, records }`: every record changed after revision `since`
+    pull: (profileId, since) => request(`${profilePath(profileId)}?since=${since}`),
+  };
+};
+
+// Records later in the list replace earlier ones with the same key
+const mergeByKey = (...lists) => [...new Map(lists.flat().map(record => [record.key, record])).values()];
+
+/**
+ * Pushes the profile's queued changes, then pulls everything changed on the
+ * server since the last sync and saves what wins locally. `state` is the
+ * profile's saved data, sent in full on its first sync. Resolves to
+ * `{ status, changes }` instead of throwing: status is 'synced', 'offline' or
+ * 'error', and `changes` is the diff saved locally (null unless synced).
+ */
+export const syncProfile = async (client, profileId, state, deviceId) => {
+  try {
+    const { outbox, revision } = await loadSyncState(profileId);
+    const pending = revision === null ? mergeByKey(getSnapshotRecords(state, deviceId), outbox) : outbox;
+    let rejected = [];
+    if (pending.length > 0) {
+      ({ rejected } = await client.push(profileId, pending));
+      await saveSyncProgress(profileId, outbox);
+    }
+    const pulled = await client.pull(profileId, revision ?? 0);
+    // Edits made while the requests were out stay queued, and beat older server copies
+    const { outbox: stillPending } = await loadSyncState(profileId);
+    const changes = toTrackerChanges(getRemoteWinners([...rejected, ...pulled.records], stillPending, deviceId));
+    if (hasChanges(changes)) {
+      const status = await saveTrackerChanges(changes, profileId);
+      if (status !== 'ready') return { status: 'error', changes: null };
+    }
+    await saveSyncProgress(profileId, [], pulled.revision);
+    return { status: 'synced', changes };
+  } catch (error) {
+    console.error('Sync failed:', error);
+    return { status: error.offline ? 'offline' : 'error', changes: null };
+  }
+};
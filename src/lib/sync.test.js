@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { diffTrackerData } from './storage';
+import { applyTrackerChanges } from './tabSync';
+import { createSyncClient, getRemoteWinners, getSnapshotRecords, toSyncRecords, toTrackerChanges } from './sync';
+import { habit, note } from './testHelpers';
+
+const before = {
+  tasks: [habit(1), habit(2)],
+  dailyCompletion: { '2024-03-01': { 1: true, 2: 3 } },
+  excusedDays: {},
+  dayNotes: { '2024-03-01': { journal: note('Good day', { mood: 4, tags: ['outdoors'] }) } },
+};
+
+const record = (key, updatedAt, deviceId, fields) => ({ key, type: 'completion', deleted: false, updatedAt, deviceId, ...fields });
+
+describe('sync records', () => {
+  it('round-trips a diff, deletions included', () => {
+    const after = {
+      tasks: [habit(1, { name: 'Run' })],
+      dailyCompletion: { '2024-03-01': { 1: true }, '2024-03-02': { 1: true } },
+      excusedDays: { '2024-03-02': { all: 'sick' } },
+      dayNotes: {},
+    };
+    const changes = diffTrackerData(before, after);
+    const records = toSyncRecords(changes, 1000, 'laptop');
+    expect(records.map(entry => entry.key)).toEqual(expect.arrayContaining([
+      'habit:1', 'habit:2', 'completion:2024-03-01:2', 'completion:2024-03-02:1', 'excusal:2024-03-02:all', 'note:2024-03-01:journal',
+    ]));
+    expect(records.find(entry => entry.key === 'habit:2')).toMatchObject({ deleted: true, data: { id: 2 }, updatedAt: 1000, deviceId: 'laptop' });
+    expect(applyTrackerChanges(before, toTrackerChanges(records))).toEqual(after);
+  });
+
+  it('snapshots everything at time zero', () => {
+    const records = getSnapshotRecords(before, 'phone');
+    expect(records).toHaveLength(5);
+    expect(records.every(entry => entry.updatedAt === 0 && !entry.deleted)).toBe(true);
+  });
+
+  it('keeps only the last record per key', () => {
+    const changes = toTrackerChanges([
+      record('completion:2024-03-01:1', 1, 'a', { data: { date: '2024-03-01', taskId: 1, value: true } }),
+      record('completion:2024-03-01:1', 2, 'a', { data: { date: '2024-03-01', taskId: 1 }, deleted: true }),
+    ]);
+    expect(changes.putCompletions).toEqual([]);
+    expect(changes.deleteCompletions).toEqual([['2024-03-01', 1]]);
+  });
+});
+
+describe('getRemoteWinners', () => {
+  const data = { date: '2024-03-01', taskId: 1, value: true };
+
+  it('lets the newest edit of a record win', () => {
+    const pending = [record('completion:2024-03-01:1', 200, 'laptop', { data })];
+    expect(getRemoteWinners([record('completion:2024-03-01:1', 100, 'phone', { data })], pending, 'laptop')).toEqual([]);
+    expect(getRemoteWinners([record('completion:2024-03-01:1', 300, 'phone', { data })], pending, 'laptop')).toHaveLength(1);
+  });
+
+  it('breaks ties by device and skips this device\'s own records', () => {
+    const pending = [record('completion:2024-03-01:1', 0, 'm', { data })];
+    expect(getRemoteWinners([record('completion:2024-03-01:1', 0, 'z', { data })], pending, 'm')).toHaveLength(1);
+    expect(getRemoteWinners([record('completion:2024-03-01:1', 0, 'a', { data })], pending, 'm')).toEqual([]);
+    expect(getRemoteWinners([record('completion:2024-03-02:1', 5, 'm', { data })], [], 'm')).toEqual([]);
+  });
+
+  it('takes records nobody edited here', () => {
+    const remote = [record('completion:2024-03-05:2', 1, 'phone', { data })];
+    expect(getRemoteWinners(remote, [record('completion:2024-03-01:1', 9, 'laptop', { data })], 'laptop')).toEqual(remote);
+  });
+});
+
+describe('createSyncClient', () => {
+  it('calls the records endpoint with the token', async () => {
+    const calls = [];
+    const fetchImpl = async (url, options) => {
+      calls.push({ url, options });
+      return { ok: true, json: async () => ({ revision: 3, records: [] }) };
+    };
+    const client = createSyncClient('http://localhost:8787/', 'secret', fetchImpl);
+    await expect(client.pull('default', 2)).resolves.toEqual({ revision: 3, records: [] });
+    expect(calls[0].url).toBe('http://localhost:8787/api/profiles/default/records?since=2');
+    expect(calls[0].options.headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('tells an unreachable server from a failing one', async () => {
+    const unreachable = createSyncClient('http://localhost:1', '', async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    await expect(unreachable.push('default', [])).rejects.toMatchObject({ offline: true });
+
+    const failing = createSyncClient('http://localhost:1', '', async () => ({ ok: false, status: 500 }));
+    await expect(failing.pull('default', 0)).rejects.toThrow('500');
+  });
+});
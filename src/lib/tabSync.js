@@ -0,0 +1,103 @@
+import { sortByPriority } from './tracker';
+
+// Every tab with the tracker open saves its own changes and tells the others
+// exactly which records it wrote (the diff from `diffTrackerData`). The others
+// apply those records on top of their own state, so edits to different habits
+// or days merge instead of one tab's snapshot overwriting the other's.
+
+const CHANNEL_NAME = 'daily-progress-tracker-sync';
+// Fallback for browsers without BroadcastChannel: the storage event fires in
+// every other tab of the same origin when a key is written
+const STORAGE_KEY = `${CHANNEL_NAME}-message`;
+
+const applyDateMap = (map, puts, deletes) => {
+  if (puts.length === 0 && deletes.length === 0) return map;
+  const next = { ...map };
+  // Only the days that changed get new objects, the rest keep their identity
+  const copied = new Set();
+  const day = (date) => {
+    if (!copied.has(date)) {
+      next[date] = { ...next[date] };
+      copied.add(date);
+    }
+    return next[date];
+  };
+  puts.forEach(({ date, taskId, value }) => {
+    day(date)[taskId] = value;
+  });
+  deletes.forEach(([date, taskId]) => {
+    if (next[date]?.[taskId] === undefined) return;
+    delete day(date)[taskId];
+    if (Object.keys(next[date]).length === 0) delete next[date];
+  });
+  return next;
+};
+
+/**
+ * Applies a diff produced by `diffTrackerData` to `{ tasks, dailyCompletion,
+ * excusedDays, dayNotes }`. Habits and days the diff doesn't mention are left
+ * untouched, so a later diff against the result only sees local edits.
+ */
+export const applyTrackerChanges = (state, changes) => {
+  let { tasks } = state;
+  if (changes.putHabits.length > 0 || changes.deleteHabits.length > 0) {
+    const deleted = new Set(changes.deleteHabits);
+    const updated = new Map(changes.putHabits.map(task => [task.id, task]));
+    tasks = tasks
+      .filter(task => !deleted.has(task.id))
+      .map(task => {
+        const update = updated.get(task.id);
+        updated.delete(task.id);
+        return update || task;
+      });
+    tasks = sortByPriority([...tasks, ...updated.values()]);
+  }
+  return {
+    ...state,
+    tasks,
+    dailyCompletion: applyDateMap(state.dailyCompletion, changes.putCompletions, changes.deleteCompletions),
+    excusedDays: applyDateMap(state.excusedDays, changes.putExcusals, changes.deleteExcusals),
+    dayNotes: applyDateMap(state.dayNotes, changes.putNotes, changes.deleteNotes),
+  };
+};
+
+/**
+ * Opens the channel to the other tabs. `onMessage` gets whatever they `post`,
+ * never this tab's own messages. Returns `{ post, close }`.
+ */
+export const openTabChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  if (typeof window === 'undefined' || !window.localStorage) {
+    return { post: () => {}, close: () => {} };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.error('Ignoring malformed sync message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => {
+      try {
+        // The timestamp makes repeated messages distinct writes, so each one fires
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ message, sentAt: Date.now() }));
+        window.localStorage.removeItem(STORAGE_KEY);
+      } catch (error) {
+        console.error('Failed to notify other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { diffTrackerData } from './storage';
+import { applyTrackerChanges } from './tabSync';
+import { habit, note } from './testHelpers';
+
+const base = {
+  tasks: [habit(1), habit(2)],
+  dailyCompletion: { '2024-03-01': { 1: true, 2: true }, '2024-03-02': { 1: true } },
+  excusedDays: {},
+  dayNotes: { '2024-03-01': { 1: note('Early run') } },
+};
+
+describe('applyTrackerChanges', () => {
+  it('reproduces the state the diff was taken from', () => {
+    const next = {
+      tasks: [habit(1, { name: 'Run' }), habit(3, { priority: 'high' })],
+      dailyCompletion: { '2024-03-01': { 1: true }, '2024-03-03': { 3: true } },
+      excusedDays: { '2024-03-02': { all: 'sick' } },
+      dayNotes: {},
+    };
+    const applied = applyTrackerChanges(base, diffTrackerData(base, next));
+    expect(applied).toEqual({ ...next, tasks: [habit(3, { priority: 'high' }), habit(1, { name: 'Run' })] });
+  });
+
+  it('merges edits other tabs made to different days and habits', () => {
+    const here = {
+      ...base,
+      tasks: [habit(1), habit(2, { name: 'Stretch' })],
+      dailyCompletion: { ...base.dailyCompletion, '2024-03-02': { 1: true, 2: true } },
+    };
+    const elsewhere = {
+      ...base,
+      dailyCompletion: { ...base.dailyCompletion, '2024-03-01': { 1: true } },
+      dayNotes: { '2024-03-01': { 1: note('Early run'), 2: note('Sore') } },
+    };
+    const merged = applyTrackerChanges(here, diffTrackerData(base, elsewhere));
+    expect(merged.tasks[1].name).toBe('Stretch');
+    expect(merged.dailyCompletion).toEqual({ '2024-03-01': { 1: true }, '2024-03-02': { 1: true, 2: true } });
+    expect(merged.dayNotes['2024-03-01']).toEqual({ 1: note('Early run'), 2: note('Sore') });
+  });
+
+  it('keeps untouched habits and days, so only local edits are left to save', () => {
+    const elsewhere = { ...base, dailyCompletion: { ...base.dailyCompletion, '2024-03-02': {} } };
+    const applied = applyTrackerChanges(base, diffTrackerData(base, elsewhere));
+    expect(applied.tasks).toBe(base.tasks);
+    expect(applied.dailyCompletion['2024-03-01']).toBe(base.dailyCompletion['2024-03-01']);
+    expect(applied.dailyCompletion).not.toHaveProperty('2024-03-02');
+    expect(applied.dayNotes).toBe(base.dayNotes);
+
+    const local = { ...applied, dayNotes: { '2024-03-04': { 2: note('Rest day') } } };
+    const changes = diffTrackerData(applied, local);
+    expect(changes.putCompletions).toEqual([]);
+    expect(changes.deleteCompletions).toEqual([]);
+    expect(changes.putNotes).toEqual([{ date: '2024-03-04', taskId: 2, value: note('Rest day') }]);
+  });
+});
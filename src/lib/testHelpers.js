@@ -0,0 +1,7 @@
+// Record builders shared by the *.test.js files, shaped like the ones the app stores
+
+// A habit that has existed since the start of 2024
+export const habit = (id, fields = {}) => ({ id, name: `Habit ${id}`, priority: 'medium', startDate: '2024-01-01', ...fields });
+
+// A note or journal entry without a mood or tags
+export const note = (text, fields = {}) => ({ text, mood: null, tags: [], ...fields });
@@ -0,0 +1,68 @@
+// The color theme is a preference of the device rather than of a profile, so it
+// lives in localStorage, where it can be read before the first render.
+
+export const THEME_STORAGE_KEY = 'daily-progress-tracker-theme';
+
+export const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'system', label: 'System' },
+];
+
+export const DEFAULT_THEME = 'system';
+
+export const PRIORITY_COLORS = {
+  high: '#FF4757',
+  medium: '#FFA502',
+  low: '#2ED573',
+};
+
+// Recharts and inline styles can't use Tailwind classes, so they take these
+export const CHART_THEMES = {
+  light: {
+    accent: '#8B5CF6',
+    grid: '#E5E7EB',
+    axis: '#4B5563',
+    mutedAxis: '#9CA3AF',
+    tooltip: { backgroundColor: '#FFFFFF', border: '1px solid #E5E7EB', color: '#1F2937' },
+  },
+  dark: {
+    accent: '#A78BFA',
+    grid: '#374151',
+    axis: '#D1D5DB',
+    mutedAxis: '#9CA3AF',
+    tooltip: { backgroundColor: '#1F2937', border: '1px solid #374151', color: '#F3F4F6' },
+  },
+};
+
+export const isValidTheme = (theme) => THEMES.some(option => option.value === theme);
+
+// 'light' or 'dark'; 'system' follows the operating system
+export const resolveTheme = (theme, prefersDark) => (theme === 'system' ? (prefersDark ? 'dark' : 'light') : theme);
+
+export const prefersDarkScheme = () =>
+  typeof window !== 'undefined' && Boolean(window.matchMedia?.('(prefers-color-scheme: dark)').matches);
+
+export const loadTheme = () => {
+  try {
+    const theme = localStorage.getItem(THEME_STORAGE_KEY);
+    return isValidTheme(theme) ? theme : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+};
+
+export const saveTheme = (theme) => {
+  try {
+    localStorage.setItem(THEME_STORAGE_KEY, theme);
+  } catch (error) {
+    console.error('Failed to save theme:', error);
+  }
+};
+
+// Switches the Tailwind palette variables (see tailwind.config.js)
+export const applyTheme = (resolvedTheme) => {
+  document.documentElement.classList.toggle('dark', resolvedTheme === 'dark');
+};
+
+export const isValidColor = (color) => typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
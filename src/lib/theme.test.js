@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { getIconComponent } from '../components/HabitIcon';
+import { HABIT_ICONS, isValidHabitIcon } from './habitIcons';
+import { isValidColor, resolveTheme } from './theme';
+
+describe('resolveTheme', () => {
+  it('follows the system only in system mode', () => {
+    expect(resolveTheme('system', true)).toBe('dark');
+    expect(resolveTheme('system', false)).toBe('light');
+    expect(resolveTheme('light', true)).toBe('light');
+    expect(resolveTheme('dark', false)).toBe('dark');
+  });
+});
+
+describe('habit appearance', () => {
+  it('accepts six-digit hex colors only', () => {
+    expect(isValidColor('#8B5CF6')).toBe(true);
+    expect(isValidColor('#8b5cf6')).toBe(true);
+    expect(isValidColor('#fff')).toBe(false);
+    expect(isValidColor('red')).toBe(false);
+  });
+
+  it('has a component for every icon a habit can pick', () => {
+    expect(HABIT_ICONS.filter(name => !getIconComponent(name))).toEqual([]);
+    expect(isValidHabitIcon('dumbbell')).toBe(true);
+    expect(isValidHabitIcon('not-an-icon')).toBe(false);
+  });
+});
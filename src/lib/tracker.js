@@ -0,0 +1,323 @@
+import { isAvoidance, isSuccess } from './avoidance';
+import { getCategories, getCategory } from './categories';
+import { DEFAULT_DAY_START_HOUR, addDays, getDatesBetween, getLogicalToday, parseDateKey, toDateKey } from './dates';
+import { getExcuse, setExcuse } from './excusals';
+import { getPauseOn } from './lifecycle';
+import { DEFAULT_MEASUREMENT, getMeasurement, getNumericValue, isGoalMet, isQuantitative } from './measurement';
+import { setNote } from './notes';
+import { DEFAULT_ROUTINE } from './routines';
+import { getCalendarMonths, getCalendarWeeks, resolveRange } from './ranges';
+import { DEFAULT_SCHEDULE, DEFAULT_WEEK_START, getSchedule, getScheduleProgress, isDueOn, isFrequencySchedule } from './schedule';
+import { getStreakStats } from './streaks';
+
+// The tracker core: habit mutations and stats as plain functions of the tracker
+// state `{ tasks, dailyCompletion, excusedDays, dayNotes }`, free of React so
+// scripts and tests can use it too. Mutations never modify the state; they return
+// only the parts they changed, ready to merge or hand to the undo history.
+// Anything that needs the current time takes a `clock`, a function returning a Date.
+
+export const systemClock = () => new Date();
+
+export const TASK_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'];
+
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Habits the user hasn't dragged into place yet go after the ones they have
+const getOrder = (task) => task.order ?? Number.MAX_SAFE_INTEGER;
+
+// High priority first, then each tier in its manual order; the sort is stable,
+// so habits that were never reordered keep their relative order
+export const sortByPriority = (tasks) =>
+  [...tasks].sort((a, b) => PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority] || getOrder(a) - getOrder(b));
+
+// Local midnight of the logical day, which starts at `dayStartHour`
+export const getToday = (clock = systemClock, dayStartHour = DEFAULT_DAY_START_HOUR) =>
+  getLogicalToday(clock(), dayStartHour);
+
+export const isArchived = (task) => Boolean(task.archivedAt);
+
+export const getActiveTasks = (tasks) => tasks.filter(task => !isArchived(task));
+
+// Mutations
+
+// Ids are creation timestamps, bumped when a clock repeats or runs behind an existing id
+const nextTaskId = (tasks, now) =>
+  Math.max(now.getTime(), ...tasks.map(task => (typeof task.id === 'number' ? task.id + 1 : 0)));
+
+// Avoidance habits log plain slips on fixed days, so they drop quotas and measurements
+const getKindFields = (task, kind) => {
+  if (kind !== 'avoid') return { kind: undefined };
+  return {
+    kind,
+    measurement: DEFAULT_MEASUREMENT,
+    schedule: isFrequencySchedule(getSchedule(task)) ? DEFAULT_SCHEDULE : getSchedule(task),
+  };
+};
+
+/**
+ * Adds a habit built from `{ name, kind?, priority?, schedule?, measurement?, category?, tags?, routine?, color?, icon?, startDate?, endDate? }`.
+ * The start date defaults to the clock's calendar day; pass the logical day when it differs.
+ * Returns `{ tasks }`, still sorted by priority.
+ */
+export const addHabit = (state, fields, clock = systemClock) => {
+  const now = clock();
+  const task = {
+    id: nextTaskId(state.tasks, now),
+    name: fields.name.trim(),
+    color: fields.color || TASK_COLORS[state.tasks.length % TASK_COLORS.length],
+    priority: fields.priority || 'medium',
+    schedule: fields.schedule || DEFAULT_SCHEDULE,
+    measurement: fields.measurement || DEFAULT_MEASUREMENT,
+    ...(fields.kind === 'avoid' && getKindFields(fields, 'avoid')),
+    ...(fields.category && { category: fields.category }),
+    ...(fields.tags?.length > 0 && { tags: fields.tags }),
+    ...(fields.routine && fields.routine !== DEFAULT_ROUTINE && { routine: fields.routine }),
+    ...(fields.icon && { icon: fields.icon }),
+    startDate: fields.startDate || toDateKey(now),
+    ...(fields.endDate && { endDate: fields.endDate }),
+    completedDays: 0,
+    streak: 0,
+    createdAt: now.toISOString(),
+  };
+  return { tasks: sortByPriority([...state.tasks, task]) };
+};
+
+// A habit moved to another priority tier goes to the end of that tier
+export const updateHabit = (state, taskId, updates) => ({
+  tasks: sortByPriority(state.tasks.map(task => {
+    if (task.id !== taskId) return task;
+    if (!updates.priority || updates.priority === task.priority) return { ...task, ...updates };
+    const { order, ...rest } = task;
+    return { ...rest, ...updates };
+  })),
+});
+
+/**
+ * Moves a habit in front of `beforeId`, or to the end of its tier when `beforeId` is
+ * null, and renumbers its tier. Habits only move within their priority tier, so a
+ * `beforeId` from another tier changes nothing. `updates` (e.g. a new routine) are
+ * applied to the moved habit.
+ */
+export const moveHabit = (state, taskId, beforeId, updates = {}) => {
+  const moving = state.tasks.find(task => task.id === taskId);
+  const before = state.tasks.find(task => task.id === beforeId);
+  if (!moving || taskId === beforeId || (before && before.priority !== moving.priority)) return { tasks: state.tasks };
+
+  const tier = state.tasks.filter(task => task.priority === moving.priority && task.id !== taskId);
+  const index = before ? tier.indexOf(before) : tier.length;
+  tier.splice(index, 0, { ...moving, ...updates });
+  const orders = new Map(tier.map((task, order) => [task.id, order]));
+  return {
+    tasks: sortByPriority(state.tasks.map(task => {
+      if (task.id === taskId) return { ...moving, ...updates, order: orders.get(task.id) };
+      return orders.has(task.id) && task.order !== orders.get(task.id) ? { ...task, order: orders.get(task.id) } : task;
+    })),
+  };
+};
+
+// Hides the habit from the active list and stats but keeps its history up to
+// `date`, the logical day (a date key) it was archived on
+export const archiveHabit = (state, taskId, date, clock = systemClock) => ({
+  tasks: state.tasks.map(task => (task.id === taskId ? { ...task, archivedAt: clock().toISOString(), archivedOn: date } : task)),
+});
+
+export const restoreHabit = (state, taskId) => ({
+  tasks: state.tasks.map(task => {
+    if (task.id !== taskId) return task;
+    const { archivedAt, archivedOn, ...rest } = task;
+    return rest;
+  }),
+});
+
+// Pauses the habit from `date` (a date key) until it's resumed
+export const pauseHabit = (state, taskId, date) => ({
+  tasks: state.tasks.map(task => {
+    if (task.id !== taskId || getPauseOn(task, date)) return task;
+    return { ...task, pauses: [...(task.pauses || []), { start: date, end: null }] };
+  }),
+});
+
+// Ends the ongoing pause the day before `date`; a pause that hadn't begun yet is dropped
+export const resumeHabit = (state, taskId, date) => ({
+  tasks: state.tasks.map(task => {
+    if (task.id !== taskId || !task.pauses?.some(pause => !pause.end)) return task;
+    const lastPausedDay = toDateKey(addDays(parseDateKey(date), -1));
+    const pauses = task.pauses
+      .map(pause => (pause.end ? pause : { ...pause, end: lastPausedDay }))
+      .filter(pause => pause.start <= pause.end);
+    return { ...task, pauses };
+  }),
+});
+
+// Switches between building and breaking a habit; its logged days stay as they are
+export const setHabitKind = (state, taskId, kind) => ({
+  tasks: state.tasks.map(task => (task.id === taskId ? { ...task, ...getKindFields(task, kind) } : task)),
+});
+
+// Deletes the habit and every completion, excusal and note recorded for it
+export const deleteHabit = (state, taskId) => {
+  const dailyCompletion = { ...state.dailyCompletion };
+  Object.keys(dailyCompletion).forEach(date => {
+    if (taskId in dailyCompletion[date]) {
+      const { [taskId]: removed, ...rest } = dailyCompletion[date];
+      dailyCompletion[date] = rest;
+    }
+  });
+  let dayNotes = state.dayNotes;
+  Object.keys(dayNotes).filter(date => dayNotes[date][taskId]).forEach(date => {
+    dayNotes = setNote(dayNotes, date, taskId, null);
+  });
+  let excusedDays = state.excusedDays;
+  Object.keys(excusedDays).filter(date => excusedDays[date][taskId]).forEach(date => {
+    excusedDays = setExcuse(excusedDays, date, taskId, null);
+  });
+  return { tasks: state.tasks.filter(task => task.id !== taskId), dailyCompletion, excusedDays, dayNotes };
+};
+
+// Stores the raw value for one habit on one day: a boolean, or a number for quantitative habits
+export const recordCompletion = (state, taskId, date, value) => ({
+  dailyCompletion: {
+    ...state.dailyCompletion,
+    [date]: { ...(state.dailyCompletion[date] || {}), [taskId]: value },
+  },
+});
+
+export const toggleCompletion = (state, taskId, date) =>
+  recordCompletion(state, taskId, date, !state.dailyCompletion[date]?.[taskId]);
+
+// Quantitative habits flip between their target and nothing
+export const toggleGoal = (state, task, date) => {
+  if (!isQuantitative(task)) return toggleCompletion(state, task.id, date);
+  const value = state.dailyCompletion[date]?.[task.id];
+  return recordCompletion(state, task.id, date, isGoalMet(task, value) ? 0 : getMeasurement(task).target);
+};
+
+// Stats
+
+// Percentage of due occurrences completed on `dates` while the habit was active, or null if none were due
+export const getCompletionRate = (state, task, dates, weekStart = DEFAULT_WEEK_START) => {
+  const { due, done } = getScheduleProgress(task, dates, state.dailyCompletion, state.excusedDays, weekStart);
+  return due > 0 ? Math.round((done / due) * 100) : null;
+};
+
+// `{ task, rate }` for each habit that had anything due
+export const getRatedTasks = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) =>
+  tasks
+    .map(task => ({ task, rate: getCompletionRate(state, task, dates, weekStart) }))
+    .filter(({ rate }) => rate !== null);
+
+// The mean of `{ rate }` entries from getRatedTasks, or null when there are none
+export const averageRate = (ratedTasks) =>
+  ratedTasks.length > 0 ? Math.round(ratedTasks.reduce((sum, { rate }) => sum + rate, 0) / ratedTasks.length) : null;
+
+// The mean of the habits' completion rates, 0 when nothing was due
+export const getOverallScore = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) =>
+  averageRate(getRatedTasks(state, tasks, dates, weekStart)) ?? 0;
+
+// `{ category, count, rate }` per category, rate being null when nothing in it was due
+export const getCategoryRates = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) => {
+  const ratedTasks = getRatedTasks(state, tasks, dates, weekStart);
+  return getCategories(tasks).map(category => ({
+    category,
+    count: tasks.filter(task => getCategory(task) === category).length,
+    rate: averageRate(ratedTasks.filter(({ task }) => getCategory(task) === category)),
+  }));
+};
+
+/**
+ * `{ due, done, rate }` for all due occurrences of `tasks` on `dates` pooled
+ * together, so busier habits weigh more than in the overall score. `rate` is a
+ * percentage, or null when nothing was due.
+ */
+export const getPooledProgress = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) => {
+  let due = 0;
+  let done = 0;
+  tasks.forEach(task => {
+    const progress = getScheduleProgress(task, dates, state.dailyCompletion, state.excusedDays, weekStart);
+    due += progress.due;
+    done += progress.done;
+  });
+  return { due, done, rate: due > 0 ? Math.round((done / due) * 100) : null };
+};
+
+// The pooled rate the summaries show, 0 when nothing was due
+export const getSummaryCompletion = (state, tasks, dates, weekStart = DEFAULT_WEEK_START) =>
+  getPooledProgress(state, tasks, dates, weekStart).rate ?? 0;
+
+// How far `current` moved from `previous`, in points for rates and days for streaks; null when either is missing
+export const getChange = (current, previous) =>
+  current === null || current === undefined || previous === null || previous === undefined ? null : Math.round(current - previous);
+
+export const getValueTotal = (state, task, dates) =>
+  dates.reduce((sum, date) => sum + getNumericValue(state.dailyCompletion[toDateKey(date)]?.[task.id]), 0);
+
+/**
+ * `{ done, total }` for today. Habits done today count even when they weren't due,
+ * so done never exceeds total; avoidance habits are done while there's no slip.
+ */
+export const getTodayProgress = (state, tasks, today, weekStart = DEFAULT_WEEK_START) => {
+  const todayKey = toDateKey(today);
+  const isCounted = (task) => isDueOn(task, today, state.dailyCompletion, weekStart) && !getExcuse(state.excusedDays, todayKey, task.id);
+  const isDone = (task) => isAvoidance(task)
+    ? isCounted(task) && isSuccess(task, state.dailyCompletion[todayKey]?.[task.id])
+    : isGoalMet(task, state.dailyCompletion[todayKey]?.[task.id]);
+  return {
+    done: tasks.filter(isDone).length,
+    total: tasks.filter(task => isDone(task) || isCounted(task)).length,
+  };
+};
+
+export const getStreak = (state, task, today, weekStart = DEFAULT_WEEK_START) =>
+  getStreakStats(task, state.dailyCompletion, state.excusedDays, today, weekStart);
+
+// The longest run among `tasks`, with the habit that had it, from each habit's streak stats
+export const findLongestStreak = (tasks, getStats) =>
+  tasks.reduce((best, task) => {
+    const stats = getStats(task);
+    return stats.longest > best.longest ? { ...stats, task } : best;
+  }, { longest: 0, unit: 'day', task: null });
+
+// The longest run any of the habits has ever had, with the habit that had it
+export const getLongestStreak = (state, tasks, today, weekStart = DEFAULT_WEEK_START) =>
+  findLongestStreak(tasks, task => getStreak(state, task, today, weekStart));
+
+const summarizePeriods = (state, tasks, periods, weekStart) =>
+  periods.map(period => {
+    const dates = getDatesBetween(period.start, period.end);
+    return { ...period, dates, completion: getSummaryCompletion(state, tasks, dates, weekStart) };
+  });
+
+// `{ label, start, end, dates, completion }` for `count` calendar weeks ending with the week of `endDate`
+export const getWeeklySummary = (state, tasks, count, endDate, today, weekStart = DEFAULT_WEEK_START) =>
+  summarizePeriods(state, tasks, getCalendarWeeks(count, endDate, weekStart, today), weekStart);
+
+// Same as getWeeklySummary, by calendar month
+export const getMonthlySummary = (state, tasks, count, endDate, today, weekStart = DEFAULT_WEEK_START) =>
+  summarizePeriods(state, tasks, getCalendarMonths(count, endDate, today), weekStart);
+
+/**
+ * Everything the dashboard headline shows for a saved range (see ranges.js), for the
+ * active habits unless `tasks` is given.
+ */
+export const getRangeStats = (state, {
+  range,
+  tasks = getActiveTasks(state.tasks),
+  weekStart = DEFAULT_WEEK_START,
+  dayStartHour = DEFAULT_DAY_START_HOUR,
+  clock = systemClock,
+}) => {
+  const today = getToday(clock, dayStartHour);
+  const { start, end } = resolveRange(range, weekStart, today);
+  const dates = getDatesBetween(start, end);
+  return {
+    today,
+    start,
+    end,
+    dates,
+    rates: getRatedTasks(state, tasks, dates, weekStart),
+    overallScore: getOverallScore(state, tasks, dates, weekStart),
+    completion: getSummaryCompletion(state, tasks, dates, weekStart),
+    todayProgress: getTodayProgress(state, tasks, today, weekStart),
+    longestStreak: getLongestStreak(state, tasks, today, weekStart),
+  };
+};
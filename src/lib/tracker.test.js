@@ -0,0 +1,462 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { toDateKey } from './dates';
+import { getEndDate } from './lifecycle';
+import { getPreviousPeriod } from './ranges';
+import {
+  addHabit,
+  archiveHabit,
+  deleteHabit,
+  getActiveTasks,
+  getChange,
+  getCompletionRate,
+  getMonthlySummary,
+  getOverallScore,
+  getPooledProgress,
+  getRangeStats,
+  getStreak,
+  getSummaryCompletion,
+  getToday,
+  getWeeklySummary,
+  moveHabit,
+  pauseHabit,
+  recordCompletion,
+  restoreHabit,
+  resumeHabit,
+  setHabitKind,
+  sortByPriority,
+  toggleCompletion,
+  toggleGoal,
+  updateHabit,
+} from './tracker';
+
+const emptyState = () => ({ tasks: [], dailyCompletion: {}, excusedDays: {}, dayNotes: {} });
+
+// Date-time strings without a zone are local time, so "now" reads the same in every zone
+const clockAt = (localTime) => () => new Date(localTime);
+
+const apply = (state, changes) => ({ ...state, ...changes });
+
+const withHabit = (fields, createdAt = '2024-01-01T08:00:00') =>
+  apply(emptyState(), addHabit(emptyState(), { name: 'Read', ...fields }, clockAt(createdAt)));
+
+const complete = (state, taskId, dates) =>
+  dates.reduce((current, date) => apply(current, recordCompletion(current, taskId, date, true)), state);
+
+// Node picks up TZ changes at runtime, so each block can run in its own zone
+const useTimeZone = (timeZone) => {
+  let previous;
+  beforeAll(() => {
+    previous = process.env.TZ;
+    process.env.TZ = timeZone;
+  });
+  afterAll(() => {
+    if (previous === undefined) delete process.env.TZ;
+    else process.env.TZ = previous;
+  });
+};
+
+describe('mutations', () => {
+  it('adds a habit with its id and createdAt from the clock', () => {
+    const { tasks } = addHabit(emptyState(), { name: '  Stretch ', priority: 'low' }, clockAt('2024-05-01T09:30:00'));
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({
+      id: new Date('2024-05-01T09:30:00').getTime(),
+      name: 'Stretch',
+      priority: 'low',
+      schedule: { type: 'daily' },
+      measurement: { type: 'checkbox' },
+      createdAt: new Date('2024-05-01T09:30:00').toISOString(),
+    });
+    expect(tasks[0]).not.toHaveProperty('category');
+  });
+
+  it('keeps ids unique when the clock does not move', () => {
+    const clock = clockAt('2024-05-01T09:30:00');
+    let state = emptyState();
+    state = apply(state, addHabit(state, { name: 'A' }, clock));
+    state = apply(state, addHabit(state, { name: 'B' }, clock));
+    expect(new Set(state.tasks.map(task => task.id)).size).toBe(2);
+  });
+
+  it('keeps habits sorted by priority, stable within a tier', () => {
+    const tasks = [
+      { id: 1, priority: 'low' },
+      { id: 2, priority: 'high' },
+      { id: 3, priority: 'medium' },
+      { id: 4, priority: 'high' },
+    ];
+    expect(sortByPriority(tasks).map(task => task.id)).toEqual([2, 4, 3, 1]);
+
+    const state = { ...emptyState(), tasks: sortByPriority(tasks) };
+    expect(updateHabit(state, 1, { priority: 'high' }).tasks.map(task => task.id)).toEqual([2, 4, 1, 3]);
+  });
+
+  it('puts manually ordered habits first within their tier', () => {
+    const tasks = [
+      { id: 1, priority: 'high' },
+      { id: 2, priority: 'high', order: 1 },
+      { id: 3, priority: 'low', order: 0 },
+      { id: 4, priority: 'high', order: 0 },
+    ];
+    expect(sortByPriority(tasks).map(task => task.id)).toEqual([4, 2, 1, 3]);
+  });
+
+  it('moves a habit within its tier and renumbers the tier', () => {
+    const tasks = [
+      { id: 1, priority: 'high' },
+      { id: 2, priority: 'high' },
+      { id: 3, priority: 'high' },
+      { id: 4, priority: 'low' },
+    ];
+    const state = { ...emptyState(), tasks };
+    const moved = moveHabit(state, 3, 1).tasks;
+    expect(moved.map(task => task.id)).toEqual([3, 1, 2, 4]);
+    expect(moved.map(task => task.order)).toEqual([0, 1, 2, undefined]);
+    expect(moved[3]).toBe(tasks[3]);
+
+    expect(moveHabit(state, 1, null).tasks.map(task => task.id)).toEqual([2, 3, 1, 4]);
+    expect(moveHabit(state, 1, 3, { routine: 'evening' }).tasks[1]).toMatchObject({ id: 1, routine: 'evening' });
+  });
+
+  it('refuses to move a habit into another priority tier', () => {
+    const state = { ...emptyState(), tasks: [{ id: 1, priority: 'high' }, { id: 2, priority: 'low' }] };
+    expect(moveHabit(state, 2, 1).tasks).toBe(state.tasks);
+  });
+
+  it('sends a habit to the end of its new tier when its priority changes', () => {
+    const tasks = [{ id: 1, priority: 'high', order: 0 }, { id: 2, priority: 'low', order: 0 }, { id: 3, priority: 'low', order: 1 }];
+    const updated = updateHabit({ ...emptyState(), tasks }, 1, { priority: 'low' }).tasks;
+    expect(updated.map(task => task.id)).toEqual([2, 3, 1]);
+    expect(updated[2]).not.toHaveProperty('order');
+  });
+
+  it('archives with the clock time and restores', () => {
+    const state = withHabit({});
+    const id = state.tasks[0].id;
+    const archived = apply(state, archiveHabit(state, id, '2024-02-10', clockAt('2024-02-10T18:00:00')));
+    expect(archived.tasks[0].archivedAt).toBe(new Date('2024-02-10T18:00:00').toISOString());
+    expect(getActiveTasks(archived.tasks)).toEqual([]);
+
+    const restored = apply(archived, restoreHabit(archived, id));
+    expect(restored.tasks[0]).not.toHaveProperty('archivedAt');
+    expect(restored.tasks[0]).not.toHaveProperty('archivedOn');
+  });
+
+  it('ends an archived habit on the logical day, not the calendar one', () => {
+    const state = withHabit({});
+    const id = state.tasks[0].id;
+    // Archived at 2am with the day ending at 4am: that still belongs to February 9
+    const archived = apply(state, archiveHabit(state, id, '2024-02-09', clockAt('2024-02-10T02:00:00')));
+    expect(getEndDate(archived.tasks[0])).toBe('2024-02-09');
+    expect(getEndDate({ archivedAt: new Date('2024-02-10T02:00:00').toISOString() })).toBe('2024-02-10');
+  });
+
+  it('deletes a habit with its completions and notes, leaving others alone', () => {
+    let state = withHabit({});
+    state = apply(state, addHabit(state, { name: 'Walk' }, clockAt('2024-01-02T08:00:00')));
+    const [read, walk] = state.tasks;
+    state = complete(state, read.id, ['2024-01-05']);
+    state = complete(state, walk.id, ['2024-01-05']);
+    state = { ...state, dayNotes: { '2024-01-05': { [read.id]: { text: 'Great book' }, journal: { text: 'Busy day' } } } };
+
+    const next = apply(state, deleteHabit(state, read.id));
+    expect(next.tasks.map(task => task.id)).toEqual([walk.id]);
+    expect(next.dailyCompletion['2024-01-05']).toEqual({ [walk.id]: true });
+    expect(next.dayNotes['2024-01-05']).toEqual({ journal: { text: 'Busy day' } });
+  });
+
+  it("deletes a habit's excused days but keeps whole-day and other habits' excusals", () => {
+    let state = withHabit({});
+    state = apply(state, addHabit(state, { name: 'Walk' }, clockAt('2024-01-02T08:00:00')));
+    const [read, walk] = state.tasks;
+    state = {
+      ...state,
+      excusedDays: {
+        '2024-01-05': { [read.id]: 'sick' },
+        '2024-01-06': { [read.id]: 'vacation', [walk.id]: 'vacation' },
+        '2024-01-07': { all: 'skip' },
+      },
+    };
+
+    const next = apply(state, deleteHabit(state, read.id));
+    expect(next.excusedDays).toEqual({ '2024-01-06': { [walk.id]: 'vacation' }, '2024-01-07': { all: 'skip' } });
+  });
+
+  it('never modifies the state it is given', () => {
+    const state = withHabit({});
+    const id = state.tasks[0].id;
+    const before = JSON.stringify(state);
+    toggleCompletion(state, id, '2024-01-03');
+    deleteHabit(state, id);
+    updateHabit(state, id, { name: 'Other' });
+    expect(JSON.stringify(state)).toBe(before);
+  });
+
+  it('toggles quantitative habits between their target and nothing', () => {
+    const state = withHabit({ measurement: { type: 'count', target: 8, unit: 'glasses' } });
+    const task = state.tasks[0];
+    const partial = apply(state, recordCompletion(state, task.id, '2024-01-03', 5));
+    const met = apply(partial, toggleGoal(partial, task, '2024-01-03'));
+    expect(met.dailyCompletion['2024-01-03'][task.id]).toBe(8);
+    const cleared = apply(met, toggleGoal(met, task, '2024-01-03'));
+    expect(cleared.dailyCompletion['2024-01-03'][task.id]).toBe(0);
+  });
+});
+
+describe('clock', () => {
+  it('uses the injected clock for today', () => {
+    expect(toDateKey(getToday(clockAt('2024-07-04T15:00:00')))).toBe('2024-07-04');
+  });
+
+  it('keeps yesterday as today until the day start hour', () => {
+    const clock = clockAt('2024-03-01T02:30:00');
+    expect(toDateKey(getToday(clock, 4))).toBe('2024-02-29');
+    expect(toDateKey(getToday(clock, 0))).toBe('2024-03-01');
+  });
+});
+
+describe('empty histories', () => {
+  it('reports zeroes for a tracker with no habits', () => {
+    const stats = getRangeStats(emptyState(), { range: { preset: 'last30' }, clock: clockAt('2024-06-15T12:00:00') });
+    expect(stats.dates).toHaveLength(30);
+    expect(stats.rates).toEqual([]);
+    expect(stats.overallScore).toBe(0);
+    expect(stats.completion).toBe(0);
+    expect(stats.todayProgress).toEqual({ done: 0, total: 0 });
+    expect(stats.longestStreak).toEqual({ longest: 0, unit: 'day', task: null });
+  });
+
+  it('rates a habit with no completions at 0% with no streak', () => {
+    const state = withHabit({}, '2024-06-01T08:00:00');
+    const stats = getRangeStats(state, { range: { preset: 'last7' }, clock: clockAt('2024-06-15T12:00:00') });
+    expect(stats.rates.map(({ rate }) => rate)).toEqual([0]);
+    expect(stats.todayProgress).toEqual({ done: 0, total: 1 });
+    expect(getStreak(state, state.tasks[0], stats.today)).toMatchObject({ current: 0, longest: 0, totalCompletions: 0 });
+  });
+
+  it('leaves out habits with nothing due instead of counting them as 0%', () => {
+    const state = withHabit({ schedule: { type: 'weekdays', days: [6] } });
+    // 2024-06-10 is a Monday and 2024-06-14 a Friday
+    expect(getCompletionRate(state, state.tasks[0], [new Date(2024, 5, 10), new Date(2024, 5, 14)])).toBeNull();
+  });
+
+  it('ignores archived habits unless asked for them', () => {
+    let state = withHabit({});
+    state = apply(state, archiveHabit(state, state.tasks[0].id, clockAt('2024-01-10T08:00:00')));
+    const stats = getRangeStats(state, { range: { preset: 'last7' }, clock: clockAt('2024-01-20T12:00:00') });
+    expect(stats.rates).toEqual([]);
+    expect(stats.todayProgress.total).toBe(0);
+  });
+});
+
+describe('lifecycle', () => {
+  const dates = (from, to) => getRangeStats(emptyState(), {
+    range: { preset: 'custom', start: from, end: to },
+    clock: clockAt(`${to}T12:00:00`),
+  }).dates;
+
+  it('rates a new habit only from its start date', () => {
+    let state = withHabit({}, '2024-06-12T08:00:00');
+    state = complete(state, state.tasks[0].id, ['2024-06-12', '2024-06-13', '2024-06-14', '2024-06-15']);
+    const stats = getRangeStats(state, { range: { preset: 'last30' }, clock: clockAt('2024-06-15T12:00:00') });
+    expect(stats.rates.map(({ rate }) => rate)).toEqual([100]);
+  });
+
+  it('stops counting after the end date', () => {
+    const state = withHabit({ startDate: '2024-06-01', endDate: '2024-06-02' });
+    const rated = complete(state, state.tasks[0].id, ['2024-06-01', '2024-06-02']);
+    expect(getCompletionRate(rated, rated.tasks[0], dates('2024-06-01', '2024-06-10'))).toBe(100);
+    expect(getCompletionRate(rated, rated.tasks[0], dates('2024-06-05', '2024-06-10'))).toBeNull();
+  });
+
+  it('leaves paused days out of rates and keeps the streak across them', () => {
+    let state = withHabit({ startDate: '2024-06-01' });
+    const id = state.tasks[0].id;
+    state = apply(state, pauseHabit(state, id, '2024-06-04'));
+    state = apply(state, resumeHabit(state, id, '2024-06-07'));
+    expect(state.tasks[0].pauses).toEqual([{ start: '2024-06-04', end: '2024-06-06' }]);
+
+    state = complete(state, id, ['2024-06-01', '2024-06-02', '2024-06-03', '2024-06-07', '2024-06-08']);
+    expect(getCompletionRate(state, state.tasks[0], dates('2024-06-01', '2024-06-08'))).toBe(100);
+    expect(getStreak(state, state.tasks[0], new Date(2024, 5, 8))).toMatchObject({ current: 5, longest: 5 });
+  });
+
+  it('drops a pause that is resumed before it began', () => {
+    let state = withHabit({ startDate: '2024-06-01' });
+    const id = state.tasks[0].id;
+    state = apply(state, pauseHabit(state, id, '2024-06-04'));
+    state = apply(state, resumeHabit(state, id, '2024-06-04'));
+    expect(state.tasks[0].pauses).toEqual([]);
+  });
+});
+
+describe('avoidance habits', () => {
+  const week = [10, 11, 12, 13, 14, 15, 16].map(day => new Date(2024, 5, day));
+
+  it('counts days without a slip as successes', () => {
+    let state = withHabit({ kind: 'avoid', startDate: '2024-06-10' });
+    state = complete(state, state.tasks[0].id, ['2024-06-12']);
+    expect(getCompletionRate(state, state.tasks[0], week)).toBe(86);
+    expect(getStreak(state, state.tasks[0], new Date(2024, 5, 16))).toMatchObject({ current: 4, longest: 4 });
+  });
+
+  it('weighs in the overall score with the right polarity', () => {
+    let state = withHabit({ kind: 'avoid', startDate: '2024-06-10' });
+    state = apply(state, addHabit(state, { name: 'Run', startDate: '2024-06-10' }, clockAt('2024-06-10T08:00:00')));
+    const [avoid, build] = state.tasks;
+    state = complete(state, avoid.id, ['2024-06-10', '2024-06-11']);
+    state = complete(state, build.id, ['2024-06-10', '2024-06-11']);
+    expect(getOverallScore(state, state.tasks, week.slice(0, 4))).toBe(50);
+  });
+
+  it('drops quotas and measurements when a habit becomes one to break', () => {
+    const state = withHabit({ schedule: { type: 'weekly', times: 3 }, measurement: { type: 'count', target: 8 } });
+    const { tasks } = setHabitKind(state, state.tasks[0].id, 'avoid');
+    expect(tasks[0]).toMatchObject({ kind: 'avoid', schedule: { type: 'daily' }, measurement: { type: 'checkbox' } });
+    expect(setHabitKind({ tasks }, tasks[0].id, 'build').tasks[0].kind).toBeUndefined();
+  });
+});
+
+describe('period comparisons', () => {
+  it('compares a range with as many days just before it', () => {
+    const { start, end } = getPreviousPeriod({ start: new Date(2024, 2, 1), end: new Date(2024, 2, 7) });
+    expect([toDateKey(start), toDateKey(end)]).toEqual(['2024-02-23', '2024-02-29']);
+  });
+
+  it('reports the change in points, or null without both values', () => {
+    let state = withHabit({}, '2024-06-01T08:00:00');
+    state = complete(state, state.tasks[0].id, ['2024-06-02', '2024-06-05', '2024-06-08', '2024-06-09', '2024-06-10', '2024-06-11', '2024-06-14']);
+    const current = getRangeStats(state, { range: { preset: 'last7' }, clock: clockAt('2024-06-14T12:00:00') });
+    const previous = getPreviousPeriod(current);
+    const previousRate = getCompletionRate(state, state.tasks[0], getRangeStats(state, {
+      range: { preset: 'custom', start: toDateKey(previous.start), end: toDateKey(previous.end) },
+      clock: clockAt('2024-06-14T12:00:00'),
+    }).dates);
+    expect(current.overallScore).toBe(71);
+    expect(previousRate).toBe(29);
+    expect(getChange(current.overallScore, previousRate)).toBe(42);
+    expect(getChange(current.overallScore, null)).toBeNull();
+  });
+});
+
+describe('month boundaries', () => {
+  it('resolves this month on its first day to that one day', () => {
+    const stats = getRangeStats(emptyState(), { range: { preset: 'thisMonth' }, clock: clockAt('2024-05-01T09:00:00') });
+    expect(stats.dates.map(toDateKey)).toEqual(['2024-05-01']);
+  });
+
+  it('resolves last month to the whole previous calendar month', () => {
+    const stats = getRangeStats(emptyState(), { range: { preset: 'lastMonth' }, clock: clockAt('2024-01-15T09:00:00') });
+    expect(toDateKey(stats.start)).toBe('2023-12-01');
+    expect(toDateKey(stats.end)).toBe('2023-12-31');
+    expect(stats.dates).toHaveLength(31);
+  });
+
+  it('counts a streak straight across the end of a month', () => {
+    let state = withHabit({});
+    state = complete(state, state.tasks[0].id, ['2024-04-29', '2024-04-30', '2024-05-01', '2024-05-02']);
+    const stats = getStreak(state, state.tasks[0], getToday(clockAt('2024-05-02T20:00:00')));
+    expect(stats).toMatchObject({ current: 4, longest: 4, longestStart: '2024-04-29', longestEnd: '2024-05-02' });
+  });
+
+  it('summarizes each calendar month separately, clipped to today', () => {
+    let state = withHabit({}, '2023-12-01T08:00:00');
+    const id = state.tasks[0].id;
+    state = complete(state, id, ['2024-01-30', '2024-01-31', '2024-02-01']);
+    const today = getToday(clockAt('2024-02-02T12:00:00'));
+    const months = getMonthlySummary(state, state.tasks, 2, today, today);
+    expect(months.map(({ label }) => label)).toEqual(['January 2024', 'February 2024']);
+    expect(months.map(({ dates }) => dates.length)).toEqual([31, 2]);
+    expect(months.map(({ completion }) => completion)).toEqual([Math.round((2 / 31) * 100), 50]);
+  });
+
+  it('splits weeks on the configured week start', () => {
+    const today = getToday(clockAt('2024-03-06T12:00:00')); // a Wednesday
+    const mondayWeeks = getWeeklySummary(emptyState(), [], 2, today, today, 1);
+    expect(mondayWeeks.map(({ start }) => toDateKey(start))).toEqual(['2024-02-26', '2024-03-04']);
+    const sundayWeeks = getWeeklySummary(emptyState(), [], 2, today, today, 0);
+    expect(sundayWeeks.map(({ start }) => toDateKey(start))).toEqual(['2024-02-25', '2024-03-03']);
+    expect(sundayWeeks[1].dates.map(toDateKey)).toEqual(['2024-03-03', '2024-03-04', '2024-03-05', '2024-03-06']);
+  });
+});
+
+describe('leap years', () => {
+  it('includes February 29 in ranges that span it', () => {
+    const stats = getRangeStats(emptyState(), { range: { preset: 'lastMonth' }, clock: clockAt('2024-03-10T09:00:00') });
+    expect(stats.dates).toHaveLength(29);
+    expect(toDateKey(stats.end)).toBe('2024-02-29');
+
+    const common = getRangeStats(emptyState(), { range: { preset: 'lastMonth' }, clock: clockAt('2023-03-10T09:00:00') });
+    expect(common.dates).toHaveLength(28);
+  });
+
+  it('keeps a streak going through February 29', () => {
+    let state = withHabit({});
+    state = complete(state, state.tasks[0].id, ['2024-02-28', '2024-02-29', '2024-03-01']);
+    expect(getStreak(state, state.tasks[0], new Date(2024, 2, 1)).current).toBe(3);
+  });
+
+  it('breaks a streak when February 29 is missed', () => {
+    let state = withHabit({});
+    state = complete(state, state.tasks[0].id, ['2024-02-27', '2024-02-28', '2024-03-01']);
+    expect(getStreak(state, state.tasks[0], new Date(2024, 2, 1))).toMatchObject({ current: 1, longest: 2 });
+  });
+
+  it('spreads a monthly quota over the 29 days of a leap February', () => {
+    let state = withHabit({ schedule: { type: 'monthly', times: 2 } });
+    state = complete(state, state.tasks[0].id, ['2024-02-10']);
+    const today = new Date(2024, 1, 29);
+    const [february] = getMonthlySummary(state, state.tasks, 1, today, today);
+    expect(february.dates).toHaveLength(29);
+    expect(february.completion).toBe(50);
+  });
+});
+
+describe.each([
+  // Clocks jump from 02:00 to 03:00 and back from 02:00 to 01:00
+  ['America/New_York', '2024-03-10', '2024-11-03'],
+  // Clocks jump from 00:00 to 01:00, so the spring day has no midnight at all
+  ['America/Santiago', '2024-09-08', '2024-04-07'],
+])('daylight saving time in %s', (timeZone, springDay, autumnDay) => {
+  useTimeZone(timeZone);
+
+  const around = (dateKey) => {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return [-2, -1, 0, 1, 2].map(offset => toDateKey(new Date(y, m - 1, d + offset)));
+  };
+
+  it.each([springDay, autumnDay])('lists every day once around %s', (dateKey) => {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const stats = getRangeStats(emptyState(), { range: { preset: 'last7' }, clock: clockAt(`${toDateKey(new Date(y, m - 1, d + 3))}T12:00:00`) });
+    const keys = stats.dates.map(toDateKey);
+    expect(keys).toHaveLength(7);
+    expect(new Set(keys).size).toBe(7);
+    expect(keys).toContain(dateKey);
+  });
+
+  it.each([springDay, autumnDay])('counts a streak through %s', (dateKey) => {
+    const days = around(dateKey);
+    let state = withHabit({}, `${days[0]}T00:00:00`);
+    state = complete(state, state.tasks[0].id, days);
+    const today = getToday(clockAt(`${days[4]}T21:00:00`));
+    expect(getStreak(state, state.tasks[0], today)).toMatchObject({ current: 5, longestStart: days[0], longestEnd: days[4] });
+    const range = { preset: 'custom', start: days[0], end: days[4] };
+    expect(getRangeStats(state, { range, clock: clockAt(`${days[4]}T21:00:00`) }).rates[0].rate).toBe(100);
+  });
+
+  it('rolls the logical day over at the day start hour on the spring day', () => {
+    const [, previous, day] = around(springDay);
+    expect(toDateKey(getToday(clockAt(`${day}T03:30:00`), 4))).toBe(previous);
+    expect(toDateKey(getToday(clockAt(`${day}T04:30:00`), 4))).toBe(day);
+  });
+
+  it('pools completions across the week of the change', () => {
+    const days = around(springDay);
+    let state = withHabit({}, `${days[0]}T08:00:00`);
+    state = complete(state, state.tasks[0].id, days.slice(0, 2));
+    const dates = days.map(key => new Date(`${key}T12:00:00`));
+    expect(getSummaryCompletion(state, state.tasks, dates)).toBe(40);
+    expect(getPooledProgress(state, state.tasks, dates)).toEqual({ due: 5, done: 2, rate: 40 });
+    expect(getPooledProgress(state, [], dates)).toEqual({ due: 0, done: 0, rate: null });
+  });
+});
@@ -0,0 +1,380 @@
+import { isValidGoal } from './achievements';
+import { isValidKind } from './avoidance';
+import { isValidFilter } from './categories';
+import { DAY_START_HOURS, getDatesBetween, parseDateKey, toDateKey } from './dates';
+import { ALL_TASKS, EXCUSE_REASONS, getExcuse } from './excusals';
+import { isValidHabitIcon } from './habitIcons';
+import { getLifecycleErrors } from './lifecycle';
+import { MEASUREMENT_TYPES, getMeasurement, getNumericValue, getUnit } from './measurement';
+import { JOURNAL, MOODS } from './notes';
+import { isValidReminder } from './reminders';
+import { isValidRoutine } from './routines';
+import { isValidRange } from './ranges';
+import { isValidSchedule } from './schedule';
+import { isValidColor } from './theme';
+
+export const EXPORT_FORMAT = 'daily-progress-tracker';
+// v2 added excusedDays, v3 dayNotes
+export const EXPORT_VERSION = 3;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITIES = ['high', 'medium', 'low'];
+
+export const buildExport = ({ tasks, dailyCompletion, excusedDays, dayNotes, settings }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  tasks,
+  dailyCompletion,
+  excusedDays,
+  dayNotes,
+  settings,
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// What each saved setting may hold. Anything else in an imported file is dropped.
+const SETTING_CHECKS = {
+  range: isValidRange,
+  totalDays: (value) => isIntegerBetween(value, 1, Infinity), // before ranges existed
+  weekStart: (value) => isIntegerBetween(value, 0, 6),
+  dayStartHour: (value) => DAY_START_HOURS.includes(value),
+  weekCount: (value) => isIntegerBetween(value, 1, 52),
+  monthCount: (value) => isIntegerBetween(value, 1, 24),
+  viewMode: (value) => ['daily', 'weekly', 'monthly'].includes(value),
+  filter: isValidFilter,
+  chartGroup: (value) => ['habit', 'category'].includes(value),
+  comparePeriods: (value) => typeof value === 'boolean',
+};
+
+const validateTask = (task, index) => {
+  const errors = [];
+  const label = `Habit #${index + 1}`;
+  if (!isPlainObject(task)) {
+    return [`${label} is not an object`];
+  }
+  if (typeof task.id !== 'number' || !Number.isFinite(task.id)) {
+    errors.push(`${label} has no numeric id`);
+  }
+  if (typeof task.name !== 'string' || !task.name.trim()) {
+    errors.push(`${label} has no name`);
+  }
+  if (!PRIORITIES.includes(task.priority)) {
+    errors.push(`${label} has an unknown priority "${task.priority}"`);
+  }
+  if (task.kind !== undefined && !isValidKind(task.kind)) {
+    errors.push(`${label} has an unknown kind`);
+  }
+  if (task.schedule !== undefined && !isValidSchedule(task.schedule)) {
+    errors.push(`${label} has an invalid schedule`);
+  }
+  if (task.category !== undefined && typeof task.category !== 'string') {
+    errors.push(`${label} has an invalid category`);
+  }
+  if (task.tags !== undefined && !(Array.isArray(task.tags) && task.tags.every(tag => typeof tag === 'string'))) {
+    errors.push(`${label} has invalid tags`);
+  }
+  if (task.reminder != null && !isValidReminder(task.reminder)) {
+    errors.push(`${label} has an invalid reminder time`);
+  }
+  if (task.color !== undefined && !isValidColor(task.color)) {
+    errors.push(`${label} has an invalid color`);
+  }
+  if (task.icon != null && !isValidHabitIcon(task.icon)) {
+    errors.push(`${label} has an unknown icon`);
+  }
+  if (task.routine !== undefined && !isValidRoutine(task.routine)) {
+    errors.push(`${label} has an unknown routine`);
+  }
+  if (task.order !== undefined && !Number.isInteger(task.order)) {
+    errors.push(`${label} has an invalid order`);
+  }
+  if (task.goals !== undefined && !(Array.isArray(task.goals) && task.goals.every(isValidGoal))) {
+    errors.push(`${label} has invalid goals`);
+  }
+  getLifecycleErrors(task).forEach(error => errors.push(`${label} has ${error}`));
+  if (task.measurement !== undefined) {
+    const { type, target } = task.measurement || {};
+    if (!MEASUREMENT_TYPES.some(({ value }) => value === type)) {
+      errors.push(`${label} has an unknown measurement`);
+    } else if (type !== 'checkbox' && !(target > 0)) {
+      errors.push(`${label} needs a positive target`);
+    }
+  }
+  return errors;
+};
+
+const isValidNote = (note) =>
+  isPlainObject(note) &&
+  (note.text === undefined || typeof note.text === 'string') &&
+  (note.mood == null || MOODS.some(({ value }) => value === note.mood)) &&
+  (note.tags === undefined || (Array.isArray(note.tags) && note.tags.every(tag => typeof tag === 'string')));
+
+/**
+ * Checks a parsed export file against the format written by `buildExport`.
+ * Returns `{ data, errors }`; `data` is null whenever `errors` is non-empty.
+ */
+export const validateImport = (json) => {
+  const errors = [];
+  if (!isPlainObject(json) || json.format !== EXPORT_FORMAT) {
+    return { data: null, errors: ['This is not a Daily Progress Tracker export'] };
+  }
+  if (!Number.isInteger(json.version) || json.version > EXPORT_VERSION) {
+    return { data: null, errors: [`Unsupported export version ${json.version}`] };
+  }
+  if (!Array.isArray(json.tasks)) {
+    errors.push('"tasks" must be a list');
+  } else {
+    json.tasks.forEach((task, index) => errors.push(...validateTask(task, index)));
+    const ids = json.tasks.map(task => task?.id);
+    if (new Set(ids).size !== ids.length) {
+      errors.push('Two habits share the same id');
+    }
+  }
+
+  if (!isPlainObject(json.dailyCompletion)) {
+    errors.push('"dailyCompletion" must be an object');
+  } else if (Array.isArray(json.tasks)) {
+    const taskIds = new Set(json.tasks.map(task => String(task?.id)));
+    Object.entries(json.dailyCompletion).forEach(([date, day]) => {
+      if (!DATE_KEY_PATTERN.test(date)) {
+        errors.push(`"${date}" is not a YYYY-MM-DD date`);
+        return;
+      }
+      if (!isPlainObject(day)) {
+        errors.push(`Entries for ${date} must be an object`);
+        return;
+      }
+      Object.entries(day).forEach(([taskId, value]) => {
+        if (!taskIds.has(taskId)) {
+          errors.push(`${date} refers to unknown habit ${taskId}`);
+        } else if (typeof value !== 'boolean' && !(typeof value === 'number' && value >= 0)) {
+          errors.push(`${date} has an invalid value for habit ${taskId}`);
+        }
+      });
+    });
+  }
+
+  if (json.excusedDays !== undefined && !isPlainObject(json.excusedDays)) {
+    errors.push('"excusedDays" must be an object');
+  } else if (json.excusedDays && Array.isArray(json.tasks)) {
+    const taskIds = new Set([ALL_TASKS, ...json.tasks.map(task => String(task?.id))]);
+    Object.entries(json.excusedDays).forEach(([date, day]) => {
+      if (!DATE_KEY_PATTERN.test(date) || !isPlainObject(day)) {
+        errors.push(`Invalid excused day "${date}"`);
+        return;
+      }
+      Object.entries(day).forEach(([taskId, reason]) => {
+        if (!taskIds.has(taskId) || !EXCUSE_REASONS.some(({ value }) => value === reason)) {
+          errors.push(`${date} has an invalid excuse for habit ${taskId}`);
+        }
+      });
+    });
+  }
+
+  if (json.dayNotes !== undefined && !isPlainObject(json.dayNotes)) {
+    errors.push('"dayNotes" must be an object');
+  } else if (json.dayNotes && Array.isArray(json.tasks)) {
+    const taskIds = new Set([JOURNAL, ...json.tasks.map(task => String(task?.id))]);
+    Object.entries(json.dayNotes).forEach(([date, day]) => {
+      if (!DATE_KEY_PATTERN.test(date) || !isPlainObject(day)) {
+        errors.push(`Invalid notes for "${date}"`);
+        return;
+      }
+      Object.entries(day).forEach(([taskId, note]) => {
+        if (!taskIds.has(taskId) || !isValidNote(note)) {
+          errors.push(`${date} has an invalid note for ${taskId === JOURNAL ? 'the journal' : `habit ${taskId}`}`);
+        }
+      });
+    });
+  }
+
+  if (json.settings !== undefined && !isPlainObject(json.settings)) {
+    errors.push('"settings" must be an object');
+  } else if (json.settings) {
+    Object.entries(SETTING_CHECKS).forEach(([key, isValid]) => {
+      if (json.settings[key] !== undefined && !isValid(json.settings[key])) errors.push(`The "${key}" setting is invalid`);
+    });
+  }
+
+  if (errors.length > 0) {
+    return { data: null, errors };
+  }
+  return {
+    data: {
+      tasks: json.tasks,
+      dailyCompletion: json.dailyCompletion,
+      excusedDays: json.excusedDays || {},
+      dayNotes: json.dayNotes || {},
+      settings: Object.fromEntries(
+        Object.entries(json.settings || {}).filter(([key]) => Object.hasOwn(SETTING_CHECKS, key))
+      ),
+    },
+    errors,
+  };
+};
+
+const isSameHabit = (a, b) => a.name.trim().toLowerCase() === b.name.trim().toLowerCase();
+
+// On a clash the larger value wins, so a day done in either copy stays done
+const pickCompletionValue = (current, incoming) =>
+  getNumericValue(incoming) > getNumericValue(current) ? incoming : current;
+
+/**
+ * Merge rules:
+ * - habits with a new id are added;
+ * - a habit whose id and name both match an existing one is the same habit, and
+ *   the existing definition (name, schedule, target...) is kept;
+ * - a habit whose id matches but whose name differs is imported as a new habit
+ *   with a fresh id, together with its history;
+ * - on the same date and habit, the larger value wins;
+ * - excused days and notes are added where the current data has none for that date
+ *   and habit (or journal).
+ */
+export const mergeTrackerData = (current, incoming) => {
+  const tasks = [...current.tasks];
+  const currentById = new Map(current.tasks.map(task => [task.id, task]));
+  const idMap = new Map();
+  let nextId = Math.max(Date.now(), ...current.tasks.map(task => task.id), ...incoming.tasks.map(task => task.id)) + 1;
+
+  incoming.tasks.forEach(task => {
+    const existing = currentById.get(task.id);
+    if (!existing) {
+      tasks.push(task);
+      idMap.set(task.id, task.id);
+    } else if (isSameHabit(existing, task)) {
+      idMap.set(task.id, task.id);
+    } else {
+      const id = nextId++;
+      tasks.push({ ...task, id });
+      idMap.set(task.id, id);
+    }
+  });
+
+  const dailyCompletion = { ...current.dailyCompletion };
+  Object.entries(incoming.dailyCompletion).forEach(([date, day]) => {
+    let merged = dailyCompletion[date];
+    Object.entries(day).forEach(([taskId, value]) => {
+      const id = idMap.get(Number(taskId));
+      const existing = merged?.[id];
+      const resolved = pickCompletionValue(existing, value);
+      if (resolved !== existing) {
+        merged = { ...merged, [id]: resolved };
+      }
+    });
+    if (merged) {
+      dailyCompletion[date] = merged;
+    }
+  });
+
+  const excusedDays = { ...current.excusedDays };
+  Object.entries(incoming.excusedDays).forEach(([date, day]) => {
+    Object.entries(day).forEach(([taskId, reason]) => {
+      const id = taskId === ALL_TASKS ? ALL_TASKS : idMap.get(Number(taskId));
+      if (!excusedDays[date]?.[id]) {
+        excusedDays[date] = { ...excusedDays[date], [id]: reason };
+      }
+    });
+  });
+
+  const dayNotes = { ...current.dayNotes };
+  Object.entries(incoming.dayNotes).forEach(([date, day]) => {
+    Object.entries(day).forEach(([taskId, note]) => {
+      const id = taskId === JOURNAL ? JOURNAL : idMap.get(Number(taskId));
+      if (!dayNotes[date]?.[id]) {
+        dayNotes[date] = { ...dayNotes[date], [id]: note };
+      }
+    });
+  });
+
+  return { tasks, dailyCompletion, excusedDays, dayNotes };
+};
+
+// Records added, changed and removed between two date maps, values compared with `isSame`
+const countDateMapChanges = (beforeMap = {}, afterMap = {}, isSame = (a, b) => a === b) => {
+  const counts = { added: 0, changed: 0, removed: 0 };
+  new Set([...Object.keys(beforeMap), ...Object.keys(afterMap)]).forEach(date => {
+    const before = beforeMap[date] || {};
+    const after = afterMap[date] || {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(taskId => {
+      const hadValue = Boolean(before[taskId]);
+      const hasValue = Boolean(after[taskId]);
+      if (!hadValue && hasValue) counts.added++;
+      else if (hadValue && !hasValue) counts.removed++;
+      else if (hadValue && !isSame(before[taskId], after[taskId])) counts.changed++;
+    });
+  });
+  return counts;
+};
+
+const isSameNote = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Counts what applying `next` over `current` would change, for the import preview:
+ * `{ habits, entries, excusals, notes }`, each as `{ added, changed, removed }`.
+ */
+export const summarizeChanges = (current, next) => {
+  const habits = { added: 0, changed: 0, removed: 0 };
+  const currentById = new Map(current.tasks.map(task => [task.id, task]));
+  next.tasks.forEach(task => {
+    const existing = currentById.get(task.id);
+    if (!existing) {
+      habits.added++;
+    } else if (JSON.stringify(existing) !== JSON.stringify(task)) {
+      habits.changed++;
+    }
+    currentById.delete(task.id);
+  });
+  habits.removed = currentById.size;
+
+  return {
+    habits,
+    entries: countDateMapChanges(current.dailyCompletion, next.dailyCompletion),
+    excusals: countDateMapChanges(current.excusedDays, next.excusedDays),
+    notes: countDateMapChanges(current.dayNotes, next.dayNotes, isSameNote),
+  };
+};
+
+const escapeCsv = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per day from the first to the last recorded date, one column per habit.
+ * Checkbox habits are 1/0, the others their raw amount; excused days with nothing
+ * logged show the reason instead.
+ */
+export const buildCsv = (tasks, dailyCompletion, excusedDays = {}) => {
+  const header = ['date', ...tasks.map(task => (getUnit(task) ? `${task.name} (${getUnit(task)})` : task.name))];
+  const rows = [header];
+  const dates = Object.keys(dailyCompletion).sort();
+
+  if (dates.length > 0) {
+    getDatesBetween(parseDateKey(dates[0]), parseDateKey(dates[dates.length - 1])).forEach(date => {
+      const dateKey = toDateKey(date);
+      rows.push([
+        dateKey,
+        ...tasks.map(task => {
+          const value = dailyCompletion[dateKey]?.[task.id];
+          const excuse = getExcuse(excusedDays, dateKey, task.id);
+          if (!value && excuse) return excuse;
+          return getMeasurement(task).type === 'checkbox' ? (value ? 1 : 0) : getNumericValue(value);
+        }),
+      ]);
+    });
+  }
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
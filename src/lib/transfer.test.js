@@ -0,0 +1,154 @@
+import { describe, expect, it } from 'vitest';
+import { EXPORT_FORMAT, EXPORT_VERSION, mergeTrackerData, summarizeChanges, validateImport } from './transfer';
+import { habit, note } from './testHelpers';
+
+const exportWith = (tasks) => ({ format: EXPORT_FORMAT, version: EXPORT_VERSION, tasks, dailyCompletion: {} });
+
+const scheduleErrors = (schedule) => validateImport(exportWith([habit(1, { schedule })])).errors;
+
+describe('import validation', () => {
+  it('accepts every kind of well-formed schedule', () => {
+    [
+      { type: 'daily' },
+      { type: 'weekdays', days: [0, 3, 6] },
+      { type: 'weekly', times: 3 },
+      { type: 'monthly', times: 10 },
+      { type: 'interval', every: 3, anchor: '2024-06-01' },
+    ].forEach(schedule => expect(scheduleErrors(schedule)).toEqual([]));
+  });
+
+  it('rejects weekday schedules without valid days', () => {
+    expect(scheduleErrors({ type: 'weekdays' })).toEqual(['Habit #1 has an invalid schedule']);
+    expect(scheduleErrors({ type: 'weekdays', days: [1, 7] })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'weekdays', days: ['mon'] })).toHaveLength(1);
+  });
+
+  it('rejects intervals and quotas that are not positive integers', () => {
+    expect(scheduleErrors({ type: 'interval' })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'interval', every: 0 })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'interval', every: 2, anchor: 'June 1' })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'weekly' })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'monthly', times: 1.5 })).toHaveLength(1);
+    expect(scheduleErrors({ type: 'weekly', times: -2 })).toHaveLength(1);
+  });
+
+  it('rejects unknown schedule types', () => {
+    expect(scheduleErrors({ type: 'hourly' })).toHaveLength(1);
+    expect(scheduleErrors(null)).toHaveLength(1);
+  });
+});
+
+describe('imported settings', () => {
+  const importSettings = (settings) => validateImport({ ...exportWith([habit(1)]), settings });
+
+  it('keeps valid settings and drops unknown ones', () => {
+    const settings = {
+      range: { preset: 'custom', start: '2024-06-01', end: '2024-06-30' },
+      weekStart: 0,
+      dayStartHour: 4,
+      weekCount: 8,
+      monthCount: 6,
+      viewMode: 'weekly',
+      filter: { categories: ['Health'], tags: [] },
+      chartGroup: 'category',
+      comparePeriods: true,
+    };
+    const { data, errors } = importSettings({ ...settings, theme: 'neon' });
+    expect(errors).toEqual([]);
+    expect(data.settings).toEqual(settings);
+  });
+
+  it('rejects settings that would break dates or rendering', () => {
+    expect(importSettings({ weekStart: 7, dayStartHour: 12, viewMode: 'yearly' }).errors).toEqual([
+      'The "weekStart" setting is invalid',
+      'The "dayStartHour" setting is invalid',
+      'The "viewMode" setting is invalid',
+    ]);
+    expect(importSettings({ range: { preset: 'custom', start: '2024-06-01' } }).errors).toHaveLength(1);
+    expect(importSettings({ range: { preset: 'fortnight' } }).errors).toHaveLength(1);
+    expect(importSettings({ filter: { categories: 'Health' } }).errors).toHaveLength(1);
+    expect(importSettings({ weekCount: 0, monthCount: '3' }).errors).toHaveLength(2);
+  });
+});
+
+describe('merging an import', () => {
+  const current = {
+    tasks: [habit(1, { name: 'Run', schedule: { type: 'weekly', times: 3 } }), habit(2, { name: 'Read' })],
+    dailyCompletion: { '2024-06-10': { 1: 2, 2: true } },
+    excusedDays: { '2024-06-11': { 1: 'sick' } },
+    dayNotes: { '2024-06-10': { journal: note('Mine') } },
+  };
+
+  it('combines habits with the same id and name, keeping the current definition', () => {
+    const incoming = {
+      tasks: [habit(1, { name: ' run ' })],
+      dailyCompletion: { '2024-06-10': { 1: 5 }, '2024-06-12': { 1: 1 } },
+      excusedDays: {},
+      dayNotes: {},
+    };
+    const merged = mergeTrackerData(current, incoming);
+    expect(merged.tasks).toEqual(current.tasks);
+    // The larger value wins a clash; days only the import has are added
+    expect(merged.dailyCompletion).toEqual({ '2024-06-10': { 1: 5, 2: true }, '2024-06-12': { 1: 1 } });
+  });
+
+  it('gives a differently named habit with a taken id a fresh id, history included', () => {
+    const incoming = {
+      tasks: [habit(2, { name: 'Stretch' }), habit(3, { name: 'Walk' })],
+      dailyCompletion: { '2024-06-10': { 2: true, 3: true } },
+      excusedDays: { '2024-06-11': { 2: 'vacation' } },
+      dayNotes: { '2024-06-11': { 2: note('Tight hamstrings') } },
+    };
+    const merged = mergeTrackerData(current, incoming);
+    const stretch = merged.tasks.find(task => task.name === 'Stretch');
+    expect(merged.tasks.map(task => task.name)).toEqual(['Run', 'Read', 'Stretch', 'Walk']);
+    expect([1, 2, 3]).not.toContain(stretch.id);
+    expect(merged.dailyCompletion['2024-06-10']).toEqual({ 1: 2, 2: true, [stretch.id]: true, 3: true });
+    expect(merged.excusedDays['2024-06-11']).toEqual({ 1: 'sick', [stretch.id]: 'vacation' });
+    expect(merged.dayNotes['2024-06-11']).toEqual({ [stretch.id]: note('Tight hamstrings') });
+  });
+
+  it('keeps the current excusals and notes, adding only what is missing', () => {
+    const incoming = {
+      tasks: [habit(1, { name: 'Run' })],
+      dailyCompletion: {},
+      excusedDays: { '2024-06-11': { 1: 'skip', all: 'vacation' } },
+      dayNotes: { '2024-06-10': { journal: note('Theirs'), 1: note('Easy pace') } },
+    };
+    const merged = mergeTrackerData(current, incoming);
+    expect(merged.excusedDays['2024-06-11']).toEqual({ 1: 'sick', all: 'vacation' });
+    expect(merged.dayNotes['2024-06-10']).toEqual({ journal: note('Mine'), 1: note('Easy pace') });
+    expect(current.excusedDays['2024-06-11']).toEqual({ 1: 'sick' });
+  });
+});
+
+describe('import preview', () => {
+  it('counts the notes and journal entries a replace would change or delete', () => {
+    const current = {
+      tasks: [habit(1)],
+      dailyCompletion: { '2024-06-10': { 1: true } },
+      excusedDays: {},
+      dayNotes: {
+        '2024-06-10': { 1: note('Felt great'), journal: note('Busy day') },
+        '2024-06-11': { journal: note('Quiet') },
+      },
+    };
+    const next = {
+      tasks: [habit(1)],
+      dailyCompletion: { '2024-06-10': { 1: true } },
+      excusedDays: {},
+      dayNotes: { '2024-06-10': { 1: note('Felt fine') }, '2024-06-12': { journal: note('New') } },
+    };
+    const summary = summarizeChanges(current, next);
+    expect(summary.habits).toEqual({ added: 0, changed: 0, removed: 0 });
+    expect(summary.entries).toEqual({ added: 0, changed: 0, removed: 0 });
+    expect(summary.notes).toEqual({ added: 1, changed: 1, removed: 2 });
+  });
+
+  it('counts the excused days a replace would change or delete', () => {
+    const tasks = [habit(1)];
+    const current = { tasks, dailyCompletion: {}, excusedDays: { '2024-06-10': { 1: 'sick' }, '2024-06-11': { all: 'vacation' } }, dayNotes: {} };
+    const next = { tasks, dailyCompletion: {}, excusedDays: { '2024-06-10': { 1: 'skip' } }, dayNotes: {} };
+    expect(summarizeChanges(current, next).excusals).toEqual({ added: 0, changed: 1, removed: 1 });
+  });
+});
@@ -2,9 +2,22 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
 import './index.css';
+import { applyTheme, loadTheme, prefersDarkScheme, resolveTheme } from './lib/theme';
+
+// Before the first render, so a dark theme doesn't flash light on load
+applyTheme(resolveTheme(loadTheme(), prefersDarkScheme()));
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>,
-);
\ No newline at end of file
+);
+
+// Only in production builds: a cached shell would get in the way of the dev server
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
@@ -1,11 +1,63 @@
+import colors from 'tailwindcss/colors';
+import plugin from 'tailwindcss/plugin';
+
+// The palettes the UI uses come from CSS variables, so the dark theme can swap
+// them without a dark: variant on every class. `surface` is the card background.
+const THEMED_PALETTES = ['gray', 'blue', 'red', 'purple', 'green', 'orange', 'yellow', 'indigo', 'teal'];
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// Dark grays are hand-picked rather than mirrored, so tints and tracks drawn on
+// a card stay distinguishable from the card itself
+const DARK_GRAYS = {
+  50: '#0b0f19',
+  100: '#1f2937',
+  200: '#374151',
+  300: '#4b5563',
+  400: '#6b7280',
+  500: '#9ca3af',
+  600: '#d1d5db',
+  700: '#e5e7eb',
+  800: '#f3f4f6',
+  900: '#f9fafb',
+  950: '#ffffff',
+};
+
+const toRgb = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16)).join(' ');
+const variable = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
+// Light and dark values of every variable; other palettes simply mirror (50 <-> 950)
+const getVariables = (dark) => ({
+  '--color-surface': toRgb(dark ? '#111827' : '#ffffff'),
+  ...Object.fromEntries(THEMED_PALETTES.flatMap(palette => SHADES.map(shade => {
+    const hex = !dark ? colors[palette][shade] : palette === 'gray' ? DARK_GRAYS[shade] : colors[palette][1000 - shade];
+    return [`--color-${palette}-${shade}`, toRgb(hex)];
+  }))),
+});
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        surface: variable('surface'),
+        ...Object.fromEntries(THEMED_PALETTES.map(palette => [
+          palette,
+          Object.fromEntries(SHADES.map(shade => [shade, variable(`${palette}-${shade}`)])),
+        ])),
+      },
+    },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root': getVariables(false),
+        '.dark': { ...getVariables(true), colorScheme: 'dark' },
+      });
+    }),
+  ],
+}